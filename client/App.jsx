@@ -1,32 +1,163 @@
-import React, { useEffect, useMemo, useRef, useState } from 'react'
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react'
 import { io } from 'socket.io-client'
 import CanvasBoard from './components/CanvasBoard.jsx'
+import ExportMenu from './components/ExportMenu.jsx'
+import HistoryPanel from './components/HistoryPanel.jsx'
+import ChatPanel from './components/ChatPanel.jsx'
+import CommandPalette from './components/CommandPalette.jsx'
+import ConfirmDialog from './components/ConfirmDialog.jsx'
+import ColorPanel from './components/ColorPanel.jsx'
+import { parseSession } from './lib/session.js'
+import { FILLABLE_TOOLS } from './lib/geometry.js'
+import { HEAD_STYLES, MAX_SIDES, MIN_SIDES, STICKY_COLORS } from './lib/shapes.js'
+import { GRID_STYLES, loadGrid, saveGrid } from './lib/snap.js'
+import { NAME_MAX, loadIdentity, sanitizeName, saveIdentity } from './lib/identity.js'
+import {
+  DEFAULT_ROOM,
+  loadRecentRooms,
+  parseRoomName,
+  pushRecentRoom,
+  roomFromPath,
+  roomPath,
+  roomUrl,
+  saveRecentRooms
+} from './lib/rooms.js'
+import {
+  DEFAULT_ACCESS,
+  GRANTABLE_ROLES,
+  ROLE_LABELS,
+  canDraw,
+  canModerate,
+  describeAccessChange,
+  roleOf,
+  sanitizeAccess
+} from './lib/roles.js'
+import { downloadBlob as saveBlob } from './lib/download.js'
+import { addImageFile, imagesUnavailable } from './lib/assets.js'
+import {
+  clampOpacity,
+  loadRecentColors,
+  loadSwatches,
+  pushRecent,
+  sanitizePalette,
+  saveRecentColors,
+  saveSwatches,
+  SWATCH_LIMIT
+} from './lib/color.js'
+import {
+  DEFAULT_KEYMAP,
+  actionForCombo,
+  comboFromEvent,
+  formatCombo,
+  isEditableTarget,
+  loadKeymap,
+  rebind,
+  resetBinding,
+  saveKeymap
+} from './lib/shortcuts.js'
 
 const paletteBaseDark = ['#06b6d4', '#f472b6', '#a78bfa', '#22d3ee', '#f97316', '#10b981', '#ef4444', '#eab308']
 const paletteBaseLight = ['#0f172a', '#2563eb', '#7c3aed', '#ea580c', '#b91c1c', '#0f766e', '#15803d', '#111827']
 const paletteExtra = ['#0ea5e9', '#8b5cf6', '#ec4899', '#14b8a6', '#22c55e', '#84cc16', '#facc15', '#fb923c', '#f43f5e', '#38bdf8', '#a3e635', '#e879f9']
 
-const randomHandle = () => {
-  const adjectives = ['bold', 'calm', 'loud', 'bright', 'swift', 'steady', 'lucky', 'brisk']
-  const animals = ['orca', 'lynx', 'otter', 'falcon', 'sparrow', 'tiger', 'ibis', 'yak']
-  const adj = adjectives[Math.floor(Math.random() * adjectives.length)]
-  const animal = animals[Math.floor(Math.random() * animals.length)]
-  return `${adj}-${animal}-${Math.floor(Math.random() * 90 + 10)}`
-}
+const tools = [
+  ['select', 'Select'],
+  ['pen', 'Brush'],
+  ['eraser', 'Eraser'],
+  ['line', 'Line'],
+  ['rect', 'Rectangle'],
+  ['ellipse', 'Ellipse'],
+  ['text', 'Text'],
+  ['arrow', 'Arrow'],
+  ['connector', 'Connector'],
+  ['polygon', 'Polygon'],
+  ['star', 'Star'],
+  ['sticky', 'Sticky note'],
+  ['comment', 'Comment'],
+  ['laser', 'Laser'],
+  ['ink', 'Fading ink'],
+  ['image', 'Image'],
+  ['bucket', 'Fill']
+]
+
+// Shown next to collaborators' cursors.
+const toolNames = Object.fromEntries(tools)
+
+const headLabels = { none: 'None', open: 'Open', triangle: 'Triangle', dot: 'Dot' }
+const gridLabels = { none: 'No grid', lines: 'Lines', dots: 'Dots' }
+
+const fillModes = [
+  ['outline', 'Outline'],
+  ['fill', 'Fill'],
+  ['both', 'Both']
+]
+
+const exportFormats = [
+  ['png', 'PNG image'],
+  ['svg', 'SVG vector'],
+  ['pdf', 'PDF (print)'],
+  ['json', 'Session JSON']
+]
+
+// How long "Copied" stays on the invite button.
+const COPIED_MS = 2000
+// How long "Ann cleared the board" and similar notices stay in the header.
+const ACTIVITY_MS = 6000
+
+const invalidLinkMessage = error => `${error}. Opened "${DEFAULT_ROOM}" instead.`
+
+const emptyHistory = { canUndo: false, canRedo: false, canUndoAll: false, canRedoAll: false, entries: [] }
 
 export default function App() {
   const [socket, setSocket] = useState(null)
   const [user, setUser] = useState(null)
   const [users, setUsers] = useState([])
   const [tool, setTool] = useState('pen')
+  const [eraserMode, setEraserMode] = useState('pixel')
+  const [stylusOnly, setStylusOnly] = useState(
+    () => typeof window !== 'undefined' && window.localStorage.getItem('rtc-canvas-stylus-only') === 'true'
+  )
   const [color, setColor] = useState(paletteBaseDark[0])
+  const [opacity, setOpacity] = useState(1)
+  const [fillMode, setFillMode] = useState('outline')
+  const [fillColor, setFillColor] = useState(null)
+  const [shapeOptions, setShapeOptions] = useState({
+    startHead: 'none',
+    endHead: 'triangle',
+    rounded: false,
+    polygonSides: 6,
+    starPoints: 5,
+    stickyColor: STICKY_COLORS[0]
+  })
+  const [grid, setGrid] = useState(loadGrid)
+  const [recentColors, setRecentColors] = useState(loadRecentColors)
+  const [swatches, setSwatches] = useState(loadSwatches)
+  const [roomPalette, setRoomPalette] = useState([])
+  const [picking, setPicking] = useState(false)
+  const [colorError, setColorError] = useState(null)
   const [size, setSize] = useState(6)
-  const [history, setHistory] = useState({ canUndo: false, canRedo: false })
+  const [history, setHistory] = useState(emptyHistory)
+  const [undoScope, setUndoScope] = useState('mine')
   const [connected, setConnected] = useState(false)
-  const [handle] = useState(randomHandle())
-  const [room, setRoom] = useState('main')
-  const [roomInput, setRoomInput] = useState('main')
+  const [pending, setPending] = useState(0)
+  const [identity, setIdentity] = useState(loadIdentity)
+  const [nameInput, setNameInput] = useState(identity.name)
+  const [route] = useState(() => (typeof window === 'undefined' ? {} : roomFromPath(window.location.pathname)))
+  const [room, setRoom] = useState(route.room || DEFAULT_ROOM)
+  const [roomInput, setRoomInput] = useState(room)
+  const [roomError, setRoomError] = useState(route.error ? invalidLinkMessage(route.error) : null)
+  const [recentRooms, setRecentRooms] = useState(loadRecentRooms)
+  const [linkCopied, setLinkCopied] = useState(false)
+  // Id of the collaborator whose view and tool we mirror.
+  const [following, setFollowing] = useState(null)
+  const [access, setAccess] = useState(DEFAULT_ACCESS)
+  // `{ title, message, confirmLabel, onConfirm }` while a destructive action waits for confirmation.
+  const [confirm, setConfirm] = useState(null)
+  const [activity, setActivity] = useState(null)
+  const [chatOpen, setChatOpen] = useState(false)
+  const [unreadComments, setUnreadComments] = useState(0)
   const [imageSrc, setImageSrc] = useState(null)
+  const [imageError, setImageError] = useState(null)
   const [theme, setTheme] = useState(() => {
     const stored = typeof window !== 'undefined' ? window.localStorage.getItem('rtc-canvas-theme') : null
     if (stored === 'light' || stored === 'dark') return stored
@@ -34,9 +165,20 @@ export default function App() {
     return 'dark'
   })
   const [showAllColors, setShowAllColors] = useState(false)
+  const [exportState, setExportState] = useState({ busy: false, error: null })
+  const [importState, setImportState] = useState(null)
+  const [keymap, setKeymap] = useState(loadKeymap)
+  const [paletteOpen, setPaletteOpen] = useState(false)
   const canvasRef = useRef(null)
+  const chatRef = useRef(null)
   const fileInputRef = useRef(null)
   const imageFileRef = useRef(null)
+  const roomInputRef = useRef(null)
+  const actionsRef = useRef([])
+  // Read when (re)joining, so renaming does not rejoin the room.
+  const identityRef = useRef(identity)
+  // The drawing color starts as the user's color once per page load, not on every reconnect.
+  const colorSeededRef = useRef(false)
 
   const paletteBase = useMemo(() => (theme === 'light' ? paletteBaseLight : paletteBaseDark), [theme])
   const paletteAll = useMemo(
@@ -44,8 +186,11 @@ export default function App() {
     []
   )
 
+  // A swatch of the other theme's base palette becomes the matching swatch of this one; any other
+  // color is kept.
   useEffect(() => {
-    setColor(prev => (paletteBase.includes(prev) || paletteExtra.includes(prev) ? prev : paletteBase[0]))
+    const other = paletteBase === paletteBaseLight ? paletteBaseDark : paletteBaseLight
+    setColor(prev => (paletteBase.includes(prev) || !other.includes(prev) ? prev : paletteBase[other.indexOf(prev)]))
   }, [paletteBase])
 
   const serverUrl = useMemo(() => import.meta.env.VITE_SERVER_URL || 'http://localhost:3001', [])
@@ -60,11 +205,30 @@ export default function App() {
     s.on('init', payload => {
       setUser(payload.user)
       setUsers(payload.users || [])
-      if (payload.user?.color) {
+      if (payload.user?.color && !colorSeededRef.current) {
+        colorSeededRef.current = true
         setColor(payload.user.color)
       }
+      setRoomPalette(sanitizePalette(payload.palette))
+      setAccess(sanitizeAccess(payload.access))
     })
 
+    s.on('access:update', payload => {
+      setAccess(sanitizeAccess(payload))
+      setActivity({ kind: 'access', payload })
+    })
+
+    // The board clears itself; this only says who did it.
+    s.on('clear', payload => {
+      if (payload?.by) setActivity({ kind: 'clear', by: payload.by })
+    })
+
+    s.on('access:denied', payload => {
+      setActivity({ kind: 'denied', reason: payload?.reason || 'That isn’t allowed in this room' })
+    })
+
+    s.on('palette:update', payload => setRoomPalette(sanitizePalette(payload?.colors)))
+
     s.on('user:joined', joined => {
       setUsers(prev => {
         const next = prev.filter(u => u.id !== joined.id)
@@ -76,16 +240,71 @@ export default function App() {
       setUsers(prev => prev.filter(u => u.id !== payload.userId))
     })
 
+    s.on('user:updated', updated => {
+      setUsers(prev => prev.map(u => (u.id === updated.id ? { ...u, ...updated } : u)))
+      setUser(prev => (prev?.id === updated.id ? { ...prev, ...updated } : prev))
+    })
+
     return () => s.disconnect()
-  }, [serverUrl, handle])
+  }, [serverUrl])
 
+  // Re-joins after every reconnect so the board receives a fresh `init` snapshot. The client id
+  // lets the server give back the same user id, so queued strokes and undo history stay ours.
   useEffect(() => {
-    if (!socket) return
+    if (!socket || !connected) return
     setUser(null)
     setUsers([])
-    setHistory({ canUndo: false, canRedo: false })
-    socket.emit('join', { name: handle, room })
-  }, [socket, room, handle])
+    setFollowing(null)
+    setAccess(DEFAULT_ACCESS)
+    setActivity(null)
+    setConfirm(null)
+    setHistory(emptyHistory)
+    setRoomPalette([])
+    const { clientId, name, color: userColor } = identityRef.current
+    socket.emit('join', { name, room, clientId, ...(userColor && { color: userColor }) })
+  }, [socket, connected, room])
+
+  useEffect(() => {
+    identityRef.current = identity
+    saveIdentity(identity)
+  }, [identity])
+
+  // The address bar always names the room. Joining pushes a history entry; a bare or invalid
+  // path is replaced.
+  useEffect(() => {
+    if (window.location.pathname !== roomPath(room)) {
+      window.history.replaceState(null, '', `${roomPath(room)}${window.location.search}${window.location.hash}`)
+    }
+    document.title = `${room} · Collaborative Canvas`
+    setRecentRooms(prev => pushRecentRoom(prev, room))
+  }, [room])
+
+  useEffect(() => {
+    const handlePopState = () => {
+      const next = roomFromPath(window.location.pathname)
+      setRoom(next.room || DEFAULT_ROOM)
+      setRoomInput(next.room || DEFAULT_ROOM)
+      setRoomError(next.error ? invalidLinkMessage(next.error) : null)
+    }
+    window.addEventListener('popstate', handlePopState)
+    return () => window.removeEventListener('popstate', handlePopState)
+  }, [])
+
+  useEffect(() => {
+    saveRecentRooms(recentRooms)
+  }, [recentRooms])
+
+  useEffect(() => {
+    if (!linkCopied) return
+    const timer = setTimeout(() => setLinkCopied(false), COPIED_MS)
+    return () => clearTimeout(timer)
+  }, [linkCopied])
+
+  useEffect(() => {
+    if (!activity) return
+    const timer = setTimeout(() => setActivity(null), ACTIVITY_MS)
+    return () => clearTimeout(timer)
+  }, [activity])
 
   useEffect(() => {
     document.body.dataset.theme = theme
@@ -94,25 +313,188 @@ export default function App() {
     }
   }, [theme])
 
-  const doUndo = () => socket?.emit('undo')
-  const doRedo = () => socket?.emit('redo')
+  useEffect(() => {
+    saveKeymap(keymap)
+  }, [keymap])
+
+  useEffect(() => {
+    window.localStorage.setItem('rtc-canvas-stylus-only', String(stylusOnly))
+  }, [stylusOnly])
+
+  useEffect(() => {
+    saveGrid(grid)
+  }, [grid])
+
+  useEffect(() => {
+    saveRecentColors(recentColors)
+  }, [recentColors])
+
+  useEffect(() => {
+    saveSwatches(swatches)
+  }, [swatches])
+
+  const setShapeOption = (key, value) => setShapeOptions(prev => ({ ...prev, [key]: value }))
+
+  const setGridOption = (key, value) => setGrid(prev => ({ ...prev, [key]: value }))
+
+  // Picks from swatches, the eyedropper or a finished picker drag count as recent colors.
+  const changeColor = (hex, final = true) => {
+    setColor(hex)
+    if (final) setRecentColors(prev => pushRecent(prev, hex))
+  }
+
+  const addSwatch = () => setSwatches(prev => (prev.includes(color) ? prev : [...prev, color].slice(-SWATCH_LIMIT)))
+
+  const shareSwatches = () => {
+    socket?.emit('palette:share', { colors: swatches })
+    setRoomPalette(swatches)
+  }
+
+  const keepRoomPalette = () => setSwatches(prev => [...new Set([...prev, ...roomPalette])].slice(-SWATCH_LIMIT))
+
+  const toggleEyedropper = async () => {
+    if (picking) {
+      canvasRef.current?.cancelPick()
+      return
+    }
+    setPicking(true)
+    setColorError(null)
+    try {
+      const hex = await canvasRef.current?.pickColor()
+      if (hex) changeColor(hex)
+    } catch (err) {
+      setColorError(err.message || 'The color could not be read')
+    } finally {
+      setPicking(false)
+    }
+  }
+
+  // The server enforces these too; the client only hides what would be rejected.
+  const role = roleOf(access, user?.id)
+  const readOnly = !canDraw(access, user?.id)
+  const moderator = canModerate(access, user?.id)
+  const nameOf = id => users.find(u => u.id === id)?.name || 'someone'
+
+  useEffect(() => {
+    if (!moderator) setUndoScope('mine')
+  }, [moderator])
+
+  const doUndo = () => canvasRef.current?.undo(undoScope)
+  const doRedo = () => canvasRef.current?.redo(undoScope)
+  const canUndo = !readOnly && (undoScope === 'global' ? history.canUndoAll : history.canUndo)
+  const canRedo = !readOnly && (undoScope === 'global' ? history.canRedoAll : history.canRedo)
   const doClear = () => {
+    if (!moderator) return
+    setConfirm({
+      title: 'Clear the board?',
+      message: `Everything on the board is removed for everyone in ${room}. This can’t be undone.`,
+      confirmLabel: 'Clear board',
+      onConfirm: performClear
+    })
+  }
+  const performClear = () => {
     canvasRef.current?.clearCanvas()
     socket?.emit('clear')
+    setActivity({ kind: 'clear', by: { id: user?.id, name: user?.name } })
   }
 
+  // Neither is applied optimistically: the board changes when `access:update` comes back.
+  const setRole = (userId, nextRole) => socket?.emit('access:role', { userId, role: nextRole })
+  const setLocked = locked => socket?.emit('access:lock', { locked })
+
+  const activityText = (() => {
+    if (!activity) return null
+    if (activity.kind === 'clear') {
+      return `${activity.by.id === user?.id ? 'You' : activity.by.name || 'Someone'} cleared the board`
+    }
+    if (activity.kind === 'access') return describeAccessChange(activity.payload, user?.id, nameOf)
+    if (activity.kind === 'undo' || activity.kind === 'redo') {
+      const who = activity.by.id === user?.id ? 'You' : activity.by.name || 'Someone'
+      const verb = activity.kind === 'undo' ? 'undid' : 'restored'
+      return `${who} ${verb} ${activity.ownerId === user?.id ? 'your' : `${nameOf(activity.ownerId)}’s`} stroke`
+    }
+    return activity.reason
+  })()
+
   const toggleTheme = () => setTheme(prev => (prev === 'dark' ? 'light' : 'dark'))
 
-  const handleExport = () => {
-    const data = canvasRef.current?.exportSession()
-    if (!data) return
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' })
-    const url = URL.createObjectURL(blob)
-    const a = document.createElement('a')
-    a.href = url
-    a.download = `canvas-${room}-${Date.now()}.json`
-    a.click()
-    URL.revokeObjectURL(url)
+  // Name and color changes apply in place: others get `user:updated` without anyone rejoining.
+  const updateIdentity = patch => {
+    setIdentity(prev => ({ ...prev, ...patch }))
+    setUsers(prev => prev.map(u => (u.id === user?.id ? { ...u, ...patch } : u)))
+    socket?.emit('user:update', patch)
+  }
+
+  const commitName = () => {
+    const name = sanitizeName(nameInput)
+    setNameInput(name || identity.name)
+    if (name && name !== identity.name) updateIdentity({ name })
+  }
+
+  const joinRoom = name => {
+    const { room: next, error } = parseRoomName(name)
+    if (error) {
+      setRoomError(error)
+      return
+    }
+    setRoomError(null)
+    setRoomInput(next)
+    if (next === room) return
+    window.history.pushState(null, '', roomPath(next))
+    setRoom(next)
+  }
+
+  // Browsers without clipboard access (or outside a secure context) get the link to copy by hand.
+  const copyInviteLink = async () => {
+    const url = roomUrl(room)
+    try {
+      await navigator.clipboard.writeText(url)
+      setLinkCopied(true)
+    } catch (err) {
+      window.prompt('Copy this invite link', url)
+    }
+  }
+
+  const withShortcut = (label, id) => (keymap[id]?.length ? `${label} (${keymap[id].map(formatCombo).join(', ')})` : label)
+
+  const handleRebind = useCallback((id, combo) => setKeymap(prev => rebind(prev, id, combo)), [])
+
+  const handleResetKeys = id => setKeymap(prev => (id ? resetBinding(prev, id) : { ...DEFAULT_KEYMAP }))
+
+  // Text fields keep their own keys (including Ctrl+Z); only the palette shortcut works there.
+  useEffect(() => {
+    const handleShortcut = evt => {
+      const id = actionForCombo(keymap, comboFromEvent(evt))
+      if (!id || (id !== 'palette.open' && (isEditableTarget(evt.target) || paletteOpen))) return
+      const action = actionsRef.current.find(candidate => candidate.id === id)
+      evt.preventDefault()
+      if (action && !action.disabled) action.run('')
+    }
+    window.addEventListener('keydown', handleShortcut)
+    return () => window.removeEventListener('keydown', handleShortcut)
+  }, [keymap, paletteOpen])
+
+  const downloadBlob = (blob, extension) => saveBlob(blob, `canvas-${room}-${Date.now()}.${extension}`)
+
+  const handleExport = async options => {
+    setExportState({ busy: true, error: null })
+    try {
+      if (options.format === 'json') {
+        const data = await canvasRef.current?.exportSession({ messages: chatRef.current?.messages() })
+        if (data) downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), 'json')
+        setExportState({ busy: false, error: null })
+        return
+      }
+      const result = await canvasRef.current?.exportImage(options)
+      if (!result) {
+        setExportState({ busy: false, error: options.region === 'selection' ? 'Nothing selected' : 'Nothing to export' })
+        return
+      }
+      downloadBlob(result.blob, result.extension)
+      setExportState({ busy: false, error: null })
+    } catch (err) {
+      setExportState({ busy: false, error: err.message || 'Export failed' })
+    }
   }
 
   const handleImportClick = () => fileInputRef.current?.click()
@@ -123,37 +505,162 @@ export default function App() {
     const reader = new FileReader()
     reader.onload = e => {
       try {
-        const parsed = JSON.parse(e.target?.result)
-        canvasRef.current?.importSession(parsed)
+        const session = parseSession(e.target?.result)
+        setImportState({ fileName: file.name, session })
       } catch (err) {
-        console.error('Failed to import session', err)
+        setImportState({ fileName: file.name, error: err.message, details: err.details || [] })
       }
     }
+    reader.onerror = () => setImportState({ fileName: file.name, error: 'The file could not be read', details: [] })
     reader.readAsText(file)
     evt.target.value = ''
   }
 
-  const handleImagePick = evt => {
+  // Replacing wipes the board for everyone, so it is the owner's call and asks first.
+  const confirmImport = mode => {
+    if (mode !== 'replace') {
+      performImport(mode)
+      return
+    }
+    if (!moderator) return
+    setConfirm({
+      title: 'Replace the board?',
+      message: `The board is cleared for everyone in ${room} and replaced with ${importState.fileName}. This can’t be undone.`,
+      confirmLabel: 'Replace room',
+      onConfirm: () => performImport('replace')
+    })
+  }
+
+  const performImport = async mode => {
+    try {
+      const count = await canvasRef.current?.importSession(importState.session, { mode })
+      setImportState(count ? null : { ...importState, error: 'Join a room before importing', details: [] })
+    } catch (err) {
+      setImportState({ ...importState, error: err.message || 'The session could not be imported', details: [] })
+    }
+  }
+
+  const handleImagePick = async evt => {
     const file = evt.target.files?.[0]
+    evt.target.value = ''
     if (!file) return
-    const reader = new FileReader()
-    reader.onload = e => {
-      const src = e.target?.result
-      if (!src) return
-      const img = new Image()
-      img.onload = () => {
-        const maxSide = 320
-        const scale = Math.min(1, maxSide / Math.max(img.width, img.height))
-        const width = Math.round(img.width * scale)
-        const height = Math.round(img.height * scale)
-        setImageSrc({ src, width, height })
-      }
-      img.src = src
+    try {
+      setImageSrc(await addImageFile(file, socket))
+      setImageError(null)
+    } catch (err) {
+      setImageError(err.message || 'The image could not be loaded')
     }
-    reader.readAsDataURL(file)
-    evt.target.value = ''
   }
 
+  const visibleColors = showAllColors ? paletteAll : paletteBase
+  const stepColor = step => {
+    const index = visibleColors.indexOf(color)
+    changeColor(visibleColors[(index + step + visibleColors.length) % visibleColors.length])
+  }
+
+  // Everything the palette lists and shortcuts trigger; ids match DEFAULT_KEYMAP.
+  const actions = [
+    ...tools.map(([value, label]) => ({
+      id: `tool.${value}`,
+      group: 'Tool',
+      label,
+      run: () => setTool(value),
+      disabled: value === 'image' && Boolean(imagesUnavailable)
+    })),
+    {
+      id: 'eraser.toggleMode',
+      group: 'Tool',
+      label: eraserMode === 'pixel' ? 'Eraser: erase strokes' : 'Eraser: erase pixels',
+      run: () => {
+        setTool('eraser')
+        setEraserMode(prev => (prev === 'pixel' ? 'object' : 'pixel'))
+      }
+    },
+    {
+      id: 'input.stylusOnly',
+      group: 'Input',
+      label: stylusOnly ? 'Let touch draw' : 'Stylus only (touch pans)',
+      run: () => setStylusOnly(prev => !prev)
+    },
+    {
+      id: 'shape.cycleFill',
+      group: 'Tool',
+      label: 'Cycle shape fill (outline, fill, both)',
+      run: () => {
+        const index = fillModes.findIndex(([value]) => value === fillMode)
+        setFillMode(fillModes[(index + 1) % fillModes.length][0])
+      }
+    },
+    {
+      id: 'grid.cycleStyle',
+      group: 'Grid',
+      label: 'Cycle grid (none, lines, dots)',
+      run: () => setGridOption('style', GRID_STYLES[(GRID_STYLES.indexOf(grid.style) + 1) % GRID_STYLES.length])
+    },
+    {
+      id: 'grid.snap',
+      group: 'Grid',
+      label: grid.snap ? 'Stop snapping to grid' : 'Snap to grid',
+      run: () => setGridOption('snap', !grid.snap)
+    },
+    {
+      id: 'grid.guides',
+      group: 'Grid',
+      label: grid.guides ? 'Hide alignment guides' : 'Show alignment guides',
+      run: () => setGridOption('guides', !grid.guides)
+    },
+    { id: 'size.decrease', group: 'Size', label: 'Thinner stroke', run: () => setSize(prev => Math.max(2, prev - 2)) },
+    { id: 'size.increase', group: 'Size', label: 'Thicker stroke', run: () => setSize(prev => Math.min(32, prev + 2)) },
+    { id: 'color.previous', group: 'Color', label: 'Previous color', run: () => stepColor(-1) },
+    { id: 'color.next', group: 'Color', label: 'Next color', run: () => stepColor(1) },
+    { id: 'color.eyedropper', group: 'Color', label: 'Eyedropper', run: toggleEyedropper },
+    { id: 'color.addSwatch', group: 'Color', label: 'Add color to my swatches', run: addSwatch },
+    {
+      id: 'opacity.decrease',
+      group: 'Color',
+      label: 'More transparent',
+      run: () => setOpacity(prev => clampOpacity(Math.round((prev - 0.1) * 100) / 100))
+    },
+    {
+      id: 'opacity.increase',
+      group: 'Color',
+      label: 'More opaque',
+      run: () => setOpacity(prev => clampOpacity(Math.round((prev + 0.1) * 100) / 100))
+    },
+    { id: 'history.undo', group: 'History', label: 'Undo', run: doUndo, disabled: !canUndo },
+    { id: 'history.redo', group: 'History', label: 'Redo', run: doRedo, disabled: !canRedo },
+    {
+      id: 'history.toggleScope',
+      group: 'History',
+      label: undoScope === 'mine' ? 'Undo everyone’s strokes' : 'Undo only my strokes',
+      run: () => setUndoScope(prev => (prev === 'mine' ? 'global' : 'mine')),
+      disabled: !moderator
+    },
+    { id: 'board.clear', group: 'Board', label: 'Clear board', run: doClear, disabled: !moderator },
+    { id: 'board.timelapse', group: 'Board', label: 'Time-lapse', run: () => canvasRef.current?.togglePlayback() },
+    ...exportFormats.map(([format, label]) => ({
+      id: `export.${format}`,
+      group: 'Export',
+      label,
+      run: () => handleExport({ format, scale: 2, background: 'theme', region: 'board' }),
+      disabled: exportState.busy
+    })),
+    { id: 'session.import', group: 'Import', label: 'Import session', run: handleImportClick, disabled: readOnly },
+    { id: 'image.pick', group: 'Import', label: 'Choose image', run: () => imageFileRef.current?.click(), disabled: readOnly || Boolean(imagesUnavailable) },
+    {
+      id: 'room.join',
+      group: 'Room',
+      label: 'Join room',
+      takesQuery: true,
+      run: name => (name ? joinRoom(name) : roomInputRef.current?.select())
+    },
+    { id: 'room.copyLink', group: 'Room', label: 'Copy invite link', run: copyInviteLink },
+    { id: 'chat.toggle', group: 'Room', label: chatOpen ? 'Hide chat' : 'Show chat', run: () => setChatOpen(prev => !prev) },
+    { id: 'theme.toggle', group: 'Theme', label: theme === 'dark' ? 'Light theme' : 'Dark theme', run: toggleTheme },
+    { id: 'palette.open', group: 'Help', label: 'Command palette', run: () => setPaletteOpen(prev => !prev) }
+  ]
+  actionsRef.current = actions
+
   return (
     <div className="app-shell min-h-screen">
       <div className="flex min-h-screen flex-col gap-6 px-4 py-6 md:flex-row">
@@ -166,7 +673,15 @@ export default function App() {
             <div className="flex items-center gap-3">
               <span className={`text-xs ${connected ? 'badge-live' : 'badge-off'}`}>
                 {connected ? 'live' : 'offline'}
+                {pending > 0 ? ` · ${pending} pending` : ''}
               </span>
+              <button
+                className="surface-button hoverable rounded-full px-3 py-1 text-xs font-medium"
+                onClick={() => setPaletteOpen(true)}
+                title={withShortcut('Commands', 'palette.open')}
+              >
+                {formatCombo(keymap['palette.open'][0] || 'Mod+K')}
+              </button>
               <button className="surface-button theme-toggle rounded-full px-3 py-1 text-xs font-medium" onClick={toggleTheme}>
                 {theme === 'dark' ? '☀️ Light' : '🌙 Dark'}
               </button>
@@ -180,17 +695,38 @@ export default function App() {
             </div>
             <div className="flex gap-2">
               <input
+                ref={roomInputRef}
                 className="surface-button w-full rounded-lg px-3 py-2 text-sm"
                 value={roomInput}
                 onChange={e => setRoomInput(e.target.value)}
+                onKeyDown={e => e.key === 'Enter' && joinRoom(roomInput)}
               />
               <button
                 className="surface-button rounded-lg px-3 py-2 text-sm hoverable"
-                onClick={() => setRoom(roomInput.toLowerCase().trim() || 'main')}
+                onClick={() => joinRoom(roomInput)}
               >
                 Join
               </button>
             </div>
+            {roomError && <div className="badge-off mt-2 text-xs">{roomError}</div>}
+            <button
+              className="surface-button hoverable mt-2 w-full rounded-lg px-3 py-2 text-sm"
+              onClick={copyInviteLink}
+              title={withShortcut(roomUrl(room), 'room.copyLink')}
+            >
+              {linkCopied ? 'Link copied' : 'Copy invite link'}
+            </button>
+            {recentRooms.length > 1 && (
+              <div className="mt-2 flex flex-wrap gap-1.5 text-xs">
+                {recentRooms
+                  .filter(name => name !== room)
+                  .map(name => (
+                    <button key={name} className="surface-button hoverable rounded-full px-2 py-0.5" onClick={() => joinRoom(name)}>
+                      {name}
+                    </button>
+                  ))}
+              </div>
+            )}
           </div>
 
           <div className="mt-6 space-y-4">
@@ -200,57 +736,178 @@ export default function App() {
                 <span className="text-xs text-muted">{tool}</span>
               </div>
               <div className="grid grid-cols-2 gap-3">
-                {[
-                  ['pen', 'Brush'],
-                  ['eraser', 'Eraser'],
-                  ['line', 'Line'],
-                  ['rect', 'Rectangle'],
-                  ['ellipse', 'Ellipse'],
-                  ['text', 'Text'],
-                  ['image', 'Image']
-                ].map(([value, label]) => (
-                  <button
-                    key={value}
-                    className={`surface-button rounded-lg px-3 py-2 text-sm transition ${tool === value ? 'surface-button--active' : ''}`}
-                    onClick={() => setTool(value)}
-                  >
-                    {label}
-                  </button>
-                ))}
+                {tools.map(([value, label]) => {
+                  const unavailable = value === 'image' ? imagesUnavailable : null
+                  return (
+                    <button
+                      key={value}
+                      className={`surface-button rounded-lg px-3 py-2 text-sm transition ${tool === value ? 'surface-button--active' : unavailable ? 'surface-button--disabled' : ''}`}
+                      onClick={() => setTool(value)}
+                      disabled={Boolean(unavailable)}
+                      title={unavailable || withShortcut(label, `tool.${value}`)}
+                    >
+                      {label}
+                      {value === 'comment' && unreadComments > 0 && <span className="unread-badge ml-1.5">{unreadComments}</span>}
+                    </button>
+                  )
+                })}
               </div>
+              {FILLABLE_TOOLS.includes(tool) && (
+                <div className="mt-3 space-y-2">
+                  <div className="grid grid-cols-3 gap-2">
+                    {fillModes.map(([value, label]) => (
+                      <button
+                        key={value}
+                        className={`surface-button rounded-lg px-3 py-1 text-xs transition ${fillMode === value ? 'surface-button--active' : 'hoverable'}`}
+                        onClick={() => setFillMode(value)}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                  {fillMode !== 'outline' && (
+                    <div className="flex items-center gap-2 text-xs text-muted">
+                      <span>Fill color</span>
+                      <input
+                        type="color"
+                        className="h-7 w-10 cursor-pointer rounded border-0 bg-transparent p-0"
+                        value={fillColor || color}
+                        onChange={e => setFillColor(e.target.value)}
+                        aria-label="Fill color"
+                      />
+                      <button
+                        className={`surface-button rounded-lg px-2 py-1 ${fillColor ? 'hoverable' : 'surface-button--active'}`}
+                        onClick={() => setFillColor(null)}
+                      >
+                        Same as stroke
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )}
+              {tool === 'rect' && (
+                <label className="mt-3 flex items-center gap-2 text-xs text-muted">
+                  <input type="checkbox" checked={shapeOptions.rounded} onChange={e => setShapeOption('rounded', e.target.checked)} />
+                  Rounded corners
+                </label>
+              )}
+              {(tool === 'polygon' || tool === 'star') && (
+                <label className="mt-3 block text-xs text-muted">
+                  <span className="mb-1 flex justify-between">
+                    <span>{tool === 'star' ? 'Points' : 'Sides'}</span>
+                    <span>{tool === 'star' ? shapeOptions.starPoints : shapeOptions.polygonSides}</span>
+                  </span>
+                  <input
+                    type="range"
+                    min={MIN_SIDES}
+                    max={MAX_SIDES}
+                    value={tool === 'star' ? shapeOptions.starPoints : shapeOptions.polygonSides}
+                    onChange={e => setShapeOption(tool === 'star' ? 'starPoints' : 'polygonSides', Number(e.target.value))}
+                    className="w-full"
+                  />
+                </label>
+              )}
+              {(tool === 'arrow' || tool === 'connector') && (
+                <div className="mt-3 space-y-2">
+                  <div className="grid grid-cols-2 gap-2 text-xs text-muted">
+                    {[
+                      ['startHead', 'Start'],
+                      ['endHead', 'End']
+                    ].map(([key, label]) => (
+                      <label key={key} className="flex flex-col gap-1">
+                        {label}
+                        <select
+                          className="surface-button rounded-lg px-2 py-1"
+                          value={shapeOptions[key]}
+                          onChange={e => setShapeOption(key, e.target.value)}
+                        >
+                          {HEAD_STYLES.map(style => (
+                            <option key={style} value={style}>
+                              {headLabels[style]}
+                            </option>
+                          ))}
+                        </select>
+                      </label>
+                    ))}
+                  </div>
+                  {tool === 'connector' && (
+                    <div className="text-xs text-muted">Start or end on a shape to attach; it follows when the shape moves.</div>
+                  )}
+                </div>
+              )}
+              {tool === 'sticky' && (
+                <div className="mt-3 flex items-center gap-2">
+                  {STICKY_COLORS.map(value => (
+                    <button
+                      key={value}
+                      className={`color-swatch h-7 w-7 rounded-md border transition ${shapeOptions.stickyColor === value ? 'color-swatch--active' : ''}`}
+                      style={{ background: value }}
+                      onClick={() => setShapeOption('stickyColor', value)}
+                      aria-label={`Note color ${value}`}
+                    />
+                  ))}
+                </div>
+              )}
+              {(tool === 'laser' || tool === 'ink') && (
+                <div className="mt-3 text-xs text-muted">
+                  {tool === 'laser' ? 'Point while pressed; the trail fades behind you.' : 'Draws like the brush and fades after you lift.'}{' '}
+                  Only shown live: never saved, never in history.
+                </div>
+              )}
+              {tool === 'eraser' && (
+                <div className="mt-3 grid grid-cols-2 gap-2">
+                  {[
+                    ['pixel', 'Erase pixels'],
+                    ['object', 'Erase strokes']
+                  ].map(([value, label]) => (
+                    <button
+                      key={value}
+                      className={`surface-button rounded-lg px-3 py-1 text-xs transition ${eraserMode === value ? 'surface-button--active' : 'hoverable'}`}
+                      onClick={() => setEraserMode(value)}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              )}
               <div className="mt-3 grid grid-cols-2 gap-2 text-xs text-muted">
-                <button className="surface-button rounded-lg px-3 py-2 text-sm hoverable" onClick={() => imageFileRef.current?.click()}>
+                <button
+                  className={`surface-button rounded-lg px-3 py-2 text-sm transition ${readOnly || imagesUnavailable ? 'surface-button--disabled' : 'hoverable'}`}
+                  onClick={() => imageFileRef.current?.click()}
+                  disabled={readOnly || Boolean(imagesUnavailable)}
+                  title={imagesUnavailable || undefined}
+                >
                   Load image
                 </button>
-                <div className="flex items-center justify-end truncate" title={imageSrc?.src || 'No image loaded'}>
-                  {imageSrc ? `${imageSrc.width}×${imageSrc.height}` : 'No image'}
+                <div className="flex items-center justify-end truncate" title={imagesUnavailable || imageError || imageSrc?.asset || 'No image loaded'}>
+                  {imagesUnavailable ? 'Needs https' : imageError ? 'Image failed' : imageSrc ? `${imageSrc.width}×${imageSrc.height}` : 'No image'}
                 </div>
               </div>
+              <label className="mt-3 flex items-center gap-2 text-xs text-muted" title="Fingers pan the board; only a stylus or mouse draws">
+                <input type="checkbox" checked={stylusOnly} onChange={e => setStylusOnly(e.target.checked)} />
+                Stylus only (touch pans)
+              </label>
             </section>
 
-            <section className="section rounded-xl p-4">
-              <div className="mb-3 flex items-center justify-between text-sm uppercase tracking-wide text-muted">
-                <span>Color</span>
-                <span className="text-xs text-muted">{color}</span>
-              </div>
-              <div className="grid grid-cols-4 gap-2">
-                {(showAllColors ? paletteAll : paletteBase).map(hex => (
-                  <button
-                    key={hex}
-                    className={`color-swatch h-10 rounded-lg border transition ${color === hex ? 'color-swatch--active' : ''}`}
-                    style={{ background: hex }}
-                    onClick={() => setColor(hex)}
-                    aria-label={`Select ${hex}`}
-                  />
-                ))}
-              </div>
-              <button
-                className="surface-button mt-3 w-full rounded-lg px-3 py-2 text-sm hoverable"
-                onClick={() => setShowAllColors(prev => !prev)}
-              >
-                {showAllColors ? 'Show fewer colors' : 'Show all colors'}
-              </button>
-            </section>
+            <ColorPanel
+              color={color}
+              opacity={opacity}
+              palette={visibleColors}
+              showAll={showAllColors}
+              recent={recentColors}
+              swatches={swatches}
+              roomPalette={roomPalette}
+              picking={picking}
+              error={colorError}
+              onChange={changeColor}
+              onOpacityChange={setOpacity}
+              onToggleShowAll={() => setShowAllColors(prev => !prev)}
+              onAddSwatch={addSwatch}
+              onRemoveSwatch={hex => setSwatches(prev => prev.filter(c => c !== hex))}
+              onShareSwatches={shareSwatches}
+              onKeepRoomPalette={keepRoomPalette}
+              onEyedropper={toggleEyedropper}
+            />
 
             <section className="section rounded-xl p-4">
               <div className="mb-3 flex items-center justify-between text-sm uppercase tracking-wide text-muted">
@@ -267,28 +924,92 @@ export default function App() {
               />
             </section>
 
+            <section className="section rounded-xl p-4">
+              <div className="mb-3 flex items-center justify-between text-sm uppercase tracking-wide text-muted">
+                <span>Grid</span>
+                <span className="text-xs normal-case text-muted">Shift squares · Alt from centre</span>
+              </div>
+              <div className="grid grid-cols-3 gap-2">
+                {GRID_STYLES.map(value => (
+                  <button
+                    key={value}
+                    className={`surface-button rounded-lg px-3 py-1 text-xs transition ${grid.style === value ? 'surface-button--active' : 'hoverable'}`}
+                    onClick={() => setGridOption('style', value)}
+                  >
+                    {gridLabels[value]}
+                  </button>
+                ))}
+              </div>
+              <label className="mt-3 flex items-center gap-2 text-xs text-muted" title={withShortcut('Snap to grid', 'grid.snap')}>
+                <input type="checkbox" checked={grid.snap} onChange={e => setGridOption('snap', e.target.checked)} />
+                Snap to grid
+              </label>
+              <label className="mt-2 flex items-center gap-2 text-xs text-muted">
+                <input type="checkbox" checked={grid.guides} onChange={e => setGridOption('guides', e.target.checked)} />
+                Alignment guides
+              </label>
+            </section>
+
             <section className="section grid grid-cols-2 gap-3 rounded-xl p-4">
               <button
-                className={`surface-button rounded-lg px-3 py-2 text-sm transition ${history.canUndo ? 'hoverable' : 'surface-button--disabled'}`}
+                className={`surface-button rounded-lg px-3 py-2 text-sm transition ${canUndo ? 'hoverable' : 'surface-button--disabled'}`}
                 onClick={doUndo}
-                disabled={!history.canUndo}
+                disabled={!canUndo}
+                title={withShortcut('Undo', 'history.undo')}
               >
                 Undo
               </button>
               <button
-                className={`surface-button rounded-lg px-3 py-2 text-sm transition ${history.canRedo ? 'hoverable' : 'surface-button--disabled'}`}
+                className={`surface-button rounded-lg px-3 py-2 text-sm transition ${canRedo ? 'hoverable' : 'surface-button--disabled'}`}
                 onClick={doRedo}
-                disabled={!history.canRedo}
+                disabled={!canRedo}
+                title={withShortcut('Redo', 'history.redo')}
               >
                 Redo
               </button>
+              {[
+                ['mine', 'My strokes'],
+                ['global', 'Everyone']
+              ].map(([value, label]) => (
+                <button
+                  key={value}
+                  className={`surface-button rounded-lg px-3 py-1 text-xs transition ${undoScope === value ? 'surface-button--active' : value === 'global' && !moderator ? 'surface-button--disabled' : 'hoverable'}`}
+                  onClick={() => setUndoScope(value)}
+                  disabled={value === 'global' && !moderator}
+                  title={value === 'global' && !moderator ? 'Only the room owner can undo everyone’s strokes' : undefined}
+                >
+                  {label}
+                </button>
+              ))}
             </section>
 
+            <HistoryPanel
+              entries={history.entries}
+              users={users}
+              userId={user?.id}
+              canRevert={!readOnly}
+              canRevertAll={moderator}
+              onRevert={id => canvasRef.current?.revert(id)}
+              onRestore={id => canvasRef.current?.restore(id)}
+            />
+
             <section className="section rounded-xl p-4">
               <div className="mb-2 flex items-center justify-between text-sm uppercase tracking-wide text-muted">
-                <span>Reset</span>
+                <span>Board</span>
+                {access.locked && <span className="text-xs normal-case">Locked</span>}
               </div>
-              <button className="surface-button rounded-lg px-3 py-2 text-sm hoverable w-full" onClick={doClear}>
+              {moderator && (
+                <label className="mb-3 flex items-center gap-2 text-xs text-muted">
+                  <input type="checkbox" checked={access.locked} onChange={e => setLocked(e.target.checked)} />
+                  Lock board (only you can draw)
+                </label>
+              )}
+              <button
+                className={`surface-button rounded-lg px-3 py-2 text-sm w-full transition ${moderator ? 'hoverable' : 'surface-button--disabled'}`}
+                onClick={doClear}
+                disabled={!moderator}
+                title={moderator ? 'Clear the board for everyone' : 'Only the room owner can clear the board'}
+              >
                 Clear canvas for room
               </button>
             </section>
@@ -296,7 +1017,29 @@ export default function App() {
             <section className="section rounded-xl p-4">
               <div className="mb-3 flex items-center justify-between text-sm uppercase tracking-wide text-muted">
                 <span>Online ({users.length})</span>
-                <span className="text-xs text-muted">you as {handle}</span>
+                <span className="text-xs normal-case text-muted">you as {identity.name}</span>
+              </div>
+              <div className="mb-3 flex items-center gap-2">
+                <input
+                  type="color"
+                  className="h-8 w-10 shrink-0 cursor-pointer rounded border-0 bg-transparent p-0"
+                  value={identity.color || user?.color || paletteBase[0]}
+                  onChange={e => updateIdentity({ color: e.target.value })}
+                  title="Your color (cursor and name)"
+                  aria-label="Your color"
+                />
+                <input
+                  className="surface-button w-full rounded-lg px-3 py-1.5 text-sm"
+                  value={nameInput}
+                  maxLength={NAME_MAX}
+                  onChange={e => setNameInput(e.target.value)}
+                  onBlur={commitName}
+                  onKeyDown={e => {
+                    if (e.key === 'Enter') e.currentTarget.blur()
+                    if (e.key === 'Escape') setNameInput(identity.name)
+                  }}
+                  aria-label="Your name"
+                />
               </div>
               <div className="scroll-thin grid max-h-32 grid-cols-1 gap-2 overflow-y-auto">
                 {users.map(u => (
@@ -304,44 +1047,181 @@ export default function App() {
                     <div className="flex items-center gap-2">
                       <span className="h-2.5 w-2.5 rounded-full" style={{ background: u.color }}></span>
                       <span>{u.name}</span>
+                      {roleOf(access, u.id) !== 'editor' && (
+                        <span className="role-badge">{ROLE_LABELS[roleOf(access, u.id)]}</span>
+                      )}
                     </div>
-                    <span className="text-xs text-muted">{u.id === user?.id ? 'you' : 'live'}</span>
+                    {u.id === user?.id ? (
+                      <span className="text-xs text-muted">you</span>
+                    ) : (
+                      <div className="flex items-center gap-1.5">
+                        {moderator && (
+                          <select
+                            className="surface-button rounded-lg px-1.5 py-0.5 text-xs"
+                            value={roleOf(access, u.id)}
+                            onChange={e => setRole(u.id, e.target.value)}
+                            aria-label={`${u.name}'s role`}
+                          >
+                            {GRANTABLE_ROLES.map(value => (
+                              <option key={value} value={value}>
+                                {ROLE_LABELS[value]}
+                              </option>
+                            ))}
+                          </select>
+                        )}
+                        <button
+                          className={`surface-button rounded-lg px-2 py-0.5 text-xs transition ${following === u.id ? 'surface-button--active' : 'hoverable'}`}
+                          onClick={() => setFollowing(following === u.id ? null : u.id)}
+                          title={following === u.id ? 'Stop following' : `Follow ${u.name}'s view and tool`}
+                        >
+                          {following === u.id ? 'Following' : 'Follow'}
+                        </button>
+                      </div>
+                    )}
                   </div>
                 ))}
               </div>
             </section>
+
+            <ChatPanel
+              key={room}
+              ref={chatRef}
+              socket={socket}
+              room={room}
+              user={user}
+              users={users}
+              open={chatOpen}
+              onToggle={() => setChatOpen(prev => !prev)}
+            />
           </div>
         </aside>
 
         <main className="flex-1">
           <div className="mb-3 flex items-center justify-between">
             <div className="text-lg font-semibold">Canvas</div>
-            <div className="text-xs text-muted">Room: {room}</div>
+            <div className="flex items-center gap-2 text-xs text-muted">
+              {activityText && (
+                <span className="activity-banner surface-button" role="status">
+                  {activityText}
+                </span>
+              )}
+              {user && <span className="role-badge">{readOnly && role !== 'viewer' ? 'Locked' : ROLE_LABELS[role]}</span>}
+              <span>Room: {room}</span>
+            </div>
           </div>
           <CanvasBoard
             key={room}
             ref={canvasRef}
             socket={socket}
+            room={room}
             user={user}
+            users={users}
             tool={tool}
+            eraserMode={eraserMode}
+            stylusOnly={stylusOnly}
             color={color}
+            opacity={opacity}
+            fillMode={fillMode}
+            fillColor={fillColor}
+            shapeOptions={shapeOptions}
+            grid={grid}
             size={size}
             theme={theme}
             imageSrc={imageSrc}
+            following={following}
+            toolNames={toolNames}
+            readOnly={readOnly}
+            confirmAction={setConfirm}
+            onActivity={setActivity}
+            onFollowTool={setTool}
+            onStopFollowing={() => setFollowing(null)}
+            onCommentsChange={setUnreadComments}
             onHistoryChange={setHistory}
+            onPendingChange={setPending}
           />
           <div className="mt-4 grid grid-cols-2 gap-3 md:grid-cols-4">
-            <button className="surface-button rounded-lg px-3 py-2 text-sm hoverable" onClick={handleExport}>
-              Export session
-            </button>
-            <button className="surface-button rounded-lg px-3 py-2 text-sm hoverable" onClick={handleImportClick}>
+            <ExportMenu onExport={handleExport} busy={exportState.busy} error={exportState.error} />
+            <button
+              className={`surface-button rounded-lg px-3 py-2 text-sm transition ${readOnly ? 'surface-button--disabled' : 'hoverable'}`}
+              onClick={handleImportClick}
+              disabled={readOnly}
+            >
               Import session
             </button>
+            <button
+              className="surface-button rounded-lg px-3 py-2 text-sm hoverable"
+              onClick={() => canvasRef.current?.togglePlayback()}
+            >
+              Time-lapse
+            </button>
             <input ref={fileInputRef} type="file" accept="application/json" className="hidden" onChange={handleImportFile} />
+            {importState && (
+              <section className="section col-span-2 rounded-xl p-3 text-sm md:col-span-4">
+                <div className="mb-2 flex items-center justify-between">
+                  <span className="font-medium">Import {importState.fileName}</span>
+                  <button className="text-xs text-muted hoverable" onClick={() => setImportState(null)}>
+                    {importState.error ? 'Dismiss' : 'Cancel'}
+                  </button>
+                </div>
+                {importState.error ? (
+                  <div className="badge-off">
+                    <div>{importState.error}</div>
+                    {importState.details.length > 0 && (
+                      <ul className="mt-1 list-disc pl-5 text-xs">
+                        {importState.details.map(detail => (
+                          <li key={detail}>{detail}</li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                ) : (
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span className="text-xs text-muted">
+                      {importState.session.strokes.length} strokes
+                      {importState.session.comments.length ? ` · ${importState.session.comments.length} comments` : ''}
+                      {` · format v${importState.session.version}`}
+                      {importState.session.migrated ? ' (upgraded)' : ''}
+                    </span>
+                    <button className="surface-button rounded-lg px-3 py-2 hoverable" onClick={() => confirmImport('merge')}>
+                      Merge into room
+                    </button>
+                    <button
+                      className={`surface-button rounded-lg px-3 py-2 transition ${moderator ? 'hoverable' : 'surface-button--disabled'}`}
+                      onClick={() => confirmImport('replace')}
+                      disabled={!moderator}
+                      title={moderator ? undefined : 'Only the room owner can replace the board'}
+                    >
+                      Replace room
+                    </button>
+                  </div>
+                )}
+              </section>
+            )}
             <input ref={imageFileRef} type="file" accept="image/*" className="hidden" onChange={handleImagePick} />
           </div>
         </main>
       </div>
+      {paletteOpen && (
+        <CommandPalette
+          actions={actions}
+          keymap={keymap}
+          onRebind={handleRebind}
+          onReset={handleResetKeys}
+          onClose={() => setPaletteOpen(false)}
+        />
+      )}
+      {confirm && (
+        <ConfirmDialog
+          title={confirm.title}
+          message={confirm.message}
+          confirmLabel={confirm.confirmLabel}
+          onConfirm={() => {
+            setConfirm(null)
+            confirm.onConfirm()
+          }}
+          onCancel={() => setConfirm(null)}
+        />
+      )}
     </div>
   )
 }
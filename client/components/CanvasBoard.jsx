@@ -1,159 +1,682 @@
 import React, { forwardRef, useEffect, useImperativeHandle, useMemo, useRef, useState } from 'react'
 import { v4 as uuid } from 'uuid'
+import Minimap from './Minimap.jsx'
+import TimelapsePanel from './TimelapsePanel.jsx'
+import TextEditor from './TextEditor.jsx'
+import CommentThread from './CommentThread.jsx'
+import { loadQueue, saveQueue, startPayload } from '../lib/strokeQueue.js'
+import { onImageLoad } from '../lib/render.js'
+import { brushPoint } from '../lib/brush.js'
+import { PALM_LEAD_MS, isLargeContact, isPalm, isTouch } from '../lib/palm.js'
+import { decodePoints, encodePoints, quantizePoint, simplifyPoints, wirePoints } from '../lib/pointCodec.js'
+import { EXPORT_FORMATS, THEME_BACKGROUNDS, exportBounds } from '../lib/exporters.js'
+import { createSession } from '../lib/session.js'
+import { createLayers, FRAME_BUDGET_MS } from '../lib/layers.js'
+import {
+  FILLABLE_TOOLS,
+  boardBounds,
+  boundsCenter,
+  normalizeStroke,
+  strokeBounds,
+  strokeWidth,
+  worldPoint
+} from '../lib/geometry.js'
+import { isEditRecord, resolveEdits, strokesAlongPath } from '../lib/erase.js'
+import { DEFAULT_TEXT_WIDTH, layoutText } from '../lib/text.js'
+import { flattenPixel } from '../lib/color.js'
+import { dilateRegion, floodRegion, traceRegion } from '../lib/fill.js'
+import {
+  STICKY_INK,
+  STICKY_PADDING,
+  STICKY_SIZE,
+  attachedTo,
+  isAttachable,
+  isShapeTool,
+  routeConnector,
+  stickyBox
+} from '../lib/shapes.js'
+import { DEFAULT_GRID, alignmentTargets, gridBackground, shapeCorners, snapPoint } from '../lib/snap.js'
+import {
+  CURSOR_IDLE_MS,
+  CURSOR_STALE_MS,
+  CURSOR_SWEEP_MS,
+  PRESENCE_REFRESH_MS,
+  PRESENCE_THROTTLE_MS,
+  easeCursor,
+  followCamera,
+  isMoving,
+  moveCursor
+} from '../lib/presence.js'
+import {
+  addReply,
+  commentAnchor,
+  commentPayload,
+  createComment,
+  createReply,
+  isUnreadThread,
+  loadSeen,
+  markThreadSeen,
+  sanitizeComments,
+  saveSeen,
+  setResolved,
+  upsertComment
+} from '../lib/comments.js'
+import { createTrail, endTrail, extendTrail, isInkTool, pruneTrails } from '../lib/ink.js'
+import {
+  addImageFile,
+  dataUrlToBlob,
+  downloadAsset,
+  isAssetStroke,
+  queueUpload,
+  registerAsset,
+  setAssetFetcher
+} from '../lib/assets.js'
+import {
+  applyTransforms,
+  isTransform,
+  rectFromPoints,
+  rotateStroke,
+  scaleStroke,
+  selectionBounds,
+  strokeAt,
+  strokesInRect,
+  transformChange,
+  translateStroke,
+  updatePayload
+} from '../lib/selection.js'
+import {
+  DEFAULT_CAMERA,
+  centerOn,
+  fitBounds,
+  screenToWorld,
+  viewportBounds,
+  worldToScreen,
+  zoomAround
+} from '../lib/camera.js'
+import { canDraw, sanitizeAccess } from '../lib/roles.js'
 
-const clamp01 = n => Math.min(1, Math.max(0, n))
+const toScreenPoint = (evt, rect) => ({ x: evt.clientX - rect.left, y: evt.clientY - rect.top })
 
-const toCanvasPoint = (evt, rect) => ({
-  x: clamp01((evt.clientX - rect.left) / rect.width),
-  y: clamp01((evt.clientY - rect.top) / rect.height)
-})
+const toCanvasPoint = (evt, rect, camera) => quantizePoint(screenToWorld(camera, toScreenPoint(evt, rect)))
 
-const scalePoint = (pt, dims) => ({ x: pt.x * dims.width, y: pt.y * dims.height })
-
-const drawLine = (ctx, stroke, from, to, imageCache) => {
-  if (!from) return
-  const target = to || from
-  ctx.save()
-
-  const isShape = stroke.tool === 'rect' || stroke.tool === 'ellipse' || stroke.tool === 'line'
-  const isText = stroke.tool === 'text'
-  const isImage = stroke.tool === 'image'
-
-  if (stroke.tool === 'eraser') {
-    const dash = Math.max(10, stroke.size * 1.1)
-    const gap = Math.max(6, stroke.size * 0.7)
-    ctx.globalCompositeOperation = 'destination-out'
-    ctx.setLineDash([dash, gap])
-    ctx.strokeStyle = 'rgba(255,255,255,0.85)'
-  } else {
-    ctx.setLineDash([])
-    ctx.shadowColor = 'transparent'
-    ctx.shadowBlur = 0
-    ctx.strokeStyle = stroke.color
-    ctx.fillStyle = stroke.color
-  }
-  ctx.lineJoin = 'round'
-  ctx.lineCap = 'round'
-  const width = stroke.tool === 'eraser' ? stroke.size * 1.6 : Math.max(6, stroke.size)
-  ctx.lineWidth = width
-
-  if (isText) {
-    const fontSize = Math.max(14, stroke.size * 4)
-    ctx.font = `${fontSize}px "Inter", system-ui, sans-serif`
-    ctx.textBaseline = 'top'
-    ctx.fillText(stroke.text || '', target.x, target.y)
-    ctx.restore()
-    return
-  }
-
-  if (isImage) {
-    const src = stroke.src
-    const w = stroke.width || 180
-    const h = stroke.height || 180
-    if (!src) {
-      ctx.restore()
-      return
-    }
-    const drawImg = img => {
-      ctx.drawImage(img, target.x, target.y, w, h)
-    }
-    const cached = imageCache.get(src)
-    if (cached && cached.complete) {
-      drawImg(cached)
-      ctx.restore()
-      return
-    }
-    const img = cached || new Image()
-    img.onload = () => {
-      imageCache.set(src, img)
-      drawImg(img)
-    }
-    if (!cached) {
-      img.src = src
-      imageCache.set(src, img)
-    }
-    ctx.restore()
-    return
-  }
-
-  if (isShape) {
-    const x = Math.min(from.x, target.x)
-    const y = Math.min(from.y, target.y)
-    const w = Math.abs(target.x - from.x)
-    const h = Math.abs(target.y - from.y)
-    ctx.beginPath()
-    if (stroke.tool === 'rect') {
-      ctx.rect(x, y, w, h)
-    } else if (stroke.tool === 'ellipse') {
-      const rx = w / 2
-      const ry = h / 2
-      ctx.ellipse(x + rx, y + ry, rx, ry, 0, 0, Math.PI * 2)
-    } else {
-      ctx.moveTo(from.x, from.y)
-      ctx.lineTo(target.x, target.y)
-    }
-    ctx.stroke()
-    ctx.restore()
-    return
-  }
+// Screen-space reach of selection handles and click hit-testing, in CSS pixels.
+const HANDLE_SLOP = 8
+// How close, in CSS pixels, a shape corner has to come to another shape's edge or centre to snap.
+const GUIDE_SLOP = 6
+const HISTORY_LIMIT = 200
+const ROTATE_HANDLE_OFFSET = 28
+// Finished pen and eraser strokes are simplified to within this many screen pixels.
+const SIMPLIFY_TOLERANCE = 0.4
+
+const isStreamTool = tool => tool === 'pen' || tool === 'eraser'
 
-  ctx.beginPath()
-  ctx.moveTo(from.x, from.y)
-  ctx.lineTo(target.x, target.y)
-  ctx.stroke()
-  ctx.restore()
+// "Typing…" placeholders are refreshed while the editor is open and dropped when they go stale.
+const TYPING_REFRESH_MS = 4000
+const TYPING_TTL_MS = 10000
+// A click with the image tool places the picture at most this fraction of the view wide or high.
+const IMAGE_VIEW_FRACTION = 0.5
+// Dropped images after the first are staggered by this many screen pixels.
+const DROP_STAGGER = 24
+// How long a hint next to the pointer (e.g. a bucket fill that found no enclosed area) stays up.
+const NOTICE_MS = 1600
+
+const placeholderSize = ({ width, height }, viewport, zoom) => {
+  const scale = Math.min(1, (Math.min(viewport.width, viewport.height) * IMAGE_VIEW_FRACTION) / zoom / Math.max(width, height))
+  return { width: width * scale, height: height * scale }
 }
 
-const replayStrokes = (ctx, strokes, dims, imageCache) => {
-  ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height)
-  strokes
-    .slice()
-    .sort((a, b) => a.seq - b.seq)
-    .forEach(stroke => {
-      const pts = stroke.points || []
-      if (pts.length === 1) {
-        const p = scalePoint(pts[0], dims)
-        drawLine(ctx, stroke, p, p, imageCache)
-        return
-      }
-      for (let i = 1; i < pts.length; i += 1) {
-        const from = scalePoint(pts[i - 1], dims)
-        const to = scalePoint(pts[i], dims)
-        drawLine(ctx, stroke, from, to, imageCache)
-      }
-    })
+const selectionHandles = (box, camera) => {
+  const tl = worldToScreen(camera, { x: box.minX, y: box.minY })
+  const br = worldToScreen(camera, { x: box.maxX, y: box.maxY })
+  return {
+    corners: [
+      { key: 'nw', x: tl.x, y: tl.y, anchor: { x: box.maxX, y: box.maxY } },
+      { key: 'ne', x: br.x, y: tl.y, anchor: { x: box.minX, y: box.maxY } },
+      { key: 'se', x: br.x, y: br.y, anchor: { x: box.minX, y: box.minY } },
+      { key: 'sw', x: tl.x, y: br.y, anchor: { x: box.maxX, y: box.minY } }
+    ],
+    rotate: { x: (tl.x + br.x) / 2, y: tl.y - ROTATE_HANDLE_OFFSET },
+    frame: { left: tl.x, top: tl.y, width: br.x - tl.x, height: br.y - tl.y }
+  }
 }
 
 const CanvasBoard = forwardRef(function CanvasBoard(
-  { socket, user, tool, color, size, theme, imageSrc, onHistoryChange },
+  {
+    socket,
+    room,
+    user,
+    users = [],
+    tool,
+    eraserMode = 'pixel',
+    stylusOnly = false,
+    color,
+    opacity = 1,
+    fillMode = 'outline',
+    fillColor = null,
+    shapeOptions = {},
+    grid = DEFAULT_GRID,
+    following = null,
+    toolNames = {},
+    readOnly = false,
+    confirmAction,
+    onActivity,
+    onFollowTool,
+    onStopFollowing,
+    size,
+    theme,
+    imageSrc,
+    onHistoryChange,
+    onPendingChange,
+    onCommentsChange
+  },
   ref
 ) {
   const canvasRef = useRef(null)
-  const ctxRef = useRef(null)
+  const overlayRef = useRef(null)
+  const inkCanvasRef = useRef(null)
+  const layersRef = useRef(null)
   const dimsRef = useRef({ width: 0, height: 0 })
   const strokesRef = useRef([])
   const undoneRef = useRef([])
   const liveRef = useRef(new Map())
+  // Laser and disappearing-ink trails, ours and others', by id. Never part of the board.
+  const inkRef = useRef(new Map())
+  const inkBatchRef = useRef(new Map())
+  const inkFrameRef = useRef(null)
   const cursorRef = useRef(new Map())
+  const cursorFrameRef = useRef(null)
+  // Latest `presence` (view, tool, brush) of everyone else, by user id.
+  const presenceRef = useRef(new Map())
+  const lastPresenceRef = useRef(0)
   const imageCacheRef = useRef(new Map())
+  const outboxRef = useRef(loadQueue(room).map(normalizeStroke))
+  const cameraRef = useRef(DEFAULT_CAMERA)
+  const spaceHeldRef = useRef(false)
+  const minimapFrameRef = useRef(null)
+  const selectionRef = useRef([])
+  const draftRef = useRef(new Map())
+  const batchRef = useRef(new Map())
+  const plainPointsRef = useRef(false)
+  const erasingRef = useRef(new Set())
+  const typingRef = useRef(new Map())
+  const textEditRef = useRef(null)
+  const placementRef = useRef(null)
+  // Time stamp of the last stylus event, for rejecting the hand that holds it.
+  const lastPenRef = useRef(-Infinity)
+  // `{ resolve, reject }` of a pending eyedropper pick.
+  const pickRef = useRef(null)
+  // Style of the last text committed, used for the next new text box.
+  const textStyleRef = useRef({ fontFamily: 'sans', fontWeight: 'normal', align: 'left', highlight: null })
+  const batchFrameRef = useRef(null)
+  const [camera, setCameraState] = useState(DEFAULT_CAMERA)
+  const [viewport, setViewport] = useState({ width: 0, height: 0 })
+  const [minimapVersion, setMinimapVersion] = useState(0)
+  const [panning, setPanning] = useState(false)
+  const [selectionBox, setSelectionBox] = useState(null)
+  const [marquee, setMarquee] = useState(null)
+  const [guides, setGuides] = useState([])
+  const [playback, setPlayback] = useState(null)
   const [cursors, setCursors] = useState([])
+  const [typing, setTyping] = useState([])
+  const [textEdit, setTextEdit] = useState(null)
+  const [picking, setPicking] = useState(null)
+  const [notice, setNotice] = useState(null)
   const [ready, setReady] = useState(false)
-  const [metrics, setMetrics] = useState({ fps: 0, latency: null })
+  const [pendingCount, setPendingCount] = useState(outboxRef.current.length)
+  const [metrics, setMetrics] = useState({ fps: 0, latency: null, frame: { avg: 0, max: 0 } })
+  const [comments, setComments] = useState([])
+  // Id of the thread shown at its pin, or the `{ x, y, strokeId? }` spot of a comment being written.
+  const [openComment, setOpenComment] = useState(null)
+  const [commentDraft, setCommentDraft] = useState(null)
+  const [seen, setSeen] = useState(() => loadSeen(room))
+  // Socket and input handlers are not re-bound when following starts or stops, so they read this.
+  const followRef = useRef(null)
+  followRef.current = { following, onFollowTool, onStopFollowing }
 
   const dpr = useMemo(() => Math.min(window.devicePixelRatio || 1, 2), [])
 
   const cursorStyle = useMemo(() => {
+    if (picking) return 'crosshair'
+    if (panning) return 'grabbing'
+    if (tool === 'comment') return 'cell'
+    if (readOnly) return 'grab'
+    if (tool === 'select') return 'default'
     if (tool !== 'eraser') return 'crosshair'
-    const r = Math.max(6, Math.min(size * 1.1, 28))
+    const r = Math.max(4, Math.min((strokeWidth({ tool, size }) / 2) * camera.zoom, 60))
     const stroke = theme === 'light' ? '#0f172a' : '#ffffff'
     const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${r * 2}" height="${r * 2}" viewBox="0 0 ${r * 2} ${r * 2}"><circle cx="${r}" cy="${r}" r="${r - 2}" fill="none" stroke="${stroke}" stroke-width="2"/></svg>`
     return `url("data:image/svg+xml,${encodeURIComponent(svg)}") ${r} ${r}, crosshair`
-  }, [tool, size, theme])
+  }, [tool, size, theme, panning, camera.zoom, picking, readOnly])
+
+  const userRef = useRef(user)
+  userRef.current = user
+  const themeRef = useRef(theme)
+  themeRef.current = theme
+
+  const isMine = stroke => Boolean(userRef.current) && stroke.userId === userRef.current.id
+
+  const latestBySeq = strokes => strokes.reduce((best, s) => (!best || (s.seq ?? 0) > (best.seq ?? 0) ? s : best), null)
 
   const updateHistoryState = () => {
-    const canUndo = strokesRef.current.length > 0
-    const canRedo = undoneRef.current.length > 0
-    onHistoryChange?.({ canUndo, canRedo })
+    const active = strokesRef.current
+    const undone = undoneRef.current
+    const entries = [
+      ...active.map(stroke => ({ stroke, undone: false })),
+      ...undone.map(stroke => ({ stroke, undone: true }))
+    ]
+      .sort((a, b) => (b.stroke.seq ?? 0) - (a.stroke.seq ?? 0))
+      .slice(0, HISTORY_LIMIT)
+      .map(({ stroke, undone: isUndone }) => ({
+        id: stroke.id,
+        userId: stroke.userId,
+        tool: stroke.tool,
+        color: stroke.color,
+        seq: stroke.seq,
+        createdAt: stroke.createdAt,
+        undone: isUndone
+      }))
+    onHistoryChange?.({
+      canUndo: active.some(isMine),
+      canRedo: undone.some(isMine),
+      canUndoAll: active.length > 0,
+      canRedoAll: undone.length > 0,
+      entries
+    })
+  }
+
+  // Undoing or reverting someone else's work asks first.
+  const confirmForeign = (stroke, action, run, { restores = false } = {}) => {
+    if (!stroke || stroke.userId === user?.id || !confirmAction) {
+      run()
+      return
+    }
+    const owner = users.find(u => u.id === stroke.userId)?.name || 'someone else'
+    confirmAction({
+      title: `${action} ${owner}’s work?`,
+      message: restores
+        ? 'It comes back for everyone in the room, and they see that you did it. Undo takes it back again.'
+        : 'It is taken back for everyone in the room, and they see that you did it. Redo brings it back.',
+      confirmLabel: action,
+      onConfirm: run
+    })
+  }
+
+  // `scope` is 'mine' (default) or 'global'. Scoped requests name the stroke so the server
+  // never picks a teammate's work; global ones leave the choice to the server as before.
+  const undo = (scope = 'mine') => {
+    if (!socket || readOnly) return
+    if (scope === 'global') {
+      confirmForeign(latestBySeq(strokesRef.current), 'Undo', () => socket.emit('undo', { scope: 'global' }))
+      return
+    }
+    const target = latestBySeq(strokesRef.current.filter(isMine))
+    if (target) socket.emit('undo', { strokeId: target.id })
+  }
+
+  const redo = (scope = 'mine') => {
+    if (!socket || readOnly) return
+    if (scope === 'global') {
+      const latest = undoneRef.current[undoneRef.current.length - 1]
+      confirmForeign(latest, 'Redo', () => socket.emit('redo', { scope: 'global' }), { restores: true })
+      return
+    }
+    const mine = undoneRef.current.filter(isMine)
+    const target = mine[mine.length - 1]
+    if (target) socket.emit('redo', { strokeId: target.id })
+  }
+
+  const syncOutbox = () => {
+    saveQueue(room, outboxRef.current)
+    setPendingCount(outboxRef.current.length)
+    onPendingChange?.(outboxRef.current.length)
+  }
+
+  // Finished local strokes the server has not committed yet, drawn on top of the snapshot.
+  const pendingStrokes = () => {
+    const committed = new Set(strokesRef.current.map(s => s.id))
+    return outboxRef.current
+      .filter(entry => entry.ended && !committed.has(entry.id))
+      .map(entry => (entry.sent ? entry : { ...entry, pending: true }))
+  }
+
+  // Committed strokes as the board shows them, with transforms and erasures (committed, queued or
+  // still under the pointer) applied.
+  const boardStrokes = () => {
+    const queued = outboxRef.current.filter(isEditRecord)
+    const strokes = resolveEdits(queued.length ? [...strokesRef.current, ...queued] : strokesRef.current)
+    const erasing = erasingRef.current
+    return erasing.size ? strokes.filter(s => !erasing.has(s.id)) : strokes
+  }
+
+  const visibleStrokes = () => [...boardStrokes(), ...pendingStrokes().filter(s => !isEditRecord(s))]
+
+  // Everything not yet in the committed cache: local strokes (drawing or queued) and remote ones in flight.
+  const transientStrokes = () => {
+    const committed = new Set(strokesRef.current.map(s => s.id))
+    const local = outboxRef.current
+      .filter(entry => !committed.has(entry.id))
+      .map(entry => (entry.ended && !entry.sent ? { ...entry, pending: true } : entry))
+    const localIds = new Set(local.map(s => s.id))
+    const remote = Array.from(liveRef.current.values()).filter(s => !committed.has(s.id) && !localIds.has(s.id))
+    const placing = placementRef.current ? [placementRef.current] : []
+    return [...local, ...remote, ...draftRef.current.values(), ...placing]
+  }
+
+  // Strokes being transformed are lifted out of the cache and drawn from their drafts; text being
+  // edited is hidden behind its editor.
+  const cachedStrokes = () => {
+    const editingId = textEditRef.current?.id
+    if (!draftRef.current.size && !editingId) return boardStrokes()
+    return boardStrokes().filter(s => !draftRef.current.has(s.id) && s.id !== editingId)
+  }
+
+  // The current version of a stroke, including one being dragged or still queued.
+  const strokeById = id => draftRef.current.get(id) || visibleStrokes().find(s => s.id === id)
+
+  const selectedStrokes = () =>
+    boardStrokes()
+      .filter(s => selectionRef.current.includes(s.id))
+      .map(s => draftRef.current.get(s.id) || s)
+
+  const refreshSelection = () => {
+    const present = new Set(boardStrokes().map(s => s.id))
+    if (selectionRef.current.some(id => !present.has(id))) {
+      selectionRef.current = selectionRef.current.filter(id => present.has(id))
+    }
+    setSelectionBox(selectionBounds(selectedStrokes()))
+  }
+
+  const selectIds = ids => {
+    selectionRef.current = ids
+    refreshSelection()
+  }
+
+  const applyStrokeUpdates = updates => {
+    const layers = layersRef.current
+    updates.forEach(update => {
+      const idx = strokesRef.current.findIndex(s => s.id === update.id)
+      if (idx === -1) return
+      const prev = strokesRef.current[idx]
+      const next = { ...prev, ...update }
+      strokesRef.current[idx] = next
+      layers?.invalidate(strokeBounds(prev))
+      layers?.invalidate(strokeBounds(next))
+    })
+    refreshSelection()
+    scheduleMinimap()
+  }
+
+  // Edit records have no geometry of their own; what changes on screen is their targets. A
+  // transform may be one of several stacked on the same strokes, so the board is rebuilt.
+  const invalidateStroke = stroke => {
+    const layers = layersRef.current
+    if (!layers) return
+    if (!isEditRecord(stroke)) {
+      layers.invalidate(strokeBounds(stroke))
+      return
+    }
+    if (isTransform(stroke)) {
+      layers.reset()
+      return
+    }
+    const targets = new Set(stroke.targets || [])
+    applyTransforms(strokesRef.current)
+      .filter(s => targets.has(s.id))
+      .forEach(s => layers.invalidate(strokeBounds(s)))
+  }
+
+  const removeStrokes = ids => {
+    const doomed = new Set(ids)
+    strokesRef.current = strokesRef.current.filter(stroke => {
+      if (!doomed.has(stroke.id)) return true
+      layersRef.current?.invalidate(strokeBounds(stroke))
+      return false
+    })
+    refreshSelection()
+    scheduleMinimap()
+    updateHistoryState()
+  }
+
+  // Removes strokes for everyone as one undoable erasure record.
+  const eraseStrokes = strokes => {
+    if (!strokes.length || !user) return
+    const record = { id: uuid(), userId: user.id, tool: 'erasure', space: 'world', targets: strokes.map(s => s.id), points: [] }
+    queueStart(record)
+    queueEnd(record)
+    strokes.forEach(s => layersRef.current?.invalidate(strokeBounds(s)))
+    refreshSelection()
+    scheduleMinimap()
+  }
+
+  // Taking other people's strokes with a deleted selection asks first.
+  const deleteSelection = () => {
+    const doomed = selectedStrokes()
+    if (!doomed.length || !user || readOnly) return
+    const remove = () => {
+      selectIds([])
+      eraseStrokes(doomed)
+    }
+    const others = doomed.filter(s => s.userId !== user.id).length
+    if (!others || !confirmAction) {
+      remove()
+      return
+    }
+    confirmAction({
+      title: 'Delete other people’s work?',
+      message: `${others} of the ${doomed.length} selected ${doomed.length === 1 ? 'item was' : 'items were'} drawn by someone else. They are removed for everyone; undo brings them back.`,
+      confirmLabel: 'Delete',
+      onConfirm: remove
+    })
+  }
+
+  const scheduleMinimap = () => {
+    if (minimapFrameRef.current) return
+    minimapFrameRef.current = requestAnimationFrame(() => {
+      minimapFrameRef.current = null
+      setMinimapVersion(v => v + 1)
+    })
+  }
+
+  const refreshTransient = () => {
+    layersRef.current?.refresh()
+    scheduleMinimap()
+  }
+
+  const resetBoard = () => {
+    layersRef.current?.reset()
+    scheduleMinimap()
+  }
+
+  const setCamera = next => {
+    cameraRef.current = next
+    setCameraState(next)
+    layersRef.current?.setCamera(next)
+    scheduleMinimap()
+  }
+
+  // Moving the view by hand ends following someone else's.
+  const stopFollowing = () => {
+    if (followRef.current.following) followRef.current.onStopFollowing?.()
+  }
+
+  const followView = presence => {
+    if (presence.view) setCamera(followCamera(presence.view, dimsRef.current))
+    if (presence.tool) followRef.current.onFollowTool?.(presence.tool)
+  }
+
+  // Cursors glide toward their latest point; the loop stops once every cursor has arrived.
+  const animateCursors = () => {
+    if (cursorFrameRef.current) return
+    let last = performance.now()
+    const step = now => {
+      const zoom = cameraRef.current.zoom
+      let moving = false
+      cursorRef.current.forEach((cursor, userId) => {
+        if (!isMoving(cursor)) return
+        const next = easeCursor(cursor, now - last, zoom)
+        cursorRef.current.set(userId, next)
+        moving = moving || isMoving(next)
+      })
+      last = now
+      setCursors(Array.from(cursorRef.current.values()))
+      cursorFrameRef.current = moving ? requestAnimationFrame(step) : null
+    }
+    cursorFrameRef.current = requestAnimationFrame(step)
+  }
+
+  const zoomToFit = () => {
+    stopFollowing()
+    setCamera(fitBounds(boardBounds(visibleStrokes()), dimsRef.current))
+  }
+
+  const zoomBy = factor => {
+    stopFollowing()
+    const center = { x: dimsRef.current.width / 2, y: dimsRef.current.height / 2 }
+    setCamera(zoomAround(cameraRef.current, center, cameraRef.current.zoom * factor))
+  }
+
+  const inkTrails = () => {
+    pruneTrails(inkRef.current, performance.now())
+    return Array.from(inkRef.current.values())
+  }
+
+  // Ink goes out once per frame like stroke points, but straight to the socket: it is never queued,
+  // so points drawn while offline are simply not seen by anyone else.
+  const flushInk = () => {
+    cancelAnimationFrame(inkFrameRef.current)
+    inkFrameRef.current = null
+    if (socket?.connected) {
+      inkBatchRef.current.forEach(({ trail, points }) => {
+        socket.emit('ink:points', {
+          strokeId: trail.id,
+          tool: trail.tool,
+          color: trail.color,
+          size: trail.size,
+          space: 'world',
+          ...encodePoints(points)
+        })
+      })
+    }
+    inkBatchRef.current.clear()
+  }
+
+  const drawInk = (trail, points) => {
+    extendTrail(trail, points, performance.now())
+    layersRef.current?.refreshInk()
+    const pending = inkBatchRef.current.get(trail.id)
+    if (pending) pending.points.push(...points)
+    else inkBatchRef.current.set(trail.id, { trail, points: [...points] })
+    if (!inkFrameRef.current) inkFrameRef.current = requestAnimationFrame(flushInk)
+  }
+
+  const liftInk = trail => {
+    flushInk()
+    if (socket?.connected) socket.emit('ink:end', { strokeId: trail.id })
+    endTrail(trail, performance.now())
+    layersRef.current?.refreshInk()
+  }
+
+  // Comments show at once; the server's echo (`comment:added` and so on) then confirms them.
+  const addComment = text => {
+    if (!socket || !user || !commentDraft) return
+    const thread = createComment(user, commentDraft, text)
+    setComments(prev => upsertComment(prev, thread))
+    socket.emit('comment:add', commentPayload(thread))
+    setCommentDraft(null)
+    setOpenComment(thread.id)
+  }
+
+  const replyToComment = (commentId, text) => {
+    if (!socket || !user) return
+    const reply = createReply(user, text)
+    setComments(prev => addReply(prev, commentId, reply))
+    socket.emit('comment:reply', { commentId, id: reply.id, text, createdAt: reply.createdAt })
+  }
+
+  const resolveComment = (commentId, resolved) => {
+    if (!socket) return
+    setComments(prev => setResolved(prev, commentId, resolved))
+    socket.emit('comment:resolve', { commentId, resolved })
+  }
+
+  const closeComment = () => {
+    setOpenComment(null)
+    setCommentDraft(null)
+  }
+
+  // `stroke:end` carries the final (simplified) point list; the server stores it in place of the
+  // streamed batches, which only feed live previews.
+  // A connector only learns which shape its end is attached to when it is released.
+  const endPayload = entry => ({ strokeId: entry.id, ...encodePoints(entry.points), ...(entry.endId && { endId: entry.endId }) })
+
+  // A stroke sent whole (after reconnecting) still streams its points once for a server without
+  // the packed format, which ignores the points on `stroke:end`.
+  const flushEntry = entry => {
+    socket.emit('stroke:start', startPayload(entry))
+    if (plainPointsRef.current && entry.points.length) {
+      socket.emit('stroke:points', { strokeId: entry.id, ...wirePoints(entry.points, true) })
+    }
+    socket.emit('stroke:end', endPayload(entry))
+    entry.sent = true
+  }
+
+  // Points are sent at most once per animation frame and stroke. Shape previews need both corners,
+  // text and image previews only their latest point.
+  const flushBatches = () => {
+    if (batchFrameRef.current) cancelAnimationFrame(batchFrameRef.current)
+    batchFrameRef.current = null
+    if (socket?.connected) {
+      batchRef.current.forEach((points, strokeId) => {
+        socket.emit('stroke:points', { strokeId, ...wirePoints(points, plainPointsRef.current) })
+      })
+    }
+    batchRef.current.clear()
+  }
+
+  const queueStart = stroke => {
+    stroke.createdAt = stroke.createdAt ?? Date.now()
+    stroke.ended = false
+    stroke.sent = Boolean(socket?.connected)
+    outboxRef.current.push(stroke)
+    if (stroke.sent) {
+      socket.emit('stroke:start', startPayload(stroke))
+    }
+    syncOutbox()
+  }
+
+  const queuePoints = (stroke, points) => {
+    if (!stroke.sent || !socket?.connected || !points.length) return
+    const batch = batchRef.current.get(stroke.id) || []
+    const latest = isShapeTool(stroke.tool) ? points.slice(-2) : points.slice(-1)
+    batchRef.current.set(stroke.id, isStreamTool(stroke.tool) ? [...batch, ...points] : latest)
+    if (!batchFrameRef.current) {
+      batchFrameRef.current = requestAnimationFrame(flushBatches)
+    }
+  }
+
+  const queueEnd = stroke => {
+    stroke.ended = true
+    if (socket?.connected) {
+      if (stroke.sent) {
+        flushBatches()
+        socket.emit('stroke:end', endPayload(stroke))
+      } else {
+        flushEntry(stroke)
+      }
+    }
+    syncOutbox()
+  }
+
+  // Takes back a stroke that should not have been drawn: a rejected palm, or a shape that was
+  // only clicked. Others drop their live copy on `stroke:cancel`.
+  const abandonStroke = stroke => {
+    outboxRef.current = outboxRef.current.filter(entry => entry !== stroke)
+    batchRef.current.delete(stroke.id)
+    if (stroke.sent && socket?.connected) socket.emit('stroke:cancel', { strokeId: stroke.id })
+    syncOutbox()
+    // Eraser segments are painted straight onto the base layer, which has to be rebuilt.
+    if (stroke.tool === 'eraser') resetBoard()
+    else refreshTransient()
   }
 
   const clearLocal = () => {
@@ -161,45 +684,370 @@ const CanvasBoard = forwardRef(function CanvasBoard(
     undoneRef.current = []
     liveRef.current.clear()
     cursorRef.current.clear()
+    draftRef.current.clear()
+    erasingRef.current.clear()
     setCursors([])
-    if (ctxRef.current) {
-      ctxRef.current.clearRect(0, 0, ctxRef.current.canvas.width, ctxRef.current.canvas.height)
-    }
+    selectIds([])
+    // Comments are pinned to the board, so they go with it.
+    setComments([])
+    closeComment()
+    resetBoard()
     updateHistoryState()
   }
 
+  const placeImage = (image, anchor, { width, height }) => {
+    if (!user) return
+    const stroke = {
+      id: uuid(),
+      userId: user.id,
+      tool: 'image',
+      space: 'world',
+      color,
+      size,
+      asset: image.asset,
+      width,
+      height,
+      points: [anchor]
+    }
+    queueStart(stroke)
+    queuePoints(stroke, [anchor])
+    queueEnd(stroke)
+    refreshTransient()
+  }
+
+  // Image files dropped on the board are placed centred on the drop point.
+  const handleDrop = async evt => {
+    const files = Array.from(evt.dataTransfer?.files || []).filter(file => file.type.startsWith('image/'))
+    if (!files.length) return
+    evt.preventDefault()
+    if (readOnly) return
+    const cam = cameraRef.current
+    const bounds = canvasRef.current.getBoundingClientRect()
+    const dropPoint = toCanvasPoint(evt, bounds, cam)
+    const noticeAt = { x: evt.clientX - bounds.left, y: evt.clientY - bounds.top }
+    for (const [index, file] of files.entries()) {
+      try {
+        const image = await addImageFile(file, socket)
+        const box = placeholderSize(image, dimsRef.current, cam.zoom)
+        const offset = (index * DROP_STAGGER) / cam.zoom
+        placeImage(image, { x: dropPoint.x - box.width / 2 + offset, y: dropPoint.y - box.height / 2 + offset }, box)
+      } catch (err) {
+        setNotice({ ...noticeAt, text: err.message || `${file.name} could not be added` })
+      }
+    }
+  }
+
+  const handleDragOver = evt => {
+    if (Array.from(evt.dataTransfer?.types || []).includes('Files')) evt.preventDefault()
+  }
+
+  const openTextEditor = edit => {
+    textEditRef.current = edit
+    setTextEdit(edit)
+    const stroke = edit.id && boardStrokes().find(s => s.id === edit.id)
+    if (stroke) {
+      selectIds([])
+      layersRef.current?.invalidate(strokeBounds(stroke))
+    }
+    socket?.emit('text:typing', { active: true, x: edit.anchor.x, y: edit.anchor.y, space: 'world' })
+  }
+
+  // Notes are written in the same editor, laid over the note with `anchor` at its top-left corner.
+  const openStickyEditor = stroke => {
+    const box = stickyBox(stroke)
+    const existing = stroke.id !== 'placement'
+    openTextEditor({
+      ...textStyleRef.current,
+      ...(existing && {
+        fontFamily: stroke.fontFamily || 'sans',
+        fontWeight: stroke.fontWeight || 'normal',
+        align: stroke.align || 'left'
+      }),
+      kind: 'sticky',
+      id: existing ? stroke.id : null,
+      anchor: { x: box.x, y: box.y },
+      box,
+      text: stroke.text || '',
+      fill: stroke.fill,
+      color: stroke.color || STICKY_INK,
+      opacity: stroke.opacity ?? 1,
+      size: stroke.size,
+      boxWidth: Math.max(1, box.width - STICKY_PADDING * 2),
+      highlight: null
+    })
+  }
+
+  const updateTextEdit = patch => {
+    if (!textEditRef.current) return
+    textEditRef.current = { ...textEditRef.current, ...patch }
+    setTextEdit(textEditRef.current)
+  }
+
+  const closeTextEditor = () => {
+    const edit = textEditRef.current
+    if (!edit) return
+    textEditRef.current = null
+    setTextEdit(null)
+    if (edit.id) {
+      const stroke = boardStrokes().find(s => s.id === edit.id)
+      if (stroke) layersRef.current?.invalidate(strokeBounds(stroke))
+    }
+    socket?.emit('text:typing', { active: false })
+  }
+
+  // A new note goes through the stroke queue like text, but emptying a note keeps it.
+  const commitSticky = (edit, text) => {
+    const style = { fontFamily: edit.fontFamily, fontWeight: edit.fontWeight, align: edit.align }
+    const existing = edit.id && strokesRef.current.find(s => s.id === edit.id)
+    if (existing) {
+      const next = { ...existing, ...style, text, fill: edit.fill }
+      applyStrokeUpdates([next])
+      socket?.emit('stroke:update', { strokes: [updatePayload(next)] })
+    } else if (!edit.id && user) {
+      const { x, y, width, height } = edit.box
+      const points = [quantizePoint({ x, y }), quantizePoint({ x: x + width, y: y + height })]
+      const note = {
+        id: uuid(),
+        userId: user.id,
+        tool: 'sticky',
+        space: 'world',
+        color: edit.color,
+        opacity: edit.opacity,
+        size: edit.size,
+        fill: edit.fill,
+        text,
+        ...style,
+        points
+      }
+      queueStart(note)
+      queuePoints(note, points)
+      queueEnd(note)
+      refreshTransient()
+    }
+    textStyleRef.current = { ...textStyleRef.current, ...style }
+    closeTextEditor()
+  }
+
+  // New text goes through the stroke queue; edits to existing text are a `stroke:update`, and
+  // clearing an existing text box deletes it.
+  const commitText = () => {
+    const edit = textEditRef.current
+    if (!edit) return
+    const text = edit.text.replace(/\s+$/, '')
+    if (edit.kind === 'sticky') {
+      commitSticky(edit, text)
+      return
+    }
+    const style = {
+      fontFamily: edit.fontFamily,
+      fontWeight: edit.fontWeight,
+      align: edit.align,
+      boxWidth: edit.boxWidth,
+      highlight: edit.highlight
+    }
+    const existing = edit.id && strokesRef.current.find(s => s.id === edit.id)
+    // The editor showed the text as scaled by any standing transforms; its box width is stored
+    // at the committed stroke's own scale.
+    const shown = existing && boardStrokes().find(s => s.id === existing.id)
+    if (existing && !text) {
+      eraseStrokes(shown ? [shown] : [])
+    } else if (existing) {
+      const next = { ...existing, ...style, boxWidth: (style.boxWidth * existing.size) / (shown?.size || existing.size), text }
+      applyStrokeUpdates([next])
+      socket?.emit('stroke:update', { strokes: [updatePayload(next)] })
+    } else if (!edit.id && text && user) {
+      const textStroke = {
+        id: uuid(),
+        userId: user.id,
+        tool: 'text',
+        space: 'world',
+        color: edit.color,
+        opacity: edit.opacity,
+        size: edit.size,
+        text,
+        ...style,
+        points: [edit.anchor]
+      }
+      queueStart(textStroke)
+      queuePoints(textStroke, [edit.anchor])
+      queueEnd(textStroke)
+      refreshTransient()
+    }
+    const { fontFamily, fontWeight, align, highlight } = style
+    textStyleRef.current = { fontFamily, fontWeight, align, highlight }
+    closeTextEditor()
+  }
+
+  // The board pixel under the pointer, as it looks over the theme background. Canvases holding
+  // cross-origin images (older `src` strokes) cannot be read back.
+  const sampleColor = evt => {
+    const canvas = canvasRef.current
+    const bounds = canvas.getBoundingClientRect()
+    const x = Math.floor(((evt.clientX - bounds.left) * canvas.width) / bounds.width)
+    const y = Math.floor(((evt.clientY - bounds.top) * canvas.height) / bounds.height)
+    const pixel = canvas.getContext('2d').getImageData(x, y, 1, 1).data
+    return flattenPixel(pixel, THEME_BACKGROUNDS[themeRef.current])
+  }
+
+  const finishPick = (hex, error) => {
+    const pending = pickRef.current
+    pickRef.current = null
+    setPicking(null)
+    if (error) pending?.reject(error)
+    else pending?.resolve(hex)
+  }
+
   useImperativeHandle(ref, () => ({
-    exportSession: () => ({
-      strokes: strokesRef.current.map(stroke => ({
-        ...stroke,
-        points: stroke.points.map(p => ({ ...p }))
-      }))
-    }),
-    importSession: payload => {
-      if (!payload?.strokes || !ctxRef.current) return
-      strokesRef.current = payload.strokes.map(stroke => ({
-        ...stroke,
-        points: stroke.points.map(p => ({ ...p }))
-      }))
-      undoneRef.current = []
-      replayStrokes(ctxRef.current, strokesRef.current, dimsRef.current, imageCacheRef.current)
-      updateHistoryState()
+    // Chat lives outside the board, so its `messages` are handed in.
+    exportSession: ({ messages } = {}) => createSession(boardStrokes(), room, { comments, messages }),
+    // `strokes` come from parseSession. They are sent through the normal stroke flow (and the
+    // offline queue) under fresh ids, so every collaborator receives them and merges never collide.
+    // Comment threads are posted again under fresh ids; chat messages stay in the file.
+    importSession: async ({ strokes, assets = {}, comments: threads = [] }, { mode = 'merge' } = {}) => {
+      if (!socket || !user || readOnly) return 0
+      // The file's asset ids are only labels: the bytes are hashed again and strokes point at that.
+      const assetIds = new Map(
+        await Promise.all(
+          Object.entries(assets).map(async ([id, dataUrl]) => [id, await registerAsset(await dataUrlToBlob(dataUrl))])
+        )
+      )
+      new Set(assetIds.values()).forEach(id => queueUpload(socket, id))
+      if (mode === 'replace') {
+        outboxRef.current = []
+        clearLocal()
+        socket.emit('clear')
+      }
+      // Connectors keep pointing at their shapes under the new ids.
+      const newIds = strokes.map(() => uuid())
+      const freshIds = new Map(strokes.map((imported, i) => [imported.id, newIds[i]]))
+      const remap = id => (id ? freshIds.get(id) : undefined)
+      strokes.forEach((imported, i) => {
+        const { seq, ...rest } = imported
+        const entry = {
+          ...rest,
+          id: newIds[i],
+          startId: remap(imported.startId),
+          endId: remap(imported.endId),
+          ...(imported.asset && { asset: assetIds.get(imported.asset) }),
+          userId: user.id,
+          points: imported.points.map(p => ({ ...p })),
+          ended: true,
+          sent: false
+        }
+        outboxRef.current.push(entry)
+        if (socket.connected) flushEntry(entry)
+      })
+      threads.forEach(imported => {
+        const thread = {
+          ...createComment(user, { x: imported.x, y: imported.y, strokeId: remap(imported.strokeId) }, imported.text),
+          resolved: imported.resolved,
+          replies: imported.replies.map(reply => ({ ...reply, id: uuid() }))
+        }
+        setComments(prev => upsertComment(prev, thread))
+        socket.emit('comment:add', commentPayload(thread))
+      })
+      syncOutbox()
+      refreshTransient()
+      return strokes.length + threads.length
+    },
+    // Resolves to `{ blob, extension }`, or null when the chosen region has nothing in it.
+    exportImage: async ({ format, scale = 1, background = 'theme', region = 'board' }) => {
+      const exporter = EXPORT_FORMATS[format]
+      if (!exporter) throw new Error(`Unknown export format: ${format}`)
+      // Our own strokes still queued offline are on screen, so they are exported too, at full
+      // opacity rather than faded as pending.
+      const strokes = (region === 'selection' ? selectedStrokes() : visibleStrokes()).map(({ pending, ...stroke }) => stroke)
+      if (!strokes.length) return null
+      const bounds = region === 'viewport' ? viewportBounds(cameraRef.current, dimsRef.current) : exportBounds(strokes)
+      if (!bounds) return null
+      const blob = await exporter.render({
+        strokes,
+        bounds,
+        scale,
+        background: background === 'transparent' ? null : THEME_BACKGROUNDS[theme],
+        imageCache: imageCacheRef.current
+      })
+      return { blob, extension: exporter.extension }
     },
-    clearCanvas: clearLocal
+    undo,
+    redo,
+    revert: strokeId => {
+      if (readOnly || !socket) return
+      confirmForeign(strokesRef.current.find(s => s.id === strokeId), 'Revert', () => socket.emit('undo', { strokeId }))
+    },
+    restore: strokeId => {
+      if (readOnly || !socket) return
+      const stroke = undoneRef.current.find(s => s.id === strokeId)
+      confirmForeign(stroke, 'Restore', () => socket.emit('redo', { strokeId }), { restores: true })
+    },
+    // Freezes the history (strokes as drawn plus the erasures and transforms applied to them, queued
+    // ones included) and the current view for the time-lapse player.
+    togglePlayback: () =>
+      setPlayback(prev =>
+        prev ? null : { strokes: [...strokesRef.current, ...outboxRef.current.filter(isEditRecord)], camera: cameraRef.current }
+      ),
+    clearCanvas: () => {
+      outboxRef.current = []
+      syncOutbox()
+      clearLocal()
+    },
+    // Resolves to the color of the next board pixel clicked, or null when cancelled.
+    pickColor: () =>
+      new Promise((resolve, reject) => {
+        pickRef.current?.resolve(null)
+        pickRef.current = { resolve, reject }
+        setPicking({})
+      }),
+    cancelPick: () => finishPick(null)
   }))
 
+  useEffect(() => {
+    if (!notice) return undefined
+    const timer = setTimeout(() => setNotice(null), NOTICE_MS)
+    return () => clearTimeout(timer)
+  }, [notice])
+
+  const isPicking = Boolean(picking)
+  useEffect(() => {
+    if (!isPicking) return undefined
+    const handleKey = evt => {
+      if (evt.key === 'Escape') finishPick(null)
+    }
+    window.addEventListener('keydown', handleKey)
+    return () => window.removeEventListener('keydown', handleKey)
+  }, [isPicking])
+
   useEffect(() => {
     const canvas = canvasRef.current
-    if (!canvas) return
+    if (!canvas || !overlayRef.current || !inkCanvasRef.current) return
     const rect = canvas.getBoundingClientRect()
-    canvas.width = rect.width * dpr
-    canvas.height = rect.height * dpr
     dimsRef.current = { width: rect.width, height: rect.height }
-    const ctx = canvas.getContext('2d')
-    ctxRef.current = ctx
-    ctx.scale(dpr, dpr)
+    setViewport(dimsRef.current)
+    const layers = createLayers({
+      base: canvas,
+      overlay: overlayRef.current,
+      ink: inkCanvasRef.current,
+      dpr,
+      imageCache: imageCacheRef.current,
+      getCommitted: cachedStrokes,
+      getTransient: transientStrokes,
+      getInk: inkTrails
+    })
+    layers.resize(rect.width, rect.height)
+    layers.setCamera(cameraRef.current)
+    layersRef.current = layers
+    const stopImages = onImageLoad(resetBoard)
+    return () => {
+      stopImages()
+      layers.destroy()
+      layersRef.current = null
+    }
   }, [dpr])
 
+  useEffect(() => {
+    onPendingChange?.(outboxRef.current.length)
+  }, [onPendingChange])
+
   useEffect(() => {
     let frameId
     let frames = 0
@@ -210,7 +1058,8 @@ const CanvasBoard = forwardRef(function CanvasBoard(
       frames += 1
       if (now - last >= 1000) {
         const fps = Math.round((frames * 1000) / (now - last))
-        setMetrics(prev => ({ ...prev, fps }))
+        const frame = layersRef.current?.takeStats() || { avg: 0, max: 0 }
+        setMetrics(prev => ({ ...prev, fps, frame }))
         frames = 0
         last = now
       }
@@ -246,40 +1095,77 @@ const CanvasBoard = forwardRef(function CanvasBoard(
       if (dimsRef.current.width === 0 && canvasRef.current) {
         const rect = canvasRef.current.getBoundingClientRect()
         dimsRef.current = { width: rect.width, height: rect.height }
+        setViewport(dimsRef.current)
       }
-      const incoming = Array.isArray(payload.strokes) ? payload.strokes : []
+      const incoming = Array.isArray(payload.strokes) ? payload.strokes.map(normalizeStroke) : []
       strokesRef.current = incoming
       undoneRef.current = []
-      updateHistoryState()
-      if (ctxRef.current) {
-        replayStrokes(ctxRef.current, strokesRef.current, dimsRef.current, imageCacheRef.current)
+      plainPointsRef.current = !payload.packedPoints
+
+      // Reconcile the offline queue against the fresh snapshot: strokes the server already
+      // has are acknowledged, finished ones are resent in their original order, and a stroke
+      // still being drawn is sent whole when it ends. Without the right to draw (the props
+      // catch up only after this `init`), the rest would be refused, so it is dropped.
+      const known = new Set(incoming.map(s => s.id))
+      const unsent = outboxRef.current.filter(entry => !known.has(entry.id))
+      const writable = canDraw(sanitizeAccess(payload.access), payload.user?.id)
+      outboxRef.current = writable ? unsent : []
+      if (!writable && unsent.length) {
+        onActivity?.({
+          kind: 'denied',
+          reason: `${unsent.length} queued ${unsent.length === 1 ? 'stroke was' : 'strokes were'} dropped: you can’t draw on this board`
+        })
       }
+      new Set(outboxRef.current.filter(isAssetStroke).map(entry => entry.asset)).forEach(id => {
+        queueUpload(socket, id)
+      })
+      outboxRef.current.forEach(entry => {
+        entry.sent = false
+        if (entry.ended) flushEntry(entry)
+      })
+      syncOutbox()
+
+      updateHistoryState()
+      refreshSelection()
+      resetBoard()
+      setComments(sanitizeComments(payload.comments))
       setReady(true)
     }
 
+    const handleDisconnect = () => {
+      outboxRef.current.forEach(entry => {
+        entry.sent = false
+      })
+      syncOutbox()
+    }
+
     const handleStrokeStart = stroke => {
-      if (!ctxRef.current) return
-      liveRef.current.set(stroke.id, { ...stroke, points: [] })
+      if (!layersRef.current) return
+      liveRef.current.set(stroke.id, { ...stroke, points: [], space: 'world', sourceSpace: stroke.space })
     }
 
     const handleStrokePoints = payload => {
-      const ctx = ctxRef.current
-      if (!ctx) return
+      const layers = layersRef.current
+      if (!layers) return
       const live = liveRef.current.get(payload.strokeId)
       if (!live) return
-      const pts = payload.points || []
-      pts.forEach(pt => {
+      const points = decodePoints(payload)
+      // Shape batches carry both corners, since drawing from the centre moves the first one too.
+      if (isShapeTool(live.tool) && points.length > 1) {
+        live.points = [points[0], points[points.length - 1]].map(pt => worldPoint({ space: live.sourceSpace }, pt))
+        layers.refreshOverlay()
+        return
+      }
+      points.forEach(pt => {
         const last = live.points[live.points.length - 1]
-        const point = { x: pt.x, y: pt.y }
+        const point = worldPoint({ space: live.sourceSpace }, pt)
         const isStream = live.tool === 'pen' || live.tool === 'eraser'
-        const isShape = live.tool === 'line' || live.tool === 'rect' || live.tool === 'ellipse'
+        const isShape = isShapeTool(live.tool)
         const isSingle = live.tool === 'image' || live.tool === 'text'
 
         if (isStream) {
-          const scaled = scalePoint(point, dimsRef.current)
           if (last) {
-            const from = scalePoint(last, dimsRef.current)
-            drawLine(ctx, live, from, scaled, imageCacheRef.current)
+            layers.drawSegment(live, last, point)
           }
           live.points.push(point)
           return
@@ -288,31 +1174,41 @@ const CanvasBoard = forwardRef(function CanvasBoard(
         if (isShape) {
           const start = live.points[0] || point
           live.points = [start, point]
-          const preview = [...strokesRef.current, live]
-          replayStrokes(ctx, preview, dimsRef.current, imageCacheRef.current)
+          layers.refreshOverlay()
           return
         }
 
         if (isSingle) {
           live.points = [point]
-          const preview = [...strokesRef.current, live]
-          replayStrokes(ctx, preview, dimsRef.current, imageCacheRef.current)
+          layers.refreshOverlay()
           return
         }
       })
     }
 
-    const handleStrokeCommit = stroke => {
+    const handleStrokeCommit = committed => {
+      const stroke = normalizeStroke(committed)
       liveRef.current.delete(stroke.id)
       // Avoid duplicates if the stroke already exists (should not, but guard for latency)
       const exists = strokesRef.current.some(s => s.id === stroke.id)
       if (!exists) {
         strokesRef.current.push(stroke)
       }
-      undoneRef.current = []
-      if (ctxRef.current) {
-        replayStrokes(ctxRef.current, strokesRef.current, dimsRef.current, imageCacheRef.current)
+      if (outboxRef.current.some(entry => entry.id === stroke.id)) {
+        outboxRef.current = outboxRef.current.filter(entry => entry.id !== stroke.id)
+        syncOutbox()
+      }
+      if (stroke.tool === 'text' && typingRef.current.delete(stroke.userId)) {
+        setTyping(Array.from(typingRef.current.values()))
       }
+      // A new stroke ends its author's redo chain only; teammates keep theirs.
+      undoneRef.current = undoneRef.current.filter(s => s.userId !== stroke.userId)
+      if (exists || isEditRecord(stroke)) {
+        invalidateStroke(stroke)
+      } else {
+        layersRef.current?.add(stroke)
+      }
+      scheduleMinimap()
       updateHistoryState()
     }
 
@@ -320,224 +1216,1218 @@ const CanvasBoard = forwardRef(function CanvasBoard(
       const idx = strokesRef.current.findIndex(s => s.id === payload.strokeId)
       if (idx === -1) return
       const [removed] = strokesRef.current.splice(idx, 1)
-      undoneRef.current.push(removed)
-      if (ctxRef.current) {
-        replayStrokes(ctxRef.current, strokesRef.current, dimsRef.current, imageCacheRef.current)
+      // Taking back someone else's work is announced with who did it.
+      if (payload.by?.id && payload.by.id !== removed.userId) {
+        onActivity?.({ kind: 'undo', by: payload.by, ownerId: removed.userId })
       }
+      undoneRef.current.push(removed)
+      invalidateStroke(removed)
+      refreshSelection()
+      scheduleMinimap()
       updateHistoryState()
     }
 
-    const handleRedo = stroke => {
+    const handleRedo = ({ by, ...restored }) => {
+      const stroke = normalizeStroke(restored)
+      if (by?.id && by.id !== stroke.userId) {
+        onActivity?.({ kind: 'redo', by, ownerId: stroke.userId })
+      }
       strokesRef.current.push(stroke)
       undoneRef.current = undoneRef.current.filter(s => s.id !== stroke.id)
-      if (ctxRef.current) {
-        replayStrokes(ctxRef.current, strokesRef.current, dimsRef.current, imageCacheRef.current)
+      if (isEditRecord(stroke)) {
+        invalidateStroke(stroke)
+      } else {
+        layersRef.current?.add(stroke)
       }
+      scheduleMinimap()
       updateHistoryState()
     }
 
+    // Cursors are kept in world coordinates and projected through the camera at render time.
     const handleCursor = payload => {
-      const rect = canvasRef.current?.getBoundingClientRect()
-      if (!rect) return
-      cursorRef.current.set(payload.userId, {
-        userId: payload.userId,
-        name: payload.name,
-        color: payload.color,
-        x: clamp01(payload.x) * rect.width,
-        y: clamp01(payload.y) * rect.height
+      const pt = worldPoint(payload, { x: payload.x, y: payload.y })
+      const presence = presenceRef.current.get(payload.userId)
+      cursorRef.current.set(
+        payload.userId,
+        moveCursor(
+          cursorRef.current.get(payload.userId),
+          {
+            userId: payload.userId,
+            name: payload.name,
+            color: payload.color,
+            drawing: Boolean(payload.drawing),
+            tool: presence?.tool,
+            brush: presence?.brush,
+            targetX: pt.x,
+            targetY: pt.y
+          },
+          Date.now()
+        )
+      )
+      animateCursors()
+    }
+
+    // Someone's view, tool and brush. Following them mirrors the first two.
+    const handlePresence = payload => {
+      if (!payload?.userId) return
+      presenceRef.current.set(payload.userId, payload)
+      const cursor = cursorRef.current.get(payload.userId)
+      if (cursor) {
+        cursorRef.current.set(payload.userId, { ...cursor, tool: payload.tool, brush: payload.brush })
+        setCursors(Array.from(cursorRef.current.values()))
+      }
+      if (followRef.current.following === payload.userId) followView(payload)
+    }
+
+    // Idle cursors fade; ones silent for long are dropped even if a `user:left` never came.
+    const cursorSweep = setInterval(() => {
+      const now = Date.now()
+      let changed = false
+      cursorRef.current.forEach((cursor, userId) => {
+        if (now - cursor.at > CURSOR_STALE_MS) {
+          cursorRef.current.delete(userId)
+          changed = true
+        } else if (!cursor.idle && now - cursor.at > CURSOR_IDLE_MS) {
+          cursorRef.current.set(userId, { ...cursor, idle: true })
+          changed = true
+        }
       })
+      if (changed) setCursors(Array.from(cursorRef.current.values()))
+    }, CURSOR_SWEEP_MS)
+
+    // Everything shown for someone who left goes with them, including a stroke they never finished.
+    const handleUserLeft = payload => {
+      const userId = payload?.userId
+      if (!userId) return
+      cursorRef.current.delete(userId)
+      typingRef.current.delete(userId)
+      presenceRef.current.delete(userId)
       setCursors(Array.from(cursorRef.current.values()))
+      setTyping(Array.from(typingRef.current.values()))
+      const orphaned = Array.from(liveRef.current.values()).filter(live => live.userId === userId)
+      orphaned.forEach(live => liveRef.current.delete(live.id))
+      if (orphaned.some(live => live.tool === 'eraser')) resetBoard()
+      else if (orphaned.length) refreshTransient()
+      inkRef.current.forEach(trail => {
+        if (trail.userId === userId) endTrail(trail, performance.now())
+      })
+      layersRef.current?.refreshInk()
+      if (followRef.current.following === userId) followRef.current.onStopFollowing?.()
+    }
+
+    const handleTyping = payload => {
+      if (!payload?.userId) return
+      if (payload.active) {
+        const pt = worldPoint(payload, { x: payload.x, y: payload.y })
+        typingRef.current.set(payload.userId, { ...payload, x: pt.x, y: pt.y, at: Date.now() })
+      } else {
+        typingRef.current.delete(payload.userId)
+      }
+      setTyping(Array.from(typingRef.current.values()))
     }
 
+    const typingSweep = setInterval(() => {
+      const cutoff = Date.now() - TYPING_TTL_MS
+      const stale = Array.from(typingRef.current.values()).filter(entry => entry.at < cutoff)
+      if (!stale.length) return
+      stale.forEach(entry => typingRef.current.delete(entry.userId))
+      setTyping(Array.from(typingRef.current.values()))
+    }, TYPING_REFRESH_MS)
+
     const handleClear = () => {
       clearLocal()
     }
 
+    // A refused stroke leaves the queue instead of being resent on every reconnect.
+    const handleDenied = payload => {
+      if (!payload?.strokeId || !outboxRef.current.some(entry => entry.id === payload.strokeId)) return
+      outboxRef.current = outboxRef.current.filter(entry => entry.id !== payload.strokeId)
+      batchRef.current.delete(payload.strokeId)
+      syncOutbox()
+      resetBoard()
+    }
+
+    const handleStrokeUpdate = payload => {
+      applyStrokeUpdates(Array.isArray(payload?.strokes) ? payload.strokes : [])
+    }
+
+    const handleStrokeDelete = payload => {
+      removeStrokes(Array.isArray(payload?.strokeIds) ? payload.strokeIds : [])
+    }
+
+    const handleStrokeCancel = payload => {
+      const live = liveRef.current.get(payload?.strokeId)
+      if (!live) return
+      liveRef.current.delete(live.id)
+      if (live.tool === 'eraser') resetBoard()
+      else refreshTransient()
+    }
+
+    // Others' laser and ink: drawn on the ink layer only, so they never reach the board or history.
+    const handleInkPoints = payload => {
+      if (!payload?.strokeId || !isInkTool(payload.tool)) return
+      const now = performance.now()
+      let trail = inkRef.current.get(payload.strokeId)
+      if (!trail) {
+        trail = createTrail(
+          { id: payload.strokeId, userId: payload.userId, tool: payload.tool, color: payload.color, size: payload.size },
+          now
+        )
+        inkRef.current.set(trail.id, trail)
+      }
+      extendTrail(trail, decodePoints(payload), now)
+      layersRef.current?.refreshInk()
+    }
+
+    const handleInkEnd = payload => {
+      const trail = inkRef.current.get(payload?.strokeId)
+      if (!trail) return
+      endTrail(trail, performance.now())
+      layersRef.current?.refreshInk()
+    }
+
+    // Comment events come back to the sender too; applying them is idempotent.
+    const handleCommentAdded = payload => {
+      const [thread] = sanitizeComments([payload])
+      if (thread) setComments(prev => upsertComment(prev, thread))
+    }
+
+    const handleCommentReplied = payload => {
+      if (payload?.commentId && payload.reply?.id) setComments(prev => addReply(prev, payload.commentId, payload.reply))
+    }
+
+    const handleCommentResolved = payload => {
+      if (payload?.commentId) setComments(prev => setResolved(prev, payload.commentId, Boolean(payload.resolved)))
+    }
+
+    setAssetFetcher(id => downloadAsset(socket, id))
+
     socket.on('init', handleInit)
+    socket.on('disconnect', handleDisconnect)
     socket.on('stroke:start', handleStrokeStart)
     socket.on('stroke:points', handleStrokePoints)
     socket.on('stroke:commit', handleStrokeCommit)
     socket.on('stroke:undo', handleUndo)
     socket.on('stroke:redo', handleRedo)
     socket.on('cursor', handleCursor)
+    socket.on('presence', handlePresence)
+    socket.on('user:left', handleUserLeft)
     socket.on('clear', handleClear)
+    socket.on('access:denied', handleDenied)
+    socket.on('text:typing', handleTyping)
+    socket.on('stroke:update', handleStrokeUpdate)
+    socket.on('stroke:delete', handleStrokeDelete)
+    socket.on('stroke:cancel', handleStrokeCancel)
+    socket.on('ink:points', handleInkPoints)
+    socket.on('ink:end', handleInkEnd)
+    socket.on('comment:added', handleCommentAdded)
+    socket.on('comment:replied', handleCommentReplied)
+    socket.on('comment:resolved', handleCommentResolved)
 
     return () => {
+      if (batchFrameRef.current) cancelAnimationFrame(batchFrameRef.current)
+      batchFrameRef.current = null
+      batchRef.current.clear()
       socket.off('init', handleInit)
+      setAssetFetcher(null)
+      socket.off('disconnect', handleDisconnect)
       socket.off('stroke:start', handleStrokeStart)
       socket.off('stroke:points', handleStrokePoints)
       socket.off('stroke:commit', handleStrokeCommit)
       socket.off('stroke:undo', handleUndo)
       socket.off('stroke:redo', handleRedo)
       socket.off('cursor', handleCursor)
+      socket.off('presence', handlePresence)
+      socket.off('user:left', handleUserLeft)
+      clearInterval(cursorSweep)
       socket.off('clear', handleClear)
+      socket.off('access:denied', handleDenied)
+      socket.off('text:typing', handleTyping)
+      clearInterval(typingSweep)
+      socket.off('stroke:update', handleStrokeUpdate)
+      socket.off('stroke:delete', handleStrokeDelete)
+      socket.off('stroke:cancel', handleStrokeCancel)
+      socket.off('ink:points', handleInkPoints)
+      socket.off('ink:end', handleInkEnd)
+      socket.off('comment:added', handleCommentAdded)
+      socket.off('comment:replied', handleCommentReplied)
+      socket.off('comment:resolved', handleCommentResolved)
     }
-  }, [socket, dpr, onHistoryChange])
+  }, [socket, room, dpr, onHistoryChange, onPendingChange, onActivity])
 
   useEffect(() => {
-    if (!socket || !ctxRef.current) return
+    if (!socket || !layersRef.current) return
     const canvas = canvasRef.current
     if (!canvas) return
-    let drawing = false
-    let stroke
+    // Each pointer draws or erases on its own, so several people can use one touch screen.
+    // Panning, selecting and placing an image take a single pointer.
+    const strokes = new Map()
+    const erasers = new Map()
+    const inking = new Map()
+    const rejected = new Set()
+    let pan = null
+    let transform = null
+    let placing = null
 
     const rect = () => canvas.getBoundingClientRect()
-    const isShapeTool = tool === 'line' || tool === 'rect' || tool === 'ellipse'
+    const isShape = isShapeTool(tool)
+    const isConnectorTool = tool === 'connector'
+    const isStickyTool = tool === 'sticky'
+    const isObjectEraser = tool === 'eraser' && eraserMode === 'object'
     const isTextTool = tool === 'text'
     const isImageTool = tool === 'image'
+    const isBucketTool = tool === 'bucket'
+    const isSelectTool = tool === 'select'
+    const isCommentTool = tool === 'comment'
+    const isInk = isInkTool(tool)
+
+    // Coalesced events carry the samples the browser merged into this move, pressure included.
+    const samplePoints = (evt, bounds, withPressure) => {
+      const samples = evt.getCoalescedEvents?.().length ? evt.getCoalescedEvents() : [evt]
+      return samples.map(sample => {
+        const pt = toCanvasPoint(sample, bounds, cameraRef.current)
+        return withPressure ? brushPoint(sample, pt) : pt
+      })
+    }
+
+    // Topmost shape a connector end can attach to at `point`.
+    const attachableAt = point => {
+      const hit = strokeAt(visibleStrokes().filter(isAttachable), point, HANDLE_SLOP / cameraRef.current.zoom)
+      return hit?.id || null
+    }
+
+    // Shapes on screen that a corner can line up with, gathered once per drag.
+    const snapOptions = () => {
+      const cam = cameraRef.current
+      const view = viewportBounds(cam, dimsRef.current)
+      const onScreen = stroke => {
+        const b = strokeBounds(stroke)
+        return b && b.maxX >= view.minX && b.minX <= view.maxX && b.maxY >= view.minY && b.minY <= view.maxY
+      }
+      const shapes = grid.guides ? visibleStrokes().filter(s => (isShapeTool(s.tool) || isAttachable(s)) && onScreen(s)) : []
+      return { grid: grid.snap, targets: grid.guides ? alignmentTargets(shapes) : null, tolerance: GUIDE_SLOP / cam.zoom }
+    }
+
+    const showGuides = next => setGuides(prev => (prev.length || next.length ? next : prev))
+
+    const defaultStickyCorner = origin => {
+      const side = STICKY_SIZE / cameraRef.current.zoom
+      return quantizePoint({ x: origin.x + side, y: origin.y + side })
+    }
+
+    // Connectors attached to the moving strokes are re-routed along with them.
+    const beginTransform = (kind, evt, point, extra = {}) => {
+      const originals = new Map(selectedStrokes().map(s => [s.id, s]))
+      const ids = new Set(originals.keys())
+      const linked = boardStrokes().filter(s => !ids.has(s.id) && attachedTo(s, ids))
+      transform = { kind, pointerId: evt.pointerId, origin: point, originals, linked, changed: false, ...extra }
+      canvas.setPointerCapture(evt.pointerId)
+    }
+
+    const handleSelectDown = (evt, point) => {
+      const cam = cameraRef.current
+      const screen = toScreenPoint(evt, rect())
+      const box = selectionBounds(selectedStrokes())
+      const near = pt => Math.hypot(pt.x - screen.x, pt.y - screen.y) <= HANDLE_SLOP
+
+      if (box) {
+        const handles = selectionHandles(box, cam)
+        if (near(handles.rotate)) {
+          const pivot = boundsCenter(box)
+          beginTransform('rotate', evt, point, { pivot, startAngle: Math.atan2(point.y - pivot.y, point.x - pivot.x) })
+          return
+        }
+        const corner = handles.corners.find(near)
+        if (corner) {
+          beginTransform('scale', evt, point, { anchor: corner.anchor, start: screenToWorld(cam, corner) })
+          return
+        }
+      }
+
+      const hit = strokeAt(boardStrokes(), point, HANDLE_SLOP / cam.zoom)
+      if (hit) {
+        if (evt.shiftKey) {
+          const has = selectionRef.current.includes(hit.id)
+          selectIds(has ? selectionRef.current.filter(id => id !== hit.id) : [...selectionRef.current, hit.id])
+          if (has) return
+        } else if (!selectionRef.current.includes(hit.id)) {
+          selectIds([hit.id])
+        }
+        beginTransform('move', evt, point)
+        return
+      }
+
+      if (box && !evt.shiftKey && point.x >= box.minX && point.x <= box.maxX && point.y >= box.minY && point.y <= box.maxY) {
+        beginTransform('move', evt, point)
+        return
+      }
+
+      if (!evt.shiftKey) selectIds([])
+      transform = { kind: 'marquee', pointerId: evt.pointerId, origin: point, additive: evt.shiftKey }
+      canvas.setPointerCapture(evt.pointerId)
+    }
+
+    const handleSelectMove = (evt, point) => {
+      if (transform.kind === 'marquee') {
+        setMarquee(rectFromPoints(transform.origin, point))
+        return
+      }
+      const { kind, origin, originals, linked } = transform
+      let apply
+      if (kind === 'move') {
+        const dx = point.x - origin.x
+        const dy = point.y - origin.y
+        apply = stroke => translateStroke(stroke, dx, dy)
+      } else if (kind === 'scale') {
+        const { anchor, start } = transform
+        const ratio = (value, from, base) => (Math.abs(from - base) < 1e-6 ? 1 : (value - base) / (from - base))
+        let sx = ratio(point.x, start.x, anchor.x)
+        let sy = ratio(point.y, start.y, anchor.y)
+        if (evt.shiftKey) {
+          const uniform = Math.max(Math.abs(sx), Math.abs(sy))
+          sx = Math.sign(sx || 1) * uniform
+          sy = Math.sign(sy || 1) * uniform
+        }
+        apply = stroke => scaleStroke(stroke, anchor, sx, sy)
+      } else {
+        const { pivot, startAngle } = transform
+        let angle = Math.atan2(point.y - pivot.y, point.x - pivot.x) - startAngle
+        if (evt.shiftKey) angle = Math.round(angle / (Math.PI / 12)) * (Math.PI / 12)
+        apply = stroke => rotateStroke(stroke, pivot, angle)
+      }
+      const firstMove = !transform.changed
+      transform.changed = true
+      const drafts = new Map(Array.from(originals.values()).map(stroke => [stroke.id, apply(stroke)]))
+      linked.forEach(connector => drafts.set(connector.id, routeConnector(connector, id => drafts.get(id) || strokeById(id))))
+      draftRef.current = drafts
+      if (firstMove) {
+        layersRef.current.reset()
+      } else {
+        layersRef.current.refresh()
+      }
+      refreshSelection()
+    }
+
+    const handleSelectUp = () => {
+      const current = transform
+      transform = null
+      if (current.kind === 'marquee') {
+        setMarquee(null)
+        const hits = strokesInRect(boardStrokes(), rectFromPoints(current.origin, current.last || current.origin))
+        const ids = hits.map(s => s.id)
+        selectIds(current.additive ? [...new Set([...selectionRef.current, ...ids])] : ids)
+        return
+      }
+      if (!current.changed) return
+      // One undoable record for the moved strokes and the connectors re-routed with them.
+      const committed = new Map(strokesRef.current.map(s => [s.id, s]))
+      const changes = Array.from(draftRef.current.values()).map(draft => transformChange(draft, committed.get(draft.id)))
+      draftRef.current = new Map()
+      const record = { id: uuid(), userId: user.id, tool: 'transform', space: 'world', targets: changes.map(c => c.id), changes, points: [] }
+      queueStart(record)
+      queueEnd(record)
+      layersRef.current.reset()
+      refreshSelection()
+      scheduleMinimap()
+    }
+
+    const handleSelectKey = evt => {
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(evt.target?.tagName) || evt.metaKey || evt.ctrlKey) return
+      if (evt.key === 'Delete' || evt.key === 'Backspace') {
+        evt.preventDefault()
+        deleteSelection()
+      } else if (evt.key === 'Escape') {
+        selectIds([])
+      }
+    }
+
+    // Touched strokes disappear at once; on release they are removed for everyone as one erasure.
+    const eraseAlong = (from, to) => {
+      const radius = strokeWidth({ tool: 'eraser', size }) / 2
+      const hits = strokesAlongPath(boardStrokes(), from, to, radius)
+      if (!hits.length) return
+      hits.forEach(hit => {
+        erasingRef.current.add(hit.id)
+        layersRef.current.invalidate(strokeBounds(hit))
+      })
+      refreshSelection()
+      scheduleMinimap()
+    }
+
+    const commitErasure = () => {
+      const targets = Array.from(erasingRef.current)
+      if (targets.length) {
+        const record = { id: uuid(), userId: user.id, tool: 'erasure', space: 'world', targets, points: [] }
+        queueStart(record)
+        queueEnd(record)
+      }
+      erasingRef.current = new Set()
+    }
+
+    const showNotice = (evt, text) => {
+      const bounds = rect()
+      setNotice({ x: evt.clientX - bounds.left, y: evt.clientY - bounds.top, text })
+    }
+
+    // Floods the area under the pointer as the board is rendered right now and stores its traced
+    // outline as a `fill` stroke. Areas that run off the view are not enclosed and are refused.
+    const bucketFill = evt => {
+      const bounds = rect()
+      const scale = canvas.width / bounds.width
+      const step = Math.max(1, Math.round(scale))
+      let image
+      try {
+        image = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height)
+      } catch (err) {
+        showNotice(evt, 'Images on this board block filling')
+        return
+      }
+      const screen = toScreenPoint(evt, bounds)
+      const region = floodRegion(image, step, { x: (screen.x * scale) / step, y: (screen.y * scale) / step })
+      if (!region) {
+        showNotice(evt, 'Not an enclosed area')
+        return
+      }
+      const rings = traceRegion(dilateRegion(region))
+      if (!rings.length) return
+      const cam = cameraRef.current
+      const toWorld = pt => quantizePoint(screenToWorld(cam, { x: (pt.x * step) / scale, y: (pt.y * step) / scale }))
+      const fill = {
+        id: uuid(),
+        userId: user.id,
+        tool: 'fill',
+        space: 'world',
+        color,
+        opacity,
+        size,
+        rings: rings.map(ring => ring.length),
+        points: rings.flat().map(toWorld)
+      }
+      queueStart(fill)
+      queueEnd(fill)
+      refreshTransient()
+    }
+
+    // A stylus coming down right after a touch stroke began means that touch was the palm.
+    const dropPalmStrokes = evt => {
+      strokes.forEach((active, pointerId) => {
+        if (!active.touch || evt.timeStamp - active.startedAt > PALM_LEAD_MS) return
+        strokes.delete(pointerId)
+        rejected.add(pointerId)
+        abandonStroke(active.stroke)
+      })
+    }
 
     const handlePointerDown = evt => {
+      if (pickRef.current) {
+        evt.preventDefault()
+        try {
+          finishPick(sampleColor(evt))
+        } catch (err) {
+          finishPick(null, new Error('This board contains images that block color sampling'))
+        }
+        return
+      }
+      if (evt.pointerType === 'pen') {
+        lastPenRef.current = evt.timeStamp
+        dropPalmStrokes(evt)
+      }
+      if (pan || transform || placing) return
+      if (isPalm(evt, lastPenRef.current)) {
+        rejected.add(evt.pointerId)
+        return
+      }
+      // With "stylus only" on, a finger pans instead of drawing. A read-only board still takes
+      // comments; every other tool pans.
+      if (spaceHeldRef.current || evt.button === 1 || (readOnly && !isCommentTool) || (stylusOnly && isTouch(evt))) {
+        evt.preventDefault()
+        pan = { pointerId: evt.pointerId, x: evt.clientX, y: evt.clientY, camera: cameraRef.current }
+        canvas.setPointerCapture(evt.pointerId)
+        stopFollowing()
+        setPanning(true)
+        return
+      }
       if (!user) return
+      // A click outside an open text box finishes it.
+      if (textEditRef.current) {
+        commitText()
+        return
+      }
       const bounds = rect()
-      const point = toCanvasPoint(evt, bounds)
+      const point = toCanvasPoint(evt, bounds, cameraRef.current)
+      closeComment()
+
+      // A comment placed on a stroke is pinned to it; anywhere else, to the point.
+      if (isCommentTool) {
+        evt.preventDefault()
+        const hit = strokeAt(visibleStrokes(), point, HANDLE_SLOP / cameraRef.current.zoom)
+        setCommentDraft({ x: point.x, y: point.y, ...(hit && { strokeId: hit.id }) })
+        return
+      }
+
+      if (isSelectTool) {
+        handleSelectDown(evt, point)
+        return
+      }
+
+      if (isInk) {
+        evt.preventDefault()
+        canvas.setPointerCapture(evt.pointerId)
+        const trail = createTrail({ id: uuid(), userId: user.id, tool, color, size }, performance.now())
+        inkRef.current.set(trail.id, trail)
+        inking.set(evt.pointerId, trail)
+        drawInk(trail, [brushPoint(evt, point)])
+        return
+      }
+
+      if (isObjectEraser) {
+        canvas.setPointerCapture(evt.pointerId)
+        erasers.set(evt.pointerId, point)
+        eraseAlong(point, point)
+        return
+      }
 
       if (isTextTool) {
-        const content = window.prompt('Enter text')
-        if (!content || !content.trim()) return
-        const text = content.trim()
-        const id = uuid()
-        socket.emit('stroke:start', { strokeId: id, tool: 'text', color, size, text })
-        socket.emit('stroke:points', { strokeId: id, points: [point] })
-        socket.emit('stroke:end', { strokeId: id })
+        evt.preventDefault()
+        openTextEditor({
+          id: null,
+          anchor: point,
+          text: '',
+          color,
+          opacity,
+          size,
+          boxWidth: DEFAULT_TEXT_WIDTH / cameraRef.current.zoom,
+          ...textStyleRef.current
+        })
         return
       }
 
+      // Click to place at a size that fits the view, or drag out the size (Shift frees the aspect ratio).
       if (isImageTool) {
-        if (!imageSrc?.src) return
-        drawing = true
+        if (!imageSrc?.asset) return
         canvas.setPointerCapture(evt.pointerId)
-        stroke = {
-          id: uuid(),
-          userId: user.id,
+        placing = { pointerId: evt.pointerId, origin: point }
+        placementRef.current = {
+          id: 'placement',
           tool: 'image',
-          color,
-          size,
-          src: imageSrc.src,
-          width: imageSrc.width,
-          height: imageSrc.height,
+          asset: imageSrc.asset,
+          ...placeholderSize(imageSrc, dimsRef.current, cameraRef.current.zoom),
           points: [point]
         }
-        socket.emit('stroke:start', {
-          strokeId: stroke.id,
-          tool: stroke.tool,
-          color,
+        layersRef.current.refreshOverlay()
+        return
+      }
+
+      if (isBucketTool) {
+        evt.preventDefault()
+        bucketFill(evt)
+        return
+      }
+
+      // Notes are clicked in at a default size or dragged out, then written in the text editor.
+      if (isStickyTool) {
+        evt.preventDefault()
+        canvas.setPointerCapture(evt.pointerId)
+        const snap = snapOptions()
+        const origin = quantizePoint(snapPoint(point, snap).point)
+        placing = { pointerId: evt.pointerId, origin, snap }
+        placementRef.current = {
+          id: 'placement',
+          tool: 'sticky',
+          fill: shapeOptions.stickyColor,
+          color: STICKY_INK,
+          opacity,
           size,
-          src: stroke.src,
-          width: stroke.width,
-          height: stroke.height
-        })
-        socket.emit('stroke:points', { strokeId: stroke.id, points: [point] })
+          points: [origin, defaultStickyCorner(origin)]
+        }
+        layersRef.current.refreshOverlay()
         return
       }
 
-      drawing = true
       canvas.setPointerCapture(evt.pointerId)
-      stroke = {
+      // Shapes start from a snapped point; their other corner is snapped as it moves.
+      const snap = isShape ? snapOptions() : null
+      const origin = snap ? quantizePoint(snapPoint(point, snap).point) : point
+      const stroke = {
         id: uuid(),
         userId: user.id,
         tool,
+        space: 'world',
         color,
+        opacity,
         size,
-        points: [point]
+        points: [tool === 'pen' ? brushPoint(evt, point) : origin]
+      }
+      if (FILLABLE_TOOLS.includes(tool) && fillMode !== 'outline') {
+        stroke.fillMode = fillMode
+        if (fillColor) stroke.fill = fillColor
+      }
+      if (tool === 'arrow' || isConnectorTool) {
+        stroke.startHead = shapeOptions.startHead
+        stroke.endHead = shapeOptions.endHead
+      }
+      if (tool === 'rect' && shapeOptions.rounded) stroke.rounded = true
+      if (tool === 'polygon') stroke.sides = shapeOptions.polygonSides
+      if (tool === 'star') stroke.sides = shapeOptions.starPoints
+      if (isConnectorTool) {
+        const startId = attachableAt(point)
+        if (startId) stroke.startId = startId
+      }
+      strokes.set(evt.pointerId, { stroke, origin, snap, touch: isTouch(evt), startedAt: evt.timeStamp })
+      queueStart(stroke)
+      if (!isShape) {
+        queuePoints(stroke, stroke.points)
       }
-      socket.emit('stroke:start', { strokeId: stroke.id, tool, color, size })
     }
 
     const handlePointerMove = evt => {
+      if (pickRef.current) {
+        try {
+          setPicking({ x: evt.clientX - rect().left, y: evt.clientY - rect().top, color: sampleColor(evt) })
+        } catch (err) {
+          setPicking({})
+        }
+        return
+      }
+      if (rejected.has(evt.pointerId)) return
+      if (evt.pointerType === 'pen') lastPenRef.current = evt.timeStamp
+      if (pan) {
+        if (evt.pointerId !== pan.pointerId) return
+        const { zoom } = pan.camera
+        setCamera({
+          ...pan.camera,
+          x: pan.camera.x - (evt.clientX - pan.x) / zoom,
+          y: pan.camera.y - (evt.clientY - pan.y) / zoom
+        })
+        return
+      }
       const bounds = rect()
-      const nx = clamp01((evt.clientX - bounds.left) / bounds.width)
-      const ny = clamp01((evt.clientY - bounds.top) / bounds.height)
-      socket.emit('cursor:move', { x: nx, y: ny })
-      if (!drawing || !stroke) return
-      const point = toCanvasPoint(evt, bounds)
-
-      if (isShapeTool) {
-        stroke.points[1] = point
-        const preview = [...strokesRef.current, stroke]
-        replayStrokes(ctxRef.current, preview, dimsRef.current, imageCacheRef.current)
-        socket.emit('stroke:points', { strokeId: stroke.id, points: [point] })
+      const point = toCanvasPoint(evt, bounds, cameraRef.current)
+      if (socket.connected && evt.isPrimary) {
+        socket.emit('cursor:move', { x: point.x, y: point.y, space: 'world', drawing: strokes.size > 0 || erasers.size > 0 || inking.size > 0 })
+      }
+      if (transform) {
+        if (evt.pointerId !== transform.pointerId) return
+        transform.last = point
+        handleSelectMove(evt, point)
+        return
+      }
+      if (erasers.has(evt.pointerId)) {
+        eraseAlong(erasers.get(evt.pointerId), point)
+        erasers.set(evt.pointerId, point)
+        return
+      }
+      if (placing) {
+        if (evt.pointerId !== placing.pointerId) return
+        const { origin } = placing
+        const dx = point.x - origin.x
+        const dy = point.y - origin.y
+        const slop = HANDLE_SLOP / cameraRef.current.zoom
+        if (isStickyTool) {
+          const dragged = Math.max(Math.abs(dx), Math.abs(dy)) > slop
+          const corners = dragged
+            ? shapeCorners(tool, origin, point, { ...placing.snap, constrain: evt.shiftKey, fromCenter: evt.altKey })
+            : { points: [origin, defaultStickyCorner(origin)], guides: [] }
+          placementRef.current = { ...placementRef.current, points: corners.points }
+          showGuides(corners.guides)
+          layersRef.current.refreshOverlay()
+          return
+        }
+        let box = placeholderSize(imageSrc, dimsRef.current, cameraRef.current.zoom)
+        if (Math.max(Math.abs(dx), Math.abs(dy)) > slop) {
+          const ratio = imageSrc.width / imageSrc.height
+          const width = evt.shiftKey ? Math.abs(dx) : Math.max(Math.abs(dx), Math.abs(dy) * ratio)
+          box = { width: Math.max(1, width), height: Math.max(1, evt.shiftKey ? Math.abs(dy) : width / ratio) }
+        }
+        placementRef.current = {
+          ...placementRef.current,
+          ...box,
+          points: [{ x: dx < 0 ? origin.x - box.width : origin.x, y: dy < 0 ? origin.y - box.height : origin.y }]
+        }
+        layersRef.current.refreshOverlay()
+        return
+      }
+      const trail = inking.get(evt.pointerId)
+      if (trail) {
+        drawInk(trail, samplePoints(evt, bounds, true))
+        return
+      }
+      const active = strokes.get(evt.pointerId)
+      if (!active) return
+      const { stroke } = active
+      // A touch that spreads out mid-stroke turned out to be a palm.
+      if (active.touch && isLargeContact(evt)) {
+        strokes.delete(evt.pointerId)
+        rejected.add(evt.pointerId)
+        abandonStroke(stroke)
         return
       }
 
-      if (isImageTool) {
-        stroke.points = [point]
-        const preview = [...strokesRef.current, stroke]
-        replayStrokes(ctxRef.current, preview, dimsRef.current, imageCacheRef.current)
-        socket.emit('stroke:points', { strokeId: stroke.id, points: [point] })
+      // Shift constrains the shape, Alt draws it out from its centre.
+      if (isShape) {
+        const corners = shapeCorners(tool, active.origin, point, { ...active.snap, constrain: evt.shiftKey, fromCenter: evt.altKey })
+        stroke.points = corners.points
+        if (isConnectorTool) stroke.points = routeConnector(stroke, strokeById).points
+        showGuides(corners.guides)
+        layersRef.current.refreshOverlay()
+        queuePoints(stroke, stroke.points)
         return
       }
 
-      const last = stroke.points[stroke.points.length - 1]
-      const from = last ? scalePoint(last, dimsRef.current) : null
-      const scaled = scalePoint(point, dimsRef.current)
-      drawLine(ctxRef.current, stroke, from, scaled, imageCacheRef.current)
-      stroke.points.push(point)
-      socket.emit('stroke:points', { strokeId: stroke.id, points: [point] })
+      const points = samplePoints(evt, bounds, tool === 'pen')
+      points.forEach(pt => {
+        layersRef.current.drawSegment(stroke, stroke.points[stroke.points.length - 1], pt)
+        stroke.points.push(pt)
+      })
+      queuePoints(stroke, points)
+    }
+
+    const endStroke = evt => {
+      const { pointerId } = evt
+      if (rejected.delete(pointerId)) return
+      if (pan?.pointerId === pointerId) {
+        pan = null
+        setPanning(false)
+        return
+      }
+      if (transform?.pointerId === pointerId) {
+        handleSelectUp()
+        return
+      }
+      if (erasers.delete(pointerId)) {
+        // Everything erased while any pointer was erasing becomes one undoable record.
+        if (!erasers.size) commitErasure()
+        return
+      }
+      if (placing?.pointerId === pointerId) {
+        const preview = placementRef.current
+        placing = null
+        placementRef.current = null
+        showGuides([])
+        if (preview.tool === 'sticky') {
+          openStickyEditor(preview)
+          return
+        }
+        placeImage({ asset: preview.asset }, preview.points[0], { width: preview.width, height: preview.height })
+        return
+      }
+      const trail = inking.get(pointerId)
+      if (trail) {
+        inking.delete(pointerId)
+        liftInk(trail)
+        return
+      }
+      const active = strokes.get(pointerId)
+      if (!active) return
+      strokes.delete(pointerId)
+      showGuides([])
+      const { stroke } = active
+      if (isShape && stroke.points.length < 2) {
+        abandonStroke(stroke)
+        return
+      }
+      if (isConnectorTool) {
+        const endId = attachableAt(stroke.points[1])
+        if (endId && endId !== stroke.startId) stroke.endId = endId
+        stroke.points = routeConnector(stroke, strokeById).points
+      }
+      if (isStreamTool(stroke.tool)) {
+        stroke.points = simplifyPoints(stroke.points, SIMPLIFY_TOLERANCE / cameraRef.current.zoom, stroke.size)
+      }
+      queueEnd(stroke)
+      refreshTransient()
     }
 
-    const endStroke = () => {
-      if (!drawing || !stroke) return
-      drawing = false
-      if (isShapeTool && stroke.points.length < 2) {
-        stroke = null
+    // Double-clicking text or a note with the select, text or note tool re-opens it for editing.
+    const handleDoubleClick = evt => {
+      if (!user || readOnly || (!isSelectTool && !isTextTool && !isStickyTool)) return
+      const cam = cameraRef.current
+      const hit = strokeAt(boardStrokes(), toCanvasPoint(evt, rect(), cam), HANDLE_SLOP / cam.zoom)
+      if (hit?.tool === 'sticky') {
+        if (textEditRef.current) commitText()
+        openStickyEditor(hit)
         return
       }
-      socket.emit('stroke:end', { strokeId: stroke.id })
-      liveRef.current.set(stroke.id, { ...stroke })
-      stroke = null
+      if (hit?.tool !== 'text') return
+      if (textEditRef.current) commitText()
+      openTextEditor({
+        id: hit.id,
+        anchor: hit.points[hit.points.length - 1],
+        text: hit.text || '',
+        color: hit.color,
+        opacity: hit.opacity ?? 1,
+        size: hit.size,
+        fontFamily: hit.fontFamily || 'sans',
+        fontWeight: hit.fontWeight || 'normal',
+        align: hit.align || 'left',
+        boxWidth: hit.boxWidth || Math.ceil(layoutText(hit).width) + 1,
+        highlight: hit.highlight || null
+      })
     }
 
     canvas.addEventListener('pointerdown', handlePointerDown)
+    canvas.addEventListener('dblclick', handleDoubleClick)
     canvas.addEventListener('pointermove', handlePointerMove)
     window.addEventListener('pointerup', endStroke)
+    window.addEventListener('pointercancel', endStroke)
     canvas.addEventListener('pointerleave', endStroke)
+    if (isSelectTool && !readOnly) {
+      window.addEventListener('keydown', handleSelectKey)
+    } else {
+      selectIds([])
+    }
 
     return () => {
+      // Re-binding mid-stroke (a tool, size or color change) finishes what the pointers were drawing.
+      Array.from(strokes.keys())
+        .concat(Array.from(erasers.keys()))
+        .forEach(pointerId => endStroke({ pointerId }))
+      inking.forEach(liftInk)
+      window.removeEventListener('keydown', handleSelectKey)
       canvas.removeEventListener('pointerdown', handlePointerDown)
+      canvas.removeEventListener('dblclick', handleDoubleClick)
       canvas.removeEventListener('pointermove', handlePointerMove)
       window.removeEventListener('pointerup', endStroke)
+      window.removeEventListener('pointercancel', endStroke)
       canvas.removeEventListener('pointerleave', endStroke)
     }
-  }, [socket, user, tool, color, size, dpr, imageSrc])
+  }, [socket, user, tool, eraserMode, stylusOnly, color, opacity, fillMode, fillColor, shapeOptions, grid, size, dpr, imageSrc, readOnly])
+
+  // An open thread counts as read, including replies that arrive while it is open.
+  const shownThread = comments.find(t => t.id === openComment)
+  useEffect(() => {
+    if (shownThread && user) setSeen(prev => markThreadSeen(prev, shownThread, user.id))
+  }, [shownThread, user])
+
+  useEffect(() => saveSeen(room, { comments: seen.comments }), [room, seen])
+
+  const unreadComments = user ? comments.filter(t => !t.resolved && isUnreadThread(t, seen, user.id)).length : 0
+  useEffect(() => {
+    onCommentsChange?.(unreadComments)
+  }, [unreadComments, onCommentsChange])
+
+  // Switching tools finishes any open text box.
+  useEffect(() => {
+    if (textEditRef.current) commitText()
+  }, [tool])
+
+  // Losing the right to draw drops the open text box unsent.
+  useEffect(() => {
+    if (readOnly) closeTextEditor()
+  }, [readOnly])
+
+  const editingText = Boolean(textEdit)
+  useEffect(() => {
+    if (!editingText || !socket) return
+    const timer = setInterval(() => {
+      const edit = textEditRef.current
+      if (edit) socket.emit('text:typing', { active: true, x: edit.anchor.x, y: edit.anchor.y, space: 'world' })
+    }, TYPING_REFRESH_MS)
+    return () => clearInterval(timer)
+  }, [editingText, socket])
 
   useEffect(() => {
     const handleResize = () => {
       const canvas = canvasRef.current
-      if (!canvas || !ctxRef.current) return
+      if (!canvas || !layersRef.current) return
       const bounds = canvas.getBoundingClientRect()
-      canvas.width = bounds.width * dpr
-      canvas.height = bounds.height * dpr
       dimsRef.current = { width: bounds.width, height: bounds.height }
-      const ctx = canvas.getContext('2d')
-      ctxRef.current = ctx
-      ctx.scale(dpr, dpr)
-      replayStrokes(ctxRef.current, strokesRef.current, dimsRef.current, imageCacheRef.current)
+      setViewport(dimsRef.current)
+      layersRef.current.resize(bounds.width, bounds.height)
+      scheduleMinimap()
     }
     window.addEventListener('resize', handleResize)
     return () => window.removeEventListener('resize', handleResize)
   }, [dpr])
 
+  useEffect(() => {
+    const canvas = canvasRef.current
+    if (!canvas) return
+
+    // Wheel and trackpad pinch (ctrl+wheel) zoom around the pointer; shift+wheel pans.
+    const handleWheel = evt => {
+      evt.preventDefault()
+      stopFollowing()
+      const current = cameraRef.current
+      if (evt.shiftKey) {
+        const delta = evt.deltaX || evt.deltaY
+        setCamera({ ...current, x: current.x + delta / current.zoom })
+        return
+      }
+      const bounds = canvas.getBoundingClientRect()
+      const factor = Math.exp(-evt.deltaY * (evt.ctrlKey ? 0.01 : 0.0015))
+      setCamera(zoomAround(current, toScreenPoint(evt, bounds), current.zoom * factor))
+    }
+
+    const isTyping = evt => ['INPUT', 'TEXTAREA', 'SELECT'].includes(evt.target?.tagName)
+
+    const handleKeyDown = evt => {
+      if (evt.code !== 'Space' || isTyping(evt)) return
+      evt.preventDefault()
+      spaceHeldRef.current = true
+    }
+
+    const handleKeyUp = evt => {
+      if (evt.code === 'Space') spaceHeldRef.current = false
+    }
+
+    canvas.addEventListener('wheel', handleWheel, { passive: false })
+    window.addEventListener('keydown', handleKeyDown)
+    window.addEventListener('keyup', handleKeyUp)
+    return () => {
+      canvas.removeEventListener('wheel', handleWheel)
+      window.removeEventListener('keydown', handleKeyDown)
+      window.removeEventListener('keyup', handleKeyUp)
+    }
+  }, [dpr])
+
+  useEffect(
+    () => () => {
+      cancelAnimationFrame(minimapFrameRef.current)
+      cancelAnimationFrame(cursorFrameRef.current)
+      cancelAnimationFrame(inkFrameRef.current)
+    },
+    []
+  )
+
+  // Our view, tool and brush for others' cursors and followers: at most once per throttle window
+  // (the last change always goes out) and repeated now and then for people who just joined.
+  useEffect(() => {
+    if (!socket || !ready) return
+    const send = () => {
+      lastPresenceRef.current = performance.now()
+      if (!socket.connected) return
+      socket.emit('presence', {
+        view: viewportBounds(cameraRef.current, dimsRef.current),
+        tool,
+        brush: { color, size },
+        space: 'world'
+      })
+    }
+    const timer = setTimeout(send, Math.max(0, lastPresenceRef.current + PRESENCE_THROTTLE_MS - performance.now()))
+    const refresh = setInterval(send, PRESENCE_REFRESH_MS)
+    return () => {
+      clearTimeout(timer)
+      clearInterval(refresh)
+    }
+  }, [socket, ready, tool, color, size, camera, viewport])
+
+  // Starting to follow someone jumps to their last known view.
+  useEffect(() => {
+    const presence = following && presenceRef.current.get(following)
+    if (presence) followView(presence)
+  }, [following])
+
+  const handles = selectionBox && tool === 'select' ? selectionHandles(selectionBox, camera) : null
+  const marqueeFrame = marquee ? selectionHandles(marquee, camera).frame : null
+  const commentStrokes = comments.length || commentDraft ? new Map(visibleStrokes().map(s => [s.id, s])) : null
+  const commentPos = thread => worldToScreen(camera, commentAnchor(thread, id => draftRef.current.get(id) || commentStrokes.get(id)))
+  const names = users.map(u => u.name)
+
   return (
-    <div className="canvas-shell relative h-full w-full rounded-2xl shadow-card">
+    <div className="canvas-shell relative h-full w-full rounded-2xl shadow-card" onDragOver={handleDragOver} onDrop={handleDrop}>
       <div className="metrics-chip">
         <span>FPS {metrics.fps}</span>
         <span>RTT {metrics.latency ?? '—'}ms</span>
+        <span
+          className={metrics.frame.max > FRAME_BUDGET_MS ? 'badge-off' : ''}
+          title={`Render work per frame: avg ${metrics.frame.avg.toFixed(1)}ms, max ${metrics.frame.max.toFixed(1)}ms, budget ${FRAME_BUDGET_MS.toFixed(1)}ms`}
+        >
+          Frame {metrics.frame.avg.toFixed(1)}/{FRAME_BUDGET_MS.toFixed(0)}ms
+        </span>
+        {pendingCount > 0 && <span className="badge-off">Queued {pendingCount}</span>}
       </div>
-      <canvas ref={canvasRef} className="canvas-surface h-full w-full rounded-2xl" style={{ cursor: cursorStyle }} />
-      <div className="pointer-events-none absolute inset-0">
+      <canvas
+        ref={canvasRef}
+        className="canvas-surface h-full w-full rounded-2xl"
+        style={{ cursor: cursorStyle, ...(grid.style !== 'none' && gridBackground(grid.style, camera)) }}
+      />
+      <canvas ref={overlayRef} className="pointer-events-none absolute inset-0 h-full w-full rounded-2xl" />
+      <canvas ref={inkCanvasRef} className="pointer-events-none absolute inset-0 h-full w-full rounded-2xl" />
+      <div className="pointer-events-none absolute inset-0 overflow-hidden rounded-2xl">
         {cursors
           .filter(c => c.userId !== user?.id)
-          .map(cursor => (
+          .map(cursor => {
+            const pos = worldToScreen(camera, cursor)
+            // The ring is their brush at our zoom, so it shows what a stroke of theirs will cover.
+            const ring = Math.max(6, (cursor.brush?.size || 0) * camera.zoom)
+            return (
+              <div
+                key={cursor.userId}
+                className={`cursor-presence ${cursor.idle ? 'cursor-presence--idle' : ''}`}
+                style={{ left: `${pos.x}px`, top: `${pos.y}px` }}
+              >
+                <span
+                  className="cursor-presence__pointer"
+                  style={{ width: `${ring}px`, height: `${ring}px`, borderColor: cursor.brush?.color || cursor.color }}
+                ></span>
+                <div className="cursor-chip cursor-chip--user text-xs">
+                  <span className="dot" style={{ background: cursor.color }}></span>
+                  <span>{cursor.name}</span>
+                  {cursor.tool && (
+                    <span className="cursor-chip__tool">
+                      {toolNames[cursor.tool] || cursor.tool}
+                      {cursor.drawing ? '…' : ''}
+                    </span>
+                  )}
+                  {cursor.brush?.color && <span className="cursor-chip__swatch" style={{ background: cursor.brush.color }}></span>}
+                </div>
+              </div>
+            )
+          })}
+        {typing
+          .filter(entry => entry.userId !== user?.id)
+          .map(entry => {
+            const pos = worldToScreen(camera, entry)
+            return (
+              <div
+                key={entry.userId}
+                className="cursor-chip cursor-chip--typing text-xs"
+                style={{ left: `${pos.x}px`, top: `${pos.y}px` }}
+              >
+                <span className="dot" style={{ background: entry.color }}></span>
+                <span>{entry.name || 'Someone'} is typing…</span>
+              </div>
+            )
+          })}
+        {guides.map(guide => {
+          const pos = worldToScreen(camera, { x: guide.value, y: guide.value })
+          return (
             <div
-              key={cursor.userId}
-              className="cursor-chip text-xs"
-              style={{ left: `${cursor.x}px`, top: `${cursor.y}px` }}
+              key={`${guide.axis}-${guide.value}`}
+              className={`snap-guide snap-guide--${guide.axis}`}
+              style={guide.axis === 'x' ? { left: pos.x } : { top: pos.y }}
+            />
+          )
+        })}
+        {notice && (
+          <div className="cursor-chip cursor-chip--notice text-xs" style={{ left: `${notice.x}px`, top: `${notice.y}px` }}>
+            {notice.text}
+          </div>
+        )}
+        {picking?.color && (
+          <div className="cursor-chip cursor-chip--pick text-xs" style={{ left: `${picking.x}px`, top: `${picking.y}px` }}>
+            <span className="dot" style={{ background: picking.color }}></span>
+            <span>{picking.color}</span>
+          </div>
+        )}
+      </div>
+      <div className="pointer-events-none absolute inset-0 overflow-hidden rounded-2xl">
+        {comments.map(thread => {
+          const pos = commentPos(thread)
+          const unread = user && !thread.resolved && isUnreadThread(thread, seen, user.id)
+          const posts = thread.replies.length + 1
+          return (
+            <button
+              key={thread.id}
+              className={`comment-pin ${thread.resolved ? 'comment-pin--resolved' : ''} ${unread ? 'comment-pin--unread' : ''} ${openComment === thread.id ? 'comment-pin--open' : ''}`}
+              style={{ left: pos.x, top: pos.y, background: thread.color }}
+              title={`${thread.name || 'Someone'}: ${thread.text}${posts > 1 ? ` (${posts} messages)` : ''}`}
+              onPointerDown={evt => evt.stopPropagation()}
+              onClick={() => {
+                setCommentDraft(null)
+                setOpenComment(prev => (prev === thread.id ? null : thread.id))
+              }}
             >
-              <span className="dot" style={{ background: cursor.color }}></span>
-              <span>{cursor.name}</span>
-            </div>
-          ))}
+              {posts > 1 ? posts : (thread.name || '?').slice(0, 1).toUpperCase()}
+            </button>
+          )
+        })}
+        {commentDraft && (
+          <span
+            className="comment-pin comment-pin--draft"
+            style={{ left: commentPos(commentDraft).x, top: commentPos(commentDraft).y, background: user?.color }}
+          ></span>
+        )}
+      </div>
+      {(shownThread || commentDraft) && (
+        <CommentThread
+          key={shownThread?.id || 'draft'}
+          thread={shownThread || null}
+          pos={commentPos(shownThread || commentDraft)}
+          names={names}
+          self={user?.name}
+          onCreate={addComment}
+          onReply={text => replyToComment(shownThread.id, text)}
+          onResolve={resolved => resolveComment(shownThread.id, resolved)}
+          onClose={closeComment}
+        />
+      )}
+      {following && (
+        <div className="follow-banner glass-panel text-xs">
+          <span>Following {cursors.find(c => c.userId === following)?.name || 'a collaborator'}</span>
+          <button className="surface-button rounded-lg px-2 py-1 hoverable" onClick={() => onStopFollowing?.()}>
+            Stop
+          </button>
+        </div>
+      )}
+      {textEdit && (
+        <TextEditor
+          edit={textEdit}
+          camera={camera}
+          onChange={updateTextEdit}
+          onCommit={commitText}
+          onCancel={closeTextEditor}
+        />
+      )}
+      {(handles || marqueeFrame) && (
+        <div className="pointer-events-none absolute inset-0 overflow-hidden rounded-2xl">
+          {marqueeFrame && <div className="selection-marquee" style={marqueeFrame} />}
+          {handles && (
+            <>
+              <div className="selection-frame" style={handles.frame} />
+              {handles.corners.map(corner => (
+                <div key={corner.key} className="selection-handle" style={{ left: corner.x, top: corner.y }} />
+              ))}
+              <div className="selection-handle selection-handle--rotate" style={{ left: handles.rotate.x, top: handles.rotate.y }} />
+              <button
+                className="surface-button hoverable selection-delete"
+                style={{ left: handles.frame.left + handles.frame.width, top: handles.frame.top }}
+                onClick={deleteSelection}
+              >
+                Delete
+              </button>
+            </>
+          )}
+        </div>
+      )}
+      <div className="zoom-controls">
+        <button className="surface-button hoverable" onClick={() => zoomBy(1 / 1.25)} aria-label="Zoom out">
+          −
+        </button>
+        <button className="surface-button hoverable" onClick={() => zoomBy(1 / camera.zoom)}>
+          {Math.round(camera.zoom * 100)}%
+        </button>
+        <button className="surface-button hoverable" onClick={() => zoomBy(1.25)} aria-label="Zoom in">
+          +
+        </button>
+        <button className="surface-button hoverable" onClick={zoomToFit}>
+          Fit
+        </button>
       </div>
+      <Minimap
+        version={minimapVersion}
+        camera={camera}
+        viewport={viewport}
+        getStrokes={visibleStrokes}
+        imageCache={imageCacheRef.current}
+        onNavigate={pt => {
+          stopFollowing()
+          setCamera(centerOn(cameraRef.current, pt, dimsRef.current))
+        }}
+      />
+      {playback && (
+        <TimelapsePanel
+          strokes={playback.strokes}
+          camera={playback.camera}
+          viewport={viewport}
+          users={users}
+          theme={theme}
+          room={room}
+          imageCache={imageCacheRef.current}
+          onClose={() => setPlayback(null)}
+        />
+      )}
       {!ready && (
         <div className="absolute inset-0 flex items-center justify-center text-sm text-muted">
           Connecting...
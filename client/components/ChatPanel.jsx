@@ -0,0 +1,111 @@
+import React, { forwardRef, useEffect, useImperativeHandle, useRef, useState } from 'react'
+import MentionInput, { MentionText } from './MentionInput.jsx'
+import {
+  MESSAGE_MAX,
+  addMessage,
+  createMessage,
+  formatTime,
+  loadSeen,
+  markChatSeen,
+  sanitizeMessages,
+  saveSeen,
+  unreadMessages
+} from '../lib/comments.js'
+
+// Room chat in the sidebar, mounted per room. Collapsed, it shows how many messages came in
+// unread; messages are read once the panel is open.
+const ChatPanel = forwardRef(function ChatPanel({ socket, room, user, users, open, onToggle }, ref) {
+  const [messages, setMessages] = useState([])
+  const [seen, setSeen] = useState(() => loadSeen(room))
+  const [text, setText] = useState('')
+  const listRef = useRef(null)
+  const names = users.map(u => u.name)
+
+  useImperativeHandle(ref, () => ({ messages: () => messages }))
+
+  // Our own messages come back too; they are already shown, so adding is idempotent.
+  useEffect(() => {
+    if (!socket) return undefined
+    const handleInit = payload => setMessages(sanitizeMessages(payload.messages))
+    const handleMessage = payload => {
+      const [message] = sanitizeMessages([payload])
+      if (message) setMessages(prev => addMessage(prev, message))
+    }
+    socket.on('init', handleInit)
+    socket.on('chat:message', handleMessage)
+    return () => {
+      socket.off('init', handleInit)
+      socket.off('chat:message', handleMessage)
+    }
+  }, [socket])
+
+  useEffect(() => {
+    if (!open || !user) return
+    const next = markChatSeen(seen, messages, user.id)
+    if (next.chat === seen.chat) return
+    setSeen(next)
+    saveSeen(room, { chat: next.chat })
+  }, [open, messages, user, room, seen])
+
+  // Stays scrolled to the newest message.
+  useEffect(() => {
+    const list = listRef.current
+    if (list) list.scrollTop = list.scrollHeight
+  }, [open, messages.length])
+
+  const submit = () => {
+    const value = text.trim()
+    if (!value || !socket || !user) return
+    const message = createMessage(user, value)
+    setMessages(prev => addMessage(prev, message))
+    socket.emit('chat:send', { id: message.id, text: value, createdAt: message.createdAt })
+    setText('')
+  }
+
+  const unread = user ? unreadMessages(messages, seen, user.id) : 0
+
+  return (
+    <section className="section rounded-xl p-4">
+      <button
+        className="flex w-full items-center justify-between text-sm uppercase tracking-wide text-muted hoverable"
+        onClick={onToggle}
+        aria-expanded={open}
+      >
+        <span className="flex items-center gap-2">
+          Chat
+          {!open && unread > 0 && <span className="unread-badge normal-case">{unread}</span>}
+        </span>
+        <span className="text-xs normal-case">{open ? 'Hide' : 'Show'}</span>
+      </button>
+      {open && (
+        <div className="mt-3 grid gap-2">
+          <div ref={listRef} className="scroll-thin grid max-h-56 grid-cols-1 gap-1.5 overflow-y-auto">
+            {messages.length === 0 && <div className="text-xs text-muted">No messages yet</div>}
+            {messages.map(message => (
+              <div key={message.id} className={`chat-message ${message.userId === user?.id ? 'chat-message--mine' : ''}`}>
+                <div className="flex items-center gap-1.5 text-xs">
+                  <span className="h-2 w-2 shrink-0 rounded-full" style={{ background: message.color }}></span>
+                  <span className="font-medium">{message.userId === user?.id ? 'you' : message.name || 'Someone'}</span>
+                  <span className="text-muted">{formatTime(message.createdAt)}</span>
+                </div>
+                <div className="chat-message__text text-sm">
+                  <MentionText text={message.text} names={names} self={user?.name} />
+                </div>
+              </div>
+            ))}
+          </div>
+          <MentionInput
+            value={text}
+            onChange={setText}
+            onSubmit={submit}
+            names={names}
+            maxLength={MESSAGE_MAX}
+            placeholder={user ? 'Message the room (@ to mention)' : 'Connecting…'}
+          />
+        </div>
+      )}
+    </section>
+  )
+})
+
+export default ChatPanel
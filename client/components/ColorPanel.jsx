@@ -0,0 +1,217 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { MIN_OPACITY, hexToHsv, hsvToHex, normalizeHex } from '../lib/color.js'
+
+const Swatches = ({ colors, color, onPick, onRemove, size = 'h-7' }) => (
+  <div className="grid grid-cols-8 gap-1.5">
+    {colors.map(hex => (
+      <button
+        key={hex}
+        className={`color-swatch ${size} rounded-md border transition ${color === hex ? 'color-swatch--active' : ''}`}
+        style={{ background: hex }}
+        onClick={() => onPick(hex)}
+        onContextMenu={
+          onRemove &&
+          (evt => {
+            evt.preventDefault()
+            onRemove(hex)
+          })
+        }
+        title={onRemove ? `${hex} (right-click to remove)` : hex}
+        aria-label={`Select ${hex}`}
+      />
+    ))}
+  </div>
+)
+
+// Saturation/value square plus hue slider. Hue is kept locally so dragging through greys does not
+// lose it. `onChange(hex, final)` gets `final` once a drag or edit is finished.
+function HsvPicker({ color, onChange }) {
+  const [hsv, setHsv] = useState(() => hexToHsv(color))
+  const [hexText, setHexText] = useState(color)
+  const areaRef = useRef(null)
+
+  useEffect(() => {
+    setHexText(color)
+    setHsv(prev => (hsvToHex(prev) === color ? prev : hexToHsv(color)))
+  }, [color])
+
+  const update = (next, final) => {
+    setHsv(next)
+    onChange(hsvToHex(next), final)
+  }
+
+  const fromPointer = (evt, final) => {
+    const box = areaRef.current.getBoundingClientRect()
+    const s = Math.min(1, Math.max(0, (evt.clientX - box.left) / box.width))
+    const v = 1 - Math.min(1, Math.max(0, (evt.clientY - box.top) / box.height))
+    update({ ...hsv, s, v }, final)
+  }
+
+  const commitHex = () => {
+    const hex = normalizeHex(hexText)
+    if (hex) onChange(hex, true)
+    else setHexText(color)
+  }
+
+  return (
+    <div className="space-y-2">
+      <div
+        ref={areaRef}
+        className="color-area rounded-lg"
+        style={{ '--hue': hsv.h }}
+        onPointerDown={evt => {
+          evt.currentTarget.setPointerCapture(evt.pointerId)
+          fromPointer(evt, false)
+        }}
+        onPointerMove={evt => evt.buttons && fromPointer(evt, false)}
+        onPointerUp={evt => fromPointer(evt, true)}
+      >
+        <span className="color-area__thumb" style={{ left: `${hsv.s * 100}%`, top: `${(1 - hsv.v) * 100}%`, background: color }} />
+      </div>
+      <input
+        type="range"
+        min="0"
+        max="359"
+        value={Math.round(hsv.h)}
+        className="hue-slider w-full"
+        onChange={e => update({ ...hsv, h: Number(e.target.value) }, false)}
+        onPointerUp={() => onChange(hsvToHex(hsv), true)}
+        onKeyUp={() => onChange(hsvToHex(hsv), true)}
+        aria-label="Hue"
+      />
+      <input
+        className="surface-button w-full rounded-lg px-2 py-1 font-mono text-xs"
+        value={hexText}
+        onChange={e => setHexText(e.target.value)}
+        onBlur={commitHex}
+        onKeyDown={e => e.key === 'Enter' && commitHex()}
+        aria-label="Hex color"
+      />
+    </div>
+  )
+}
+
+export default function ColorPanel({
+  color,
+  opacity,
+  palette,
+  showAll,
+  recent,
+  swatches,
+  roomPalette,
+  picking,
+  error,
+  onChange,
+  onOpacityChange,
+  onToggleShowAll,
+  onAddSwatch,
+  onRemoveSwatch,
+  onShareSwatches,
+  onKeepRoomPalette,
+  onEyedropper
+}) {
+  const [showPicker, setShowPicker] = useState(false)
+  const pick = hex => onChange(hex, true)
+
+  return (
+    <section className="section rounded-xl p-4">
+      <div className="mb-3 flex items-center justify-between text-sm uppercase tracking-wide text-muted">
+        <span>Color</span>
+        <span className="text-xs normal-case text-muted">
+          {color} · {Math.round(opacity * 100)}%
+        </span>
+      </div>
+      <div className="grid grid-cols-4 gap-2">
+        {palette.map(hex => (
+          <button
+            key={hex}
+            className={`color-swatch h-10 rounded-lg border transition ${color === hex ? 'color-swatch--active' : ''}`}
+            style={{ background: hex }}
+            onClick={() => pick(hex)}
+            aria-label={`Select ${hex}`}
+          />
+        ))}
+      </div>
+      <button className="surface-button mt-3 w-full rounded-lg px-3 py-2 text-sm hoverable" onClick={onToggleShowAll}>
+        {showAll ? 'Show fewer colors' : 'Show all colors'}
+      </button>
+
+      <div className="mt-3 grid grid-cols-2 gap-2">
+        <button
+          className={`surface-button rounded-lg px-3 py-2 text-sm ${showPicker ? 'surface-button--active' : 'hoverable'}`}
+          onClick={() => setShowPicker(prev => !prev)}
+        >
+          Custom…
+        </button>
+        <button
+          className={`surface-button rounded-lg px-3 py-2 text-sm ${picking ? 'surface-button--active' : 'hoverable'}`}
+          onClick={onEyedropper}
+          title="Pick a color from the board (Esc cancels)"
+        >
+          {picking ? 'Click the board…' : 'Eyedropper'}
+        </button>
+      </div>
+      {error && <div className="badge-off mt-2 text-xs">{error}</div>}
+      {showPicker && (
+        <div className="mt-3">
+          <HsvPicker color={color} onChange={onChange} />
+        </div>
+      )}
+
+      <label className="mt-3 block text-xs text-muted">
+        <span className="mb-1 flex justify-between">
+          <span>Opacity</span>
+          <span>{Math.round(opacity * 100)}%</span>
+        </span>
+        <input
+          type="range"
+          min={MIN_OPACITY * 100}
+          max="100"
+          value={Math.round(opacity * 100)}
+          onChange={e => onOpacityChange(Number(e.target.value) / 100)}
+          className="w-full"
+        />
+      </label>
+
+      {recent.length > 0 && (
+        <div className="mt-3">
+          <div className="mb-1 text-xs text-muted">Recent</div>
+          <Swatches colors={recent} color={color} onPick={pick} />
+        </div>
+      )}
+
+      <div className="mt-3">
+        <div className="mb-1 flex items-center justify-between text-xs text-muted">
+          <span>My swatches</span>
+          <span className="flex gap-2">
+            <button className="hoverable" onClick={onAddSwatch}>
+              + Add
+            </button>
+            {swatches.length > 0 && (
+              <button className="hoverable" onClick={onShareSwatches} title="Show these swatches to everyone in the room">
+                Share
+              </button>
+            )}
+          </span>
+        </div>
+        {swatches.length ? (
+          <Swatches colors={swatches} color={color} onPick={pick} onRemove={onRemoveSwatch} />
+        ) : (
+          <div className="text-xs text-muted">Add the current color to keep it here</div>
+        )}
+      </div>
+
+      {roomPalette.length > 0 && (
+        <div className="mt-3">
+          <div className="mb-1 flex items-center justify-between text-xs text-muted">
+            <span>Room palette</span>
+            <button className="hoverable" onClick={onKeepRoomPalette}>
+              Keep
+            </button>
+          </div>
+          <Swatches colors={roomPalette} color={color} onPick={pick} />
+        </div>
+      )}
+    </section>
+  )
+}
@@ -0,0 +1,160 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+import { comboFromEvent, formatCombo } from '../lib/shortcuts.js'
+
+const matches = (action, query) => {
+  const haystack = `${action.group} ${action.label}`.toLowerCase()
+  return query
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean)
+    .every(word => haystack.includes(word))
+}
+
+const Keys = ({ combos }) =>
+  combos.map(combo => (
+    <kbd key={combo} className="palette-key">
+      {formatCombo(combo)}
+    </kbd>
+  ))
+
+// Searchable list of every action the sidebar offers. Actions with `takesQuery` run with what was
+// typed (e.g. a room name) and stay listed whatever the search says.
+export default function CommandPalette({ actions, keymap, onRebind, onReset, onClose }) {
+  const [query, setQuery] = useState('')
+  const [active, setActive] = useState(0)
+  const [editing, setEditing] = useState(false)
+  const [capturing, setCapturing] = useState(null)
+  const inputRef = useRef(null)
+  const listRef = useRef(null)
+
+  const results = useMemo(() => {
+    const found = actions.filter(action => matches(action, query))
+    if (!query.trim() || editing) return found
+    return [...found, ...actions.filter(action => action.takesQuery && !found.includes(action))]
+  }, [actions, query, editing])
+
+  useEffect(() => setActive(0), [query, editing])
+
+  useEffect(() => {
+    listRef.current?.children[active]?.scrollIntoView({ block: 'nearest' })
+  }, [active])
+
+  // While capturing, the next key combo is the new binding; it must not also trigger anything.
+  useEffect(() => {
+    if (!capturing) return undefined
+    const handleCapture = evt => {
+      evt.preventDefault()
+      evt.stopPropagation()
+      if (evt.key === 'Escape') {
+        setCapturing(null)
+        return
+      }
+      const combo = comboFromEvent(evt)
+      if (!combo) return
+      onRebind(capturing, combo)
+      setCapturing(null)
+      inputRef.current?.focus()
+    }
+    window.addEventListener('keydown', handleCapture, true)
+    return () => window.removeEventListener('keydown', handleCapture, true)
+  }, [capturing, onRebind])
+
+  const run = action => {
+    if (!action || action.disabled) return
+    onClose()
+    action.run(query.trim())
+  }
+
+  const handleKeyDown = evt => {
+    if (evt.key === 'ArrowDown') {
+      evt.preventDefault()
+      setActive(prev => Math.min(results.length - 1, prev + 1))
+    } else if (evt.key === 'ArrowUp') {
+      evt.preventDefault()
+      setActive(prev => Math.max(0, prev - 1))
+    } else if (evt.key === 'Enter') {
+      evt.preventDefault()
+      if (editing) setCapturing(results[active]?.id || null)
+      else run(results[active])
+    } else if (evt.key === 'Escape') {
+      evt.preventDefault()
+      onClose()
+    }
+  }
+
+  return (
+    <div className="palette-backdrop" onPointerDown={onClose}>
+      <div className="palette glass-panel rounded-2xl shadow-card" onPointerDown={evt => evt.stopPropagation()}>
+        <div className="flex items-center gap-2 p-3">
+          <input
+            ref={inputRef}
+            autoFocus
+            className="surface-button w-full rounded-lg px-3 py-2 text-sm"
+            placeholder={editing ? 'Find a shortcut to change…' : 'Type a command…'}
+            value={query}
+            onChange={e => setQuery(e.target.value)}
+            onKeyDown={handleKeyDown}
+          />
+          <button
+            className={`surface-button whitespace-nowrap rounded-lg px-3 py-2 text-xs ${editing ? 'surface-button--active' : 'hoverable'}`}
+            onClick={() => {
+              setEditing(prev => !prev)
+              setCapturing(null)
+              inputRef.current?.focus()
+            }}
+          >
+            {editing ? 'Done' : 'Edit keys'}
+          </button>
+        </div>
+        <ul ref={listRef} className="palette__list scroll-thin">
+          {results.map((action, index) => (
+            <li
+              key={action.id}
+              className={`palette__item ${index === active ? 'palette__item--active' : ''} ${action.disabled && !editing ? 'surface-button--disabled' : ''}`}
+              onPointerEnter={() => setActive(index)}
+              onClick={() => (editing ? setCapturing(action.id) : run(action))}
+            >
+              <span className="text-xs text-muted">{action.group}</span>
+              <span className="flex-1">{action.takesQuery && query.trim() && !editing ? `${action.label} “${query.trim()}”` : action.label}</span>
+              {editing && capturing === action.id ? (
+                <span className="text-xs text-muted">Press keys… (Esc cancels)</span>
+              ) : (
+                <Keys combos={keymap[action.id] || []} />
+              )}
+              {editing && capturing !== action.id && (
+                <>
+                  <button
+                    className="text-xs text-muted hoverable"
+                    onClick={evt => {
+                      evt.stopPropagation()
+                      onRebind(action.id, null)
+                    }}
+                  >
+                    Clear
+                  </button>
+                  <button
+                    className="text-xs text-muted hoverable"
+                    onClick={evt => {
+                      evt.stopPropagation()
+                      onReset(action.id)
+                    }}
+                  >
+                    Reset
+                  </button>
+                </>
+              )}
+            </li>
+          ))}
+          {results.length === 0 && <li className="palette__item text-muted">No matching commands</li>}
+        </ul>
+        {editing && (
+          <div className="flex justify-end p-3 text-xs">
+            <button className="text-muted hoverable" onClick={() => onReset(null)}>
+              Reset all shortcuts
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,72 @@
+import React, { useState } from 'react'
+import MentionInput, { MentionText } from './MentionInput.jsx'
+import { COMMENT_MAX, formatTime } from '../lib/comments.js'
+
+function Post({ post, names, self }) {
+  return (
+    <div className="comment-thread__post">
+      <div className="flex items-center gap-1.5 text-xs">
+        <span className="h-2 w-2 shrink-0 rounded-full" style={{ background: post.color }}></span>
+        <span className="font-medium">{post.name || 'Someone'}</span>
+        <span className="text-muted">{formatTime(post.createdAt)}</span>
+      </div>
+      <div className="comment-thread__text text-sm">
+        <MentionText text={post.text} names={names} self={self} />
+      </div>
+    </div>
+  )
+}
+
+// The thread open at a pin, or the box for a new comment when `thread` is null. `pos` is the pin's
+// screen position inside the board.
+export default function CommentThread({ thread, pos, names, self, onCreate, onReply, onResolve, onClose }) {
+  const [text, setText] = useState('')
+
+  const submit = () => {
+    const value = text.trim()
+    if (!value) return
+    if (thread) onReply(value)
+    else onCreate(value)
+    setText('')
+  }
+
+  return (
+    <div
+      className="comment-thread glass-panel"
+      style={{ left: pos.x, top: pos.y }}
+      onPointerDown={evt => evt.stopPropagation()}
+    >
+      <div className="mb-2 flex items-center justify-between text-xs uppercase tracking-wide text-muted">
+        <span>{thread ? (thread.resolved ? 'Resolved' : 'Comment') : 'New comment'}</span>
+        <div className="flex items-center gap-2 normal-case">
+          {thread && (
+            <button className="hoverable" onClick={() => onResolve(!thread.resolved)}>
+              {thread.resolved ? 'Reopen' : 'Resolve'}
+            </button>
+          )}
+          <button className="hoverable" onClick={onClose} aria-label="Close">
+            ✕
+          </button>
+        </div>
+      </div>
+      {thread && (
+        <div className="scroll-thin mb-2 grid max-h-60 gap-2 overflow-y-auto">
+          <Post post={thread} names={names} self={self} />
+          {thread.replies.map(reply => (
+            <Post key={reply.id} post={reply} names={names} self={self} />
+          ))}
+        </div>
+      )}
+      <MentionInput
+        value={text}
+        onChange={setText}
+        onSubmit={submit}
+        onCancel={onClose}
+        names={names}
+        maxLength={COMMENT_MAX}
+        placeholder={thread ? 'Reply… (@ to mention)' : 'Add a comment… (@ to mention)'}
+        autoFocus
+      />
+    </div>
+  )
+}
@@ -0,0 +1,44 @@
+import React, { useEffect, useRef } from 'react'
+
+// Asks before something that cannot be taken back for everyone in the room. Escape or a click
+// outside cancels.
+export default function ConfirmDialog({ title, message, confirmLabel, onConfirm, onCancel }) {
+  const cancelRef = useRef(null)
+
+  // Focus starts on Cancel, so a stray Enter does not confirm.
+  useEffect(() => {
+    cancelRef.current?.focus()
+  }, [])
+
+  const handleKeyDown = evt => {
+    evt.stopPropagation()
+    if (evt.key === 'Escape') {
+      evt.preventDefault()
+      onCancel()
+    }
+  }
+
+  return (
+    <div className="palette-backdrop" onPointerDown={onCancel} onKeyDown={handleKeyDown}>
+      <div
+        className="confirm-dialog glass-panel rounded-2xl p-4 shadow-card"
+        role="alertdialog"
+        aria-labelledby="confirm-dialog-title"
+        onPointerDown={evt => evt.stopPropagation()}
+      >
+        <div id="confirm-dialog-title" className="mb-1 font-semibold">
+          {title}
+        </div>
+        <p className="mb-4 text-sm text-muted">{message}</p>
+        <div className="flex justify-end gap-2">
+          <button ref={cancelRef} className="surface-button rounded-lg px-3 py-2 text-sm hoverable" onClick={onCancel}>
+            Cancel
+          </button>
+          <button className="confirm-dialog__danger rounded-lg px-3 py-2 text-sm" onClick={onConfirm}>
+            {confirmLabel}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
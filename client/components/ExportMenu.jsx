@@ -0,0 +1,73 @@
+import React, { useState } from 'react'
+
+const formats = [
+  ['png', 'PNG image'],
+  ['svg', 'SVG vector'],
+  ['pdf', 'PDF (print)'],
+  ['json', 'Session JSON']
+]
+
+const regions = [
+  ['board', 'Whole board'],
+  ['viewport', 'Current view'],
+  ['selection', 'Selection']
+]
+
+export default function ExportMenu({ onExport, busy, error }) {
+  const [format, setFormat] = useState('png')
+  const [scale, setScale] = useState(2)
+  const [background, setBackground] = useState('theme')
+  const [region, setRegion] = useState('board')
+
+  const isImage = format !== 'json'
+
+  return (
+    <section className="section col-span-2 rounded-xl p-3 md:col-span-4">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <select className="surface-button rounded-lg px-2 py-2" value={format} onChange={e => setFormat(e.target.value)}>
+          {formats.map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        {isImage && (
+          <select className="surface-button rounded-lg px-2 py-2" value={region} onChange={e => setRegion(e.target.value)}>
+            {regions.map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        )}
+        {format === 'png' && (
+          <select className="surface-button rounded-lg px-2 py-2" value={scale} onChange={e => setScale(Number(e.target.value))}>
+            {[1, 2, 3, 4].map(value => (
+              <option key={value} value={value}>
+                {value}×
+              </option>
+            ))}
+          </select>
+        )}
+        {(format === 'png' || format === 'svg') && (
+          <select
+            className="surface-button rounded-lg px-2 py-2"
+            value={background}
+            onChange={e => setBackground(e.target.value)}
+          >
+            <option value="theme">Themed background</option>
+            <option value="transparent">Transparent</option>
+          </select>
+        )}
+        <button
+          className={`surface-button rounded-lg px-3 py-2 transition ${busy ? 'surface-button--disabled' : 'hoverable'}`}
+          disabled={busy}
+          onClick={() => onExport({ format, scale, background, region })}
+        >
+          {busy ? 'Exporting…' : 'Export'}
+        </button>
+        {error && <span className="text-xs badge-off">{error}</span>}
+      </div>
+    </section>
+  )
+}
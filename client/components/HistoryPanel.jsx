@@ -0,0 +1,68 @@
+import React, { useState } from 'react'
+
+const toolLabels = {
+  pen: 'Brush',
+  eraser: 'Eraser',
+  erasure: 'Erase strokes',
+  transform: 'Move or resize',
+  line: 'Line',
+  rect: 'Rectangle',
+  ellipse: 'Ellipse',
+  arrow: 'Arrow',
+  connector: 'Connector',
+  polygon: 'Polygon',
+  star: 'Star',
+  sticky: 'Sticky note',
+  text: 'Text',
+  image: 'Image',
+  fill: 'Fill'
+}
+
+const formatTime = entry =>
+  entry.createdAt
+    ? new Date(entry.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' })
+    : `#${entry.seq ?? '?'}`
+
+// `canRevert` is false for read-only members; only `canRevertAll` (the owner) may revert or
+// restore other people's strokes.
+export default function HistoryPanel({ entries, users, userId, canRevert = true, canRevertAll = true, onRevert, onRestore }) {
+  const [onlyMine, setOnlyMine] = useState(false)
+  const nameOf = id => (id === userId ? 'you' : users.find(u => u.id === id)?.name || 'someone')
+  const visible = onlyMine ? entries.filter(e => e.userId === userId) : entries
+
+  return (
+    <section className="section rounded-xl p-4">
+      <div className="mb-3 flex items-center justify-between text-sm uppercase tracking-wide text-muted">
+        <span>History</span>
+        <label className="flex items-center gap-1 text-xs normal-case">
+          <input type="checkbox" checked={onlyMine} onChange={e => setOnlyMine(e.target.checked)} />
+          mine only
+        </label>
+      </div>
+      <div className="scroll-thin grid max-h-48 grid-cols-1 gap-1.5 overflow-y-auto">
+        {visible.length === 0 && <div className="text-xs text-muted">Nothing drawn yet</div>}
+        {visible.map(entry => (
+          <div
+            key={entry.id}
+            className={`user-chip flex items-center justify-between rounded-lg px-2 py-1.5 text-xs ${entry.undone ? 'opacity-60' : ''}`}
+          >
+            <div className="flex min-w-0 items-center gap-2">
+              <span className="h-2.5 w-2.5 shrink-0 rounded-full" style={{ background: entry.color }}></span>
+              <span className={`truncate ${entry.undone ? 'line-through' : ''}`}>
+                {toolLabels[entry.tool] || entry.tool} · {nameOf(entry.userId)}
+              </span>
+            </div>
+            <div className="flex shrink-0 items-center gap-2">
+              <span className="text-muted">{formatTime(entry)}</span>
+              {canRevert && (canRevertAll || entry.userId === userId) && (
+                <button className="hoverable" onClick={() => (entry.undone ? onRestore(entry.id) : onRevert(entry.id))}>
+                  {entry.undone ? 'Restore' : 'Revert'}
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </section>
+  )
+}
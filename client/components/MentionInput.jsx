@@ -0,0 +1,120 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { insertMention, mentionQuery, mentionSuggestions, splitMentions } from '../lib/mentions.js'
+
+// Text with the `@name` mentions of `names` picked out; mentions of `self` stand out more.
+export function MentionText({ text, names, self }) {
+  return splitMentions(text, names).map((part, i) =>
+    part.mention ? (
+      <span key={i} className={`mention ${part.mention === self ? 'mention--self' : ''}`}>
+        {part.text}
+      </span>
+    ) : (
+      <React.Fragment key={i}>{part.text}</React.Fragment>
+    )
+  )
+}
+
+// A growing textarea that completes `@` mentions from `names`. Enter sends, Shift+Enter breaks the
+// line, Escape closes the suggestions first and then calls `onCancel`.
+export default function MentionInput({ value, onChange, onSubmit, onCancel, names, maxLength, placeholder, autoFocus = false }) {
+  const areaRef = useRef(null)
+  const [query, setQuery] = useState(null)
+  const [active, setActive] = useState(0)
+  const suggestions = query ? mentionSuggestions(names, query.query) : []
+
+  useEffect(() => {
+    if (!autoFocus) return undefined
+    const frame = requestAnimationFrame(() => areaRef.current?.focus())
+    return () => cancelAnimationFrame(frame)
+  }, [autoFocus])
+
+  useEffect(() => {
+    const area = areaRef.current
+    if (!area) return
+    area.style.height = 'auto'
+    area.style.height = `${area.scrollHeight}px`
+  }, [value])
+
+  const updateQuery = area => {
+    setQuery(mentionQuery(area.value, area.selectionStart))
+    setActive(0)
+  }
+
+  const complete = name => {
+    const area = areaRef.current
+    const next = insertMention(value, area.selectionStart, query.start, name)
+    onChange(next.text)
+    setQuery(null)
+    requestAnimationFrame(() => {
+      area.focus()
+      area.setSelectionRange(next.caret, next.caret)
+    })
+  }
+
+  const handleKeyDown = evt => {
+    evt.stopPropagation()
+    if (suggestions.length) {
+      if (evt.key === 'ArrowDown' || evt.key === 'ArrowUp') {
+        evt.preventDefault()
+        const step = evt.key === 'ArrowDown' ? 1 : -1
+        setActive(prev => (prev + step + suggestions.length) % suggestions.length)
+        return
+      }
+      if (evt.key === 'Enter' || evt.key === 'Tab') {
+        evt.preventDefault()
+        complete(suggestions[active])
+        return
+      }
+      if (evt.key === 'Escape') {
+        evt.preventDefault()
+        setQuery(null)
+        return
+      }
+    }
+    if (evt.key === 'Escape') {
+      evt.preventDefault()
+      onCancel?.()
+    } else if (evt.key === 'Enter' && !evt.shiftKey) {
+      evt.preventDefault()
+      if (value.trim()) onSubmit()
+    }
+  }
+
+  return (
+    <div className="mention-input">
+      <textarea
+        ref={areaRef}
+        className="mention-input__area surface-button w-full rounded-lg px-2 py-1.5 text-sm"
+        rows={1}
+        value={value}
+        maxLength={maxLength}
+        placeholder={placeholder}
+        onChange={evt => {
+          onChange(evt.target.value)
+          updateQuery(evt.target)
+        }}
+        onClick={evt => updateQuery(evt.target)}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setQuery(null)}
+      />
+      {suggestions.length > 0 && (
+        <div className="mention-input__list glass-panel text-xs" role="listbox">
+          {suggestions.map((name, i) => (
+            <button
+              key={name}
+              type="button"
+              role="option"
+              aria-selected={i === active}
+              className={`mention-input__option ${i === active ? 'mention-input__option--active' : ''}`}
+              // Keeps focus in the textarea so the caret position is still known.
+              onMouseDown={evt => evt.preventDefault()}
+              onClick={() => complete(name)}
+            >
+              @{name}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
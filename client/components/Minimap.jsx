@@ -0,0 +1,75 @@
+import React, { useEffect, useMemo, useRef } from 'react'
+import { replayStrokes } from '../lib/render.js'
+import { boardBounds, unionBounds } from '../lib/geometry.js'
+import { applyCamera, fitBounds, viewportBounds } from '../lib/camera.js'
+
+const WIDTH = 180
+const HEIGHT = 120
+
+export default function Minimap({ version, camera, viewport, getStrokes, imageCache, onNavigate }) {
+  const canvasRef = useRef(null)
+  const viewRef = useRef(null)
+  const contentRef = useRef({ canvas: null, version: -1, key: '' })
+  const draggingRef = useRef(false)
+
+  const dpr = useMemo(() => Math.min(window.devicePixelRatio || 1, 2), [])
+
+  useEffect(() => {
+    const canvas = canvasRef.current
+    if (!canvas || !viewport.width) return
+    canvas.width = WIDTH * dpr
+    canvas.height = HEIGHT * dpr
+    const ctx = canvas.getContext('2d')
+    const strokes = getStrokes()
+    const visible = viewportBounds(camera, viewport)
+    const bounds = unionBounds(boardBounds(strokes), visible)
+    const view = fitBounds(bounds, { width: WIDTH, height: HEIGHT }, 8)
+    viewRef.current = view
+
+    // Panning inside the content bounds only moves the viewport frame; the strokes are redrawn
+    // when they change or when the overview itself has to shift.
+    const content = contentRef.current
+    const key = `${view.x.toFixed(1)}:${view.y.toFixed(1)}:${view.zoom.toFixed(4)}`
+    if (!content.canvas || content.version !== version || content.key !== key) {
+      content.canvas = content.canvas || document.createElement('canvas')
+      content.canvas.width = WIDTH * dpr
+      content.canvas.height = HEIGHT * dpr
+      replayStrokes(content.canvas.getContext('2d'), strokes, view, dpr, imageCache)
+      content.version = version
+      content.key = key
+    }
+    ctx.drawImage(content.canvas, 0, 0)
+    applyCamera(ctx, view, dpr)
+
+    ctx.lineWidth = 1.5 / view.zoom
+    ctx.strokeStyle = getComputedStyle(canvas).getPropertyValue('--accent-strong').trim() || '#22d3ee'
+    ctx.strokeRect(visible.minX, visible.minY, visible.maxX - visible.minX, visible.maxY - visible.minY)
+  }, [version, camera, viewport, dpr])
+
+  const navigate = evt => {
+    const view = viewRef.current
+    if (!view) return
+    const rect = canvasRef.current.getBoundingClientRect()
+    onNavigate({
+      x: view.x + (evt.clientX - rect.left) / view.zoom,
+      y: view.y + (evt.clientY - rect.top) / view.zoom
+    })
+  }
+
+  return (
+    <canvas
+      ref={canvasRef}
+      className="minimap"
+      style={{ width: WIDTH, height: HEIGHT }}
+      onPointerDown={evt => {
+        draggingRef.current = true
+        evt.currentTarget.setPointerCapture(evt.pointerId)
+        navigate(evt)
+      }}
+      onPointerMove={evt => draggingRef.current && navigate(evt)}
+      onPointerUp={() => {
+        draggingRef.current = false
+      }}
+    />
+  )
+}
@@ -0,0 +1,145 @@
+import React, { useEffect, useRef } from 'react'
+import { worldToScreen } from '../lib/camera.js'
+import { FONT_FAMILIES, LINE_HEIGHT, TEXT_ALIGNS, TEXT_PADDING, textFontSize } from '../lib/text.js'
+import { STICKY_COLORS, STICKY_PADDING } from '../lib/shapes.js'
+
+const familyLabels = { sans: 'Sans', serif: 'Serif', mono: 'Mono', hand: 'Hand' }
+const alignLabels = { left: 'Left', center: 'Center', right: 'Right' }
+const HIGHLIGHTS = ['#fde68a', '#bbf7d0', '#bfdbfe', '#fbcfe8']
+
+// A textarea laid over the canvas at the text's anchor, scaled with the camera so what is typed
+// lines up with what the canvas draws once committed. Sticky notes (`kind: 'sticky'`) fill their
+// box and pick a paper color instead of a highlight.
+export default function TextEditor({ edit, camera, onChange, onCommit, onCancel }) {
+  const areaRef = useRef(null)
+  const pos = worldToScreen(camera, edit.anchor)
+  const zoom = camera.zoom
+  const isSticky = edit.kind === 'sticky'
+
+  // Focus after the opening click has finished moving focus to the canvas.
+  useEffect(() => {
+    const frame = requestAnimationFrame(() => {
+      const area = areaRef.current
+      if (!area) return
+      area.focus()
+      area.setSelectionRange(area.value.length, area.value.length)
+    })
+    return () => cancelAnimationFrame(frame)
+  }, [])
+
+  useEffect(() => {
+    const area = areaRef.current
+    if (!area) return
+    area.style.height = 'auto'
+    area.style.height = `${area.scrollHeight}px`
+  }, [edit.text, edit.boxWidth, edit.fontFamily, edit.fontWeight, edit.size, zoom])
+
+  const handleKeyDown = evt => {
+    evt.stopPropagation()
+    if (evt.key === 'Escape') {
+      evt.preventDefault()
+      onCancel()
+    } else if (evt.key === 'Enter' && (evt.metaKey || evt.ctrlKey)) {
+      evt.preventDefault()
+      onCommit()
+    }
+  }
+
+  // The box can be widened with the textarea's resize handle; wrapping follows the new width.
+  const handleResize = () => {
+    if (isSticky) return
+    const width = areaRef.current?.offsetWidth
+    if (width && Math.abs(width / zoom - edit.boxWidth) > 0.5) onChange({ boxWidth: width / zoom })
+  }
+
+  return (
+    <div className="text-editor" style={{ left: pos.x, top: pos.y }}>
+      <div className="text-editor__toolbar glass-panel" onPointerDown={evt => evt.stopPropagation()}>
+        <select
+          className="surface-button rounded-md px-1 py-0.5"
+          value={edit.fontFamily}
+          onChange={e => onChange({ fontFamily: e.target.value })}
+        >
+          {Object.keys(FONT_FAMILIES).map(key => (
+            <option key={key} value={key}>
+              {familyLabels[key]}
+            </option>
+          ))}
+        </select>
+        <button
+          className={`surface-button rounded-md px-2 py-0.5 font-bold ${edit.fontWeight === 'bold' ? 'surface-button--active' : 'hoverable'}`}
+          onClick={() => onChange({ fontWeight: edit.fontWeight === 'bold' ? 'normal' : 'bold' })}
+          aria-label="Bold"
+        >
+          B
+        </button>
+        {TEXT_ALIGNS.map(align => (
+          <button
+            key={align}
+            className={`surface-button rounded-md px-2 py-0.5 ${edit.align === align ? 'surface-button--active' : 'hoverable'}`}
+            onClick={() => onChange({ align })}
+          >
+            {alignLabels[align]}
+          </button>
+        ))}
+        {isSticky ? (
+          STICKY_COLORS.map(value => (
+            <button
+              key={value}
+              className={`color-swatch h-5 w-5 rounded-full ${(edit.fill || STICKY_COLORS[0]) === value ? 'color-swatch--active' : ''}`}
+              style={{ background: value }}
+              onClick={() => onChange({ fill: value })}
+              aria-label={`Note color ${value}`}
+            />
+          ))
+        ) : (
+          <>
+            <button
+              className={`surface-button rounded-md px-2 py-0.5 ${edit.highlight ? 'hoverable' : 'surface-button--active'}`}
+              onClick={() => onChange({ highlight: null })}
+            >
+              No fill
+            </button>
+            {HIGHLIGHTS.map(value => (
+              <button
+                key={value}
+                className={`color-swatch h-5 w-5 rounded-full ${edit.highlight === value ? 'color-swatch--active' : ''}`}
+                style={{ background: value }}
+                onClick={() => onChange({ highlight: value })}
+                aria-label={`Highlight ${value}`}
+              />
+            ))}
+          </>
+        )}
+        <button className="surface-button hoverable rounded-md px-2 py-0.5" onClick={onCommit}>
+          Done
+        </button>
+      </div>
+      <textarea
+        ref={areaRef}
+        className={`text-editor__area scroll-thin ${isSticky ? 'text-editor__area--sticky' : ''}`}
+        value={edit.text}
+        placeholder="Type…"
+        rows={1}
+        onChange={e => onChange({ text: e.target.value })}
+        onKeyDown={handleKeyDown}
+        onPointerDown={evt => evt.stopPropagation()}
+        onPointerUp={handleResize}
+        style={{
+          ...(isSticky && {
+            minHeight: edit.box.height * zoom,
+            padding: STICKY_PADDING * zoom
+          }),
+          width: isSticky ? edit.box.width * zoom : edit.boxWidth * zoom,
+          font: `${edit.fontWeight === 'bold' ? 'bold' : 'normal'} ${textFontSize(edit) * zoom}px ${FONT_FAMILIES[edit.fontFamily]}`,
+          lineHeight: LINE_HEIGHT,
+          color: edit.color,
+          opacity: edit.opacity ?? 1,
+          textAlign: edit.align,
+          background: isSticky ? edit.fill || STICKY_COLORS[0] : edit.highlight || 'transparent',
+          ...(!isSticky && { boxShadow: edit.highlight ? `0 0 0 ${TEXT_PADDING * zoom}px ${edit.highlight}` : 'none' })
+        }}
+      />
+    </div>
+  )
+}
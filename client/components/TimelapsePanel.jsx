@@ -0,0 +1,166 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+import { buildTimeline, createTimelapseRenderer, encodeGif, recordWebm, stepsPerSecond, supportsWebm } from '../lib/timelapse.js'
+import { THEME_BACKGROUNDS } from '../lib/exporters.js'
+import { downloadBlob } from '../lib/download.js'
+import { isEditRecord } from '../lib/erase.js'
+
+const speeds = [0.5, 1, 2, 4, 8]
+
+const authorName = (users, userId) =>
+  users.find(u => u.id === userId)?.name || (userId ? `guest ${String(userId).slice(0, 4)}` : 'unknown')
+
+export default function TimelapsePanel({ strokes, camera, viewport, users, theme, room, imageCache, onClose }) {
+  const canvasRef = useRef(null)
+  const rendererRef = useRef(null)
+  const stepRef = useRef(0)
+  const [step, setStep] = useState(0)
+  const [playing, setPlaying] = useState(false)
+  const [speed, setSpeed] = useState(1)
+  const [hidden, setHidden] = useState(() => new Set())
+  const [exporting, setExporting] = useState(null)
+  const [error, setError] = useState(null)
+
+  const dpr = useMemo(() => Math.min(window.devicePixelRatio || 1, 2), [])
+
+  // The author filter hides drawings only; erasures and moves always replay on what is shown.
+  const authors = useMemo(() => [...new Set(strokes.filter(s => !isEditRecord(s)).map(s => s.userId))], [strokes])
+  const included = useMemo(() => strokes.filter(s => isEditRecord(s) || !hidden.has(s.userId)), [strokes, hidden])
+  const timeline = useMemo(() => buildTimeline(included), [included])
+
+  const seek = next => {
+    const clamped = Math.max(0, Math.min(timeline.total, next))
+    stepRef.current = clamped
+    setStep(clamped)
+    rendererRef.current?.render(Math.floor(clamped))
+  }
+
+  useEffect(() => {
+    if (!canvasRef.current) return
+    rendererRef.current = createTimelapseRenderer({ target: canvasRef.current, dpr, imageCache })
+  }, [dpr, imageCache])
+
+  useEffect(() => {
+    rendererRef.current?.setScene(timeline, camera, viewport.width, viewport.height)
+    seek(Math.min(stepRef.current, timeline.total) || timeline.total)
+  }, [timeline, camera, viewport])
+
+  useEffect(() => {
+    if (!playing) return
+    let frameId
+    let last = performance.now()
+    const tick = now => {
+      const next = stepRef.current + ((now - last) / 1000) * stepsPerSecond(timeline) * speed
+      last = now
+      seek(next)
+      if (next >= timeline.total) {
+        setPlaying(false)
+        return
+      }
+      frameId = requestAnimationFrame(tick)
+    }
+    frameId = requestAnimationFrame(tick)
+    return () => cancelAnimationFrame(frameId)
+  }, [playing, speed, timeline])
+
+  const togglePlay = () => {
+    if (!playing && stepRef.current >= timeline.total) seek(0)
+    setPlaying(prev => !prev)
+  }
+
+  const toggleAuthor = userId =>
+    setHidden(prev => {
+      const next = new Set(prev)
+      if (next.has(userId)) next.delete(userId)
+      else next.add(userId)
+      return next
+    })
+
+  const exportVideo = async kind => {
+    setPlaying(false)
+    setError(null)
+    setExporting({ kind, progress: 0 })
+    try {
+      const encode = kind === 'webm' ? recordWebm : encodeGif
+      const blob = await encode({
+        strokes: included,
+        speed,
+        background: THEME_BACKGROUNDS[theme],
+        imageCache,
+        onProgress: progress => setExporting({ kind, progress })
+      })
+      if (!blob) {
+        setError('Nothing to export')
+      } else {
+        downloadBlob(blob, `canvas-${room}-timelapse-${Date.now()}.${kind}`)
+      }
+    } catch (err) {
+      setError(err.message || 'Export failed')
+    } finally {
+      setExporting(null)
+    }
+  }
+
+  return (
+    <div className="timelapse absolute inset-0 rounded-2xl">
+      <canvas ref={canvasRef} className="h-full w-full rounded-2xl" />
+      <div className="timelapse-bar text-xs">
+        <div className="flex items-center gap-2">
+          <button className="surface-button hoverable rounded-lg px-3 py-1" onClick={togglePlay} disabled={!timeline.total}>
+            {playing ? 'Pause' : 'Play'}
+          </button>
+          <input
+            type="range"
+            min="0"
+            max={timeline.total}
+            value={Math.floor(step)}
+            onChange={e => {
+              setPlaying(false)
+              seek(Number(e.target.value))
+            }}
+            className="flex-1"
+            aria-label="Timeline"
+          />
+          <span className="text-muted">
+            {Math.floor(step)}/{timeline.total}
+          </span>
+          <select className="surface-button rounded-lg px-2 py-1" value={speed} onChange={e => setSpeed(Number(e.target.value))}>
+            {speeds.map(value => (
+              <option key={value} value={value}>
+                {value}×
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="mt-2 flex flex-wrap items-center gap-2">
+          {authors.map(userId => (
+            <label key={userId ?? 'unknown'} className="user-chip flex items-center gap-1 rounded-lg px-2 py-1">
+              <input type="checkbox" checked={!hidden.has(userId)} onChange={() => toggleAuthor(userId)} />
+              <span>{authorName(users, userId)}</span>
+            </label>
+          ))}
+          <span className="flex-1" />
+          {exporting ? (
+            <span className="text-muted">
+              Exporting {exporting.kind.toUpperCase()} {Math.round(exporting.progress * 100)}%
+            </span>
+          ) : (
+            <>
+              {supportsWebm() && (
+                <button className="surface-button hoverable rounded-lg px-3 py-1" onClick={() => exportVideo('webm')}>
+                  WebM
+                </button>
+              )}
+              <button className="surface-button hoverable rounded-lg px-3 py-1" onClick={() => exportVideo('gif')}>
+                GIF
+              </button>
+            </>
+          )}
+          <button className="surface-button hoverable rounded-lg px-3 py-1" onClick={onClose} disabled={Boolean(exporting)}>
+            Close
+          </button>
+        </div>
+        {error && <div className="mt-1 badge-off">{error}</div>}
+      </div>
+    </div>
+  )
+}
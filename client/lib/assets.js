@@ -0,0 +1,185 @@
+// Images live in a per-room asset store on the server, addressed by the SHA-256 of their bytes.
+// Strokes carry only the `asset` id, so the same picture placed five times is stored and sent once.
+
+// Larger images are scaled down and re-encoded before hashing; the server's socket payload limit
+// has to fit MAX_ASSET_BYTES.
+const MAX_IMAGE_SIDE = 2048
+const MAX_ASSET_BYTES = 900 * 1024
+const ENCODE_QUALITIES = [0.9, 0.8, 0.65, 0.5]
+const ASSET_TIMEOUT_MS = 15000
+const RETRY_DELAYS_MS = [1000, 3000, 8000, 20000]
+
+const blobs = new Map()
+const urls = new Map()
+const inflight = new Map()
+let fetcher = null
+
+export const isAssetStroke = stroke => stroke.tool === 'image' && Boolean(stroke.asset)
+
+// Key under which a stroke's bitmap is cached: the asset id, or the inline src of older strokes.
+export const imageKey = stroke => stroke.asset || stroke.src || null
+
+const toHex = buffer => Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('')
+
+// SubtleCrypto only exists in secure contexts, so a board opened over plain http on a LAN address
+// can neither share images nor check the ones it fetches. Null where hashing works.
+export const imagesUnavailable = globalThis.crypto?.subtle ? null : 'Images can only be shared over https or on localhost'
+
+export const hashBlob = async blob => {
+  if (imagesUnavailable) throw new Error(imagesUnavailable)
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer())
+  return `sha256-${toHex(digest)}`
+}
+
+const decode = blob =>
+  new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(blob)
+    const img = new Image()
+    img.onload = () => {
+      URL.revokeObjectURL(url)
+      resolve(img)
+    }
+    img.onerror = () => {
+      URL.revokeObjectURL(url)
+      reject(new Error('The file is not a readable image'))
+    }
+    img.src = url
+  })
+
+const encode = (canvas, type, quality) => new Promise(resolve => canvas.toBlob(resolve, type, quality))
+
+// Returns `{ blob, width, height }`, re-encoded as WebP (JPEG where WebP encoding is missing)
+// whenever the original is too large in pixels or bytes.
+export const prepareImage = async file => {
+  const img = await decode(file)
+  const scale = Math.min(1, MAX_IMAGE_SIDE / Math.max(img.naturalWidth, img.naturalHeight))
+  const width = Math.max(1, Math.round(img.naturalWidth * scale))
+  const height = Math.max(1, Math.round(img.naturalHeight * scale))
+  if (scale === 1 && file.size <= MAX_ASSET_BYTES) return { blob: file, width, height }
+
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  canvas.getContext('2d').drawImage(img, 0, 0, width, height)
+  let blob = null
+  for (const quality of ENCODE_QUALITIES) {
+    blob = await encode(canvas, 'image/webp', quality)
+    if (blob && blob.type !== 'image/webp') blob = await encode(canvas, 'image/jpeg', quality)
+    if (blob && blob.size <= MAX_ASSET_BYTES) break
+  }
+  if (!blob || blob.size > MAX_ASSET_BYTES) throw new Error('The image is too large to share, even after compressing it')
+  return { blob, width, height }
+}
+
+// Remembers bytes known locally (picked, dropped or imported) under their hash and returns it.
+// Ids from elsewhere, such as a session file, are never trusted.
+export const registerAsset = async blob => {
+  const assetId = await hashBlob(blob)
+  if (!blobs.has(assetId)) blobs.set(assetId, blob)
+  return assetId
+}
+
+export const assetBlob = id => blobs.get(id) || null
+
+// Bytes from the room store are only kept if they hash to the id they were asked for.
+const matchesId = (id, blob) => hashBlob(blob).then(hash => hash === id, () => false)
+
+// `fetch(id)` resolves to a Blob or null; set by the board for the room it is connected to.
+export const setAssetFetcher = fn => {
+  fetcher = fn
+  inflight.clear()
+}
+
+const fetchBlob = (id, attempt = 0) => {
+  if (blobs.has(id)) return Promise.resolve(blobs.get(id))
+  if (!fetcher) return Promise.resolve(null)
+  return fetcher(id)
+    .catch(() => null)
+    .then(async blob => {
+      if (blob) return (await matchesId(id, blob)) ? blob : null
+      // The uploader may still be sending it; try again a few times.
+      const delay = RETRY_DELAYS_MS[attempt]
+      if (delay === undefined) return null
+      return new Promise(resolve => setTimeout(resolve, delay)).then(() => fetchBlob(id, attempt + 1))
+    })
+}
+
+// Blob for an asset, from memory or the room store.
+export const loadAsset = id => {
+  if (blobs.has(id)) return Promise.resolve(blobs.get(id))
+  if (!inflight.has(id)) {
+    inflight.set(
+      id,
+      fetchBlob(id).then(blob => {
+        inflight.delete(id)
+        if (blob) blobs.set(id, blob)
+        return blob
+      })
+    )
+  }
+  return inflight.get(id)
+}
+
+// Object URL for an asset if its bytes are here. Otherwise starts loading them and calls
+// `onReady` once they arrive.
+export const assetUrl = (id, onReady) => {
+  if (urls.has(id)) return urls.get(id)
+  const blob = blobs.get(id)
+  if (blob) {
+    urls.set(id, URL.createObjectURL(blob))
+    return urls.get(id)
+  }
+  loadAsset(id).then(loaded => {
+    if (loaded && onReady) onReady()
+  })
+  return null
+}
+
+export const loadAssetUrl = async id => ((await loadAsset(id)) ? assetUrl(id) : null)
+
+export const blobToDataUrl = blob =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsDataURL(blob)
+  })
+
+export const dataUrlToBlob = async dataUrl => (await fetch(dataUrl)).blob()
+
+const ask = (socket, event, payload) =>
+  new Promise((resolve, reject) => {
+    socket.timeout(ASSET_TIMEOUT_MS).emit(event, payload, (err, response) => (err ? reject(err) : resolve(response)))
+  })
+
+// Sends an asset to the room store unless the server already has it.
+export const uploadAsset = async (socket, id) => {
+  const blob = blobs.get(id)
+  if (!blob || !socket?.connected) return false
+  const { exists } = (await ask(socket, 'asset:has', { id })) || {}
+  if (!exists) {
+    await ask(socket, 'asset:put', { id, type: blob.type, data: await blob.arrayBuffer() })
+  }
+  return true
+}
+
+export const downloadAsset = async (socket, id) => {
+  if (!socket?.connected) return null
+  const response = await ask(socket, 'asset:get', { id })
+  return response?.data ? new Blob([response.data], { type: response.type || 'application/octet-stream' }) : null
+}
+
+// Starts an upload whose failure needs no handling: the board offers every asset its queued
+// strokes use again when it rejoins.
+export const queueUpload = (socket, id) => {
+  uploadAsset(socket, id).catch(() => {})
+}
+
+// Prepares a picked or dropped file, keeps it locally and starts sending it to the room.
+// Resolves to what an image stroke needs; an upload that fails is retried when the board rejoins.
+export const addImageFile = async (file, socket) => {
+  const { blob, width, height } = await prepareImage(file)
+  const asset = await registerAsset(blob)
+  queueUpload(socket, asset)
+  return { asset, width, height }
+}
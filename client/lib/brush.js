@@ -0,0 +1,108 @@
+import { brushWidth, strokeAlpha } from './geometry.js'
+
+// Distance between samples along the smoothed curve, in world units.
+const SAMPLE_SPACING = 1.5
+const MAX_SUBDIVISIONS = 32
+
+const round = value => Math.round(value * 1000) / 1000
+
+// Stylus pressure (`p`) and tilt (`t`, 0 upright .. 1 flat) ride along on brush points.
+// Mouse and touch report a constant pressure, so their points stay plain `{ x, y }`.
+export const brushPoint = (evt, point) => {
+  if (evt.pointerType !== 'pen') return point
+  const tilt = Math.min(1, Math.hypot(evt.tiltX || 0, evt.tiltY || 0) / 90)
+  return tilt ? { ...point, p: round(evt.pressure), t: round(tilt) } : { ...point, p: round(evt.pressure) }
+}
+
+const catmullRom = (p0, p1, p2, p3, t) => {
+  const t2 = t * t
+  const t3 = t2 * t
+  return 0.5 * (2 * p1 + (p2 - p0) * t + (2 * p0 - 5 * p1 + 4 * p2 - p3) * t2 + (3 * p1 - p0 - 3 * p2 + p3) * t3)
+}
+
+const dedupe = points => points.filter((p, i) => i === 0 || p.x !== points[i - 1].x || p.y !== points[i - 1].y)
+
+// Samples along a Catmull-Rom spline through the recorded points, each with its nib radius.
+// Depends only on the points, so live, remote and replayed strokes come out identical.
+export const brushSamples = stroke => {
+  const pts = dedupe(stroke.points || [])
+  if (!pts.length) return []
+  const radius = pt => brushWidth(stroke, pt) / 2
+  const samples = [{ x: pts[0].x, y: pts[0].y, r: radius(pts[0]) }]
+  for (let i = 0; i < pts.length - 1; i += 1) {
+    const p0 = pts[i - 1] || pts[i]
+    const p1 = pts[i]
+    const p2 = pts[i + 1]
+    const p3 = pts[i + 2] || p2
+    const r1 = radius(p1)
+    const r2 = radius(p2)
+    const steps = Math.min(MAX_SUBDIVISIONS, Math.max(1, Math.ceil(Math.hypot(p2.x - p1.x, p2.y - p1.y) / SAMPLE_SPACING)))
+    for (let s = 1; s <= steps; s += 1) {
+      const t = s / steps
+      samples.push({
+        x: catmullRom(p0.x, p1.x, p2.x, p3.x, t),
+        y: catmullRom(p0.y, p1.y, p2.y, p3.y, t),
+        r: r1 + (r2 - r1) * t
+      })
+    }
+  }
+  return samples
+}
+
+// The outline is a disc per sample plus a quad joining neighbouring discs, all wound the same
+// way so a single nonzero fill paints their union without overlaps darkening.
+const outline = (samples, { circle, quad }) => {
+  samples.forEach((s, i) => {
+    circle(s)
+    const prev = samples[i - 1]
+    if (!prev) return
+    const dx = s.x - prev.x
+    const dy = s.y - prev.y
+    const len = Math.hypot(dx, dy)
+    if (!len) return
+    const nx = -dy / len
+    const ny = dx / len
+    quad([
+      { x: prev.x - nx * prev.r, y: prev.y - ny * prev.r },
+      { x: s.x - nx * s.r, y: s.y - ny * s.r },
+      { x: s.x + nx * s.r, y: s.y + ny * s.r },
+      { x: prev.x + nx * prev.r, y: prev.y + ny * prev.r }
+    ])
+  })
+}
+
+export const drawBrush = (ctx, stroke) => {
+  const samples = brushSamples(stroke)
+  if (!samples.length) return
+  ctx.save()
+  ctx.globalAlpha = strokeAlpha(stroke)
+  ctx.fillStyle = stroke.color
+  ctx.beginPath()
+  outline(samples, {
+    circle: s => {
+      ctx.moveTo(s.x + s.r, s.y)
+      ctx.arc(s.x, s.y, s.r, 0, Math.PI * 2)
+    },
+    quad: corners => {
+      corners.forEach((c, i) => (i ? ctx.lineTo(c.x, c.y) : ctx.moveTo(c.x, c.y)))
+      ctx.closePath()
+    }
+  })
+  ctx.fill()
+  ctx.restore()
+}
+
+// Same outline as drawBrush, as SVG path data for the exporter.
+export const brushPath = (stroke, num) => {
+  const parts = []
+  outline(brushSamples(stroke), {
+    circle: s => {
+      const r = num(s.r)
+      parts.push(`M${num(s.x + s.r)} ${num(s.y)}A${r} ${r} 0 1 1 ${num(s.x - s.r)} ${num(s.y)}A${r} ${r} 0 1 1 ${num(s.x + s.r)} ${num(s.y)}Z`)
+    },
+    quad: corners => {
+      parts.push(`${corners.map((c, i) => `${i ? 'L' : 'M'}${num(c.x)} ${num(c.y)}`).join('')}Z`)
+    }
+  })
+  return parts.join('')
+}
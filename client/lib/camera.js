@@ -0,0 +1,55 @@
+export const MIN_ZOOM = 0.1
+export const MAX_ZOOM = 8
+
+export const DEFAULT_CAMERA = { x: 0, y: 0, zoom: 1 }
+
+export const clampZoom = zoom => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom))
+
+export const screenToWorld = (camera, pt) => ({
+  x: camera.x + pt.x / camera.zoom,
+  y: camera.y + pt.y / camera.zoom
+})
+
+export const worldToScreen = (camera, pt) => ({
+  x: (pt.x - camera.x) * camera.zoom,
+  y: (pt.y - camera.y) * camera.zoom
+})
+
+// Keeps the world point under `screenPt` fixed while the zoom changes.
+export const zoomAround = (camera, screenPt, nextZoom) => {
+  const zoom = clampZoom(nextZoom)
+  const anchor = screenToWorld(camera, screenPt)
+  return {
+    x: anchor.x - screenPt.x / zoom,
+    y: anchor.y - screenPt.y / zoom,
+    zoom
+  }
+}
+
+export const centerOn = (camera, worldPt, viewport) => ({
+  ...camera,
+  x: worldPt.x - viewport.width / camera.zoom / 2,
+  y: worldPt.y - viewport.height / camera.zoom / 2
+})
+
+export const fitBounds = (bounds, viewport, padding = 48) => {
+  if (!bounds || !viewport.width || !viewport.height) return DEFAULT_CAMERA
+  const bw = Math.max(1, bounds.maxX - bounds.minX)
+  const bh = Math.max(1, bounds.maxY - bounds.minY)
+  const zoom = clampZoom(
+    Math.min((viewport.width - padding * 2) / bw, (viewport.height - padding * 2) / bh)
+  )
+  return centerOn({ zoom }, { x: bounds.minX + bw / 2, y: bounds.minY + bh / 2 }, viewport)
+}
+
+export const viewportBounds = (camera, viewport) => ({
+  minX: camera.x,
+  minY: camera.y,
+  maxX: camera.x + viewport.width / camera.zoom,
+  maxY: camera.y + viewport.height / camera.zoom
+})
+
+export const applyCamera = (ctx, camera, dpr) => {
+  const scale = dpr * camera.zoom
+  ctx.setTransform(scale, 0, 0, scale, -camera.x * scale, -camera.y * scale)
+}
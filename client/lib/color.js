@@ -0,0 +1,84 @@
+// Colors travel and are stored as lowercase `#rrggbb`; opacity is a separate stroke field.
+
+export const MIN_OPACITY = 0.05
+export const RECENT_LIMIT = 8
+export const SWATCH_LIMIT = 16
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value))
+
+export const clampOpacity = value => clamp(Number.isFinite(value) ? value : 1, MIN_OPACITY, 1)
+
+// Accepts `#rgb`, `#rrggbb` and either without the `#`; anything else is null.
+export const normalizeHex = value => {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(value || '').trim())
+  if (!match) return null
+  const digits = match[1].length === 3 ? match[1].replace(/./g, c => c + c) : match[1]
+  return `#${digits.toLowerCase()}`
+}
+
+export const hexToRgb = hex => {
+  const value = parseInt(normalizeHex(hex)?.slice(1) || '000000', 16)
+  return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 }
+}
+
+export const rgbToHex = ({ r, g, b }) =>
+  `#${[r, g, b].map(c => Math.round(clamp(c, 0, 255)).toString(16).padStart(2, '0')).join('')}`
+
+// Hue in degrees, saturation and value in 0..1.
+export const rgbToHsv = ({ r, g, b }) => {
+  const [rn, gn, bn] = [r / 255, g / 255, b / 255]
+  const max = Math.max(rn, gn, bn)
+  const delta = max - Math.min(rn, gn, bn)
+  let h = 0
+  if (delta) {
+    if (max === rn) h = ((gn - bn) / delta) % 6
+    else if (max === gn) h = (bn - rn) / delta + 2
+    else h = (rn - gn) / delta + 4
+  }
+  return { h: (h * 60 + 360) % 360, s: max ? delta / max : 0, v: max }
+}
+
+export const hsvToRgb = ({ h, s, v }) => {
+  const f = n => {
+    const k = (n + h / 60) % 6
+    return (v - v * s * Math.max(0, Math.min(k, 4 - k, 1))) * 255
+  }
+  return { r: f(5), g: f(3), b: f(1) }
+}
+
+export const hexToHsv = hex => rgbToHsv(hexToRgb(hex))
+
+export const hsvToHex = hsv => rgbToHex(hsvToRgb(hsv))
+
+// A sampled pixel as it looks over the board background.
+export const flattenPixel = ([r, g, b, a], background) => {
+  const bg = hexToRgb(background)
+  const alpha = a / 255
+  return rgbToHex({ r: r * alpha + bg.r * (1 - alpha), g: g * alpha + bg.g * (1 - alpha), b: b * alpha + bg.b * (1 - alpha) })
+}
+
+// Most recent first, without duplicates.
+export const pushRecent = (list, hex, limit = RECENT_LIMIT) => [hex, ...list.filter(c => c !== hex)].slice(0, limit)
+
+const readColors = key => {
+  if (typeof window === 'undefined') return []
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(key) || '[]')
+    return Array.isArray(parsed) ? parsed.map(normalizeHex).filter(Boolean) : []
+  } catch {
+    return []
+  }
+}
+
+const writeColors = (key, colors) => {
+  if (typeof window !== 'undefined') window.localStorage.setItem(key, JSON.stringify(colors))
+}
+
+export const loadRecentColors = () => readColors('rtc-canvas-recent-colors')
+export const saveRecentColors = colors => writeColors('rtc-canvas-recent-colors', colors)
+export const loadSwatches = () => readColors('rtc-canvas-swatches')
+export const saveSwatches = colors => writeColors('rtc-canvas-swatches', colors)
+
+// Room palettes come from other clients, so only valid colors are kept.
+export const sanitizePalette = colors =>
+  Array.isArray(colors) ? [...new Set(colors.map(normalizeHex).filter(Boolean))].slice(0, SWATCH_LIMIT) : []
@@ -0,0 +1,127 @@
+import { v4 as uuid } from 'uuid'
+import { strokeBounds } from './geometry.js'
+
+// Comment threads pinned to the board and the room chat. Both are kept by the server per room
+// and sent in `init`; what this browser has read is remembered per room in localStorage.
+export const COMMENT_MAX = 2000
+export const MESSAGE_MAX = 1000
+export const MESSAGE_LIMIT = 200
+const SEEN_KEY = 'rtc-canvas-seen'
+
+const author = user => ({ userId: user.id, name: user.name, color: user.color })
+
+export const createComment = (user, { x, y, strokeId }, text) => ({
+  id: uuid(),
+  ...author(user),
+  x,
+  y,
+  ...(strokeId && { strokeId }),
+  space: 'world',
+  text,
+  createdAt: Date.now(),
+  resolved: false,
+  replies: []
+})
+
+// What `comment:add` sends: the sender's name and color are added by the server. Imported threads
+// bring their replies and resolved state along.
+export const commentPayload = ({ id, x, y, strokeId, space, text, createdAt, resolved, replies }) => ({
+  id,
+  x,
+  y,
+  ...(strokeId && { strokeId }),
+  space,
+  text,
+  createdAt,
+  resolved,
+  replies
+})
+
+export const createReply = (user, text) => ({ id: uuid(), ...author(user), text, createdAt: Date.now() })
+
+export const createMessage = (user, text) => ({ id: uuid(), ...author(user), text, createdAt: Date.now() })
+
+// Echoes of our own events arrive after they were applied locally, so everything is keyed by id.
+export const upsertComment = (threads, thread) => {
+  const existing = threads.find(t => t.id === thread.id)
+  if (!existing) return [...threads, { replies: [], resolved: false, ...thread }]
+  return threads.map(t => (t.id === thread.id ? { ...t, ...thread, replies: thread.replies?.length ? thread.replies : t.replies } : t))
+}
+
+export const addReply = (threads, commentId, reply) =>
+  threads.map(t =>
+    t.id === commentId && !t.replies.some(r => r.id === reply.id) ? { ...t, replies: [...t.replies, reply] } : t
+  )
+
+export const setResolved = (threads, commentId, resolved) =>
+  threads.map(t => (t.id === commentId ? { ...t, resolved } : t))
+
+export const addMessage = (messages, message) =>
+  messages.some(m => m.id === message.id) ? messages : [...messages, message].slice(-MESSAGE_LIMIT)
+
+// A thread on a stroke sits at the stroke's top-right corner and follows it around; one whose
+// stroke is gone falls back to the point it was placed at.
+export const commentAnchor = (thread, lookup) => {
+  const stroke = thread.strokeId ? lookup(thread.strokeId) : null
+  const bounds = stroke && strokeBounds(stroke)
+  return bounds ? { x: bounds.maxX, y: bounds.minY } : { x: thread.x, y: thread.y }
+}
+
+// Time of the latest post by someone other than `userId`, or 0.
+const othersActivity = (posts, userId) => posts.reduce((at, post) => (post.userId !== userId ? Math.max(at, post.createdAt || 0) : at), 0)
+
+export const threadActivity = (thread, userId) => othersActivity([thread, ...thread.replies], userId)
+
+export const isUnreadThread = (thread, seen, userId) => threadActivity(thread, userId) > (seen.comments[thread.id] || 0)
+
+export const unreadMessages = (messages, seen, userId) => messages.filter(m => m.userId !== userId && (m.createdAt || 0) > seen.chat).length
+
+// Marks are the times of the posts read rather than the local clock, so other people's clocks
+// being off does not hide or resurface anything.
+export const markThreadSeen = (seen, thread, userId) => ({
+  ...seen,
+  comments: { ...seen.comments, [thread.id]: Math.max(seen.comments[thread.id] || 0, threadActivity(thread, userId)) }
+})
+
+export const markChatSeen = (seen, messages, userId) => ({ ...seen, chat: Math.max(seen.chat, othersActivity(messages, userId)) })
+
+const emptySeen = () => ({ chat: 0, comments: {} })
+
+export const loadSeen = room => {
+  if (typeof window === 'undefined') return emptySeen()
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(SEEN_KEY) || '{}')?.[room]
+    return {
+      chat: Number.isFinite(stored?.chat) ? stored.chat : 0,
+      comments: stored?.comments && typeof stored.comments === 'object' ? stored.comments : {}
+    }
+  } catch {
+    return emptySeen()
+  }
+}
+
+// Chat and comments are marked from different places, so each saves only its own part.
+export const saveSeen = (room, part) => {
+  if (typeof window === 'undefined') return
+  let all = {}
+  try {
+    all = JSON.parse(window.localStorage.getItem(SEEN_KEY) || '{}') || {}
+  } catch {
+    all = {}
+  }
+  window.localStorage.setItem(SEEN_KEY, JSON.stringify({ ...all, [room]: { ...all[room], ...part } }))
+}
+
+const isFiniteNumber = value => typeof value === 'number' && Number.isFinite(value)
+const isPost = post => post && typeof post === 'object' && typeof post.id === 'string' && typeof post.text === 'string'
+
+// Drops malformed entries from what the server sends.
+export const sanitizeComments = list =>
+  (Array.isArray(list) ? list : [])
+    .filter(t => isPost(t) && isFiniteNumber(t.x) && isFiniteNumber(t.y))
+    .map(t => ({ ...t, resolved: Boolean(t.resolved), replies: Array.isArray(t.replies) ? t.replies.filter(isPost) : [] }))
+
+export const sanitizeMessages = list => (Array.isArray(list) ? list.filter(isPost).slice(-MESSAGE_LIMIT) : [])
+
+export const formatTime = at =>
+  at ? new Date(at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : ''
@@ -0,0 +1,75 @@
+import { rawBounds, rotatePoint, shapeFill, strokeCenter, strokeWidth } from './geometry.js'
+import { applyTransforms, distanceToSegment, hitTestStroke, isSelectable, isTransform } from './selection.js'
+import { shapeVertices } from './shapes.js'
+
+// The object eraser commits an `erasure` record: a stroke with no points whose `targets` are the
+// ids it removed. Undoing or redoing the record brings those strokes back or takes them away again,
+// through the same history as any other stroke. Deleting a selection commits the same record.
+export const isErasure = stroke => stroke.tool === 'erasure'
+
+// Erasures and transforms: history entries that change other strokes instead of drawing.
+export const isEditRecord = stroke => isErasure(stroke) || isTransform(stroke)
+
+// Applies active transform records, then drops erasure records and every stroke they target.
+export const resolveEdits = strokes => {
+  const records = strokes.filter(isErasure)
+  const moved = applyTransforms(strokes)
+  if (!records.length) return moved
+  const erased = new Set(records.flatMap(record => record.targets || []))
+  return moved.filter(stroke => !isErasure(stroke) && !erased.has(stroke.id))
+}
+
+const OUTLINE_TOOLS = ['rect', 'ellipse', 'polygon', 'star']
+
+// Unfilled shapes are erased by touching their outline, not their empty interior.
+const touchesOutline = (stroke, worldPt, radius) => {
+  const bounds = rawBounds(stroke)
+  const pt = stroke.rotation ? rotatePoint(worldPt, strokeCenter(stroke), -stroke.rotation) : worldPt
+  const reach = strokeWidth(stroke) / 2 + radius
+  const pts = stroke.points
+  const a = pts[0]
+  const b = pts[pts.length - 1]
+  const minX = Math.min(a.x, b.x)
+  const minY = Math.min(a.y, b.y)
+  const maxX = Math.max(a.x, b.x)
+  const maxY = Math.max(a.y, b.y)
+  if (pt.x < bounds.minX - radius || pt.x > bounds.maxX + radius || pt.y < bounds.minY - radius || pt.y > bounds.maxY + radius) {
+    return false
+  }
+
+  if (stroke.tool === 'polygon' || stroke.tool === 'star') {
+    const corners = shapeVertices(stroke, a, b)
+    return corners.some((corner, i) => distanceToSegment(pt, corner, corners[(i + 1) % corners.length]) <= reach)
+  }
+
+  if (stroke.tool === 'rect') {
+    const outside = Math.hypot(Math.max(minX - pt.x, 0, pt.x - maxX), Math.max(minY - pt.y, 0, pt.y - maxY))
+    const inside = Math.min(pt.x - minX, maxX - pt.x, pt.y - minY, maxY - pt.y)
+    return (outside > 0 ? outside : inside) <= reach
+  }
+
+  // Radial distance to the ellipse, scaled back to world units by the shorter radius.
+  const rx = (maxX - minX) / 2
+  const ry = (maxY - minY) / 2
+  if (!rx || !ry) return Math.hypot(pt.x - (minX + rx), pt.y - (minY + ry)) <= reach + Math.max(rx, ry)
+  const norm = Math.hypot((pt.x - minX - rx) / rx, (pt.y - minY - ry) / ry)
+  return Math.abs(norm - 1) * Math.min(rx, ry) <= reach
+}
+
+// Filled shapes are erased by touching them anywhere.
+const touches = (stroke, worldPt, radius) =>
+  OUTLINE_TOOLS.includes(stroke.tool) && !shapeFill(stroke)
+    ? touchesOutline(stroke, worldPt, radius)
+    : hitTestStroke(stroke, worldPt, radius)
+
+// Strokes touched by the eraser moving from `from` to `to`. The path is sampled at half the
+// eraser radius so fast movements do not skip over thin strokes.
+export const strokesAlongPath = (strokes, from, to, radius) => {
+  const length = Math.hypot(to.x - from.x, to.y - from.y)
+  const steps = Math.max(1, Math.ceil(length / Math.max(1, radius / 2)))
+  const samples = Array.from({ length: steps + 1 }, (_, i) => ({
+    x: from.x + ((to.x - from.x) * i) / steps,
+    y: from.y + ((to.y - from.y) * i) / steps
+  }))
+  return strokes.filter(stroke => isSelectable(stroke) && samples.some(pt => touches(stroke, pt, radius)))
+}
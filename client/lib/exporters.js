@@ -0,0 +1,290 @@
+import { boardBounds, hasOutline, shapeFill, strokeCenter, strokeWidth } from './geometry.js'
+import { fillRings } from './fill.js'
+import {
+  STICKY_COLORS,
+  STICKY_INK,
+  STICKY_PADDING,
+  arrowGeometry,
+  cornerRadius,
+  shapeVertices,
+  stickyBox,
+  stickyText
+} from './shapes.js'
+import { FONT_FAMILIES, layoutText, lineOffset, TEXT_PADDING, textFontSize } from './text.js'
+import { blobToDataUrl, imageKey, loadAsset, loadAssetUrl } from './assets.js'
+import { brushPath } from './brush.js'
+import { bySeq, replayStrokes } from './render.js'
+import { jpegToPdf } from './pdf.js'
+
+export const THEME_BACKGROUNDS = { dark: '#070f1d', light: '#f9fbff' }
+
+const EXPORT_PADDING = 24
+const PDF_RASTER_SCALE = 2
+const PX_TO_PT = 0.75
+// Browsers refuse canvases past a size limit (Safari's area limit is the lowest), so larger
+// raster exports are scaled down to fit rather than failing.
+const MAX_CANVAS_SIDE = 16384
+const MAX_CANVAS_AREA = 16000000
+
+const fitScale = (bounds, scale) => {
+  const width = bounds.maxX - bounds.minX
+  const height = bounds.maxY - bounds.minY
+  return Math.min(scale, (MAX_CANVAS_SIDE - 1) / width, (MAX_CANVAS_SIDE - 1) / height, Math.sqrt(MAX_CANVAS_AREA / (width * height)))
+}
+
+export const exportBounds = strokes => {
+  const bounds = boardBounds(strokes)
+  if (!bounds) return null
+  return {
+    minX: bounds.minX - EXPORT_PADDING,
+    minY: bounds.minY - EXPORT_PADDING,
+    maxX: bounds.maxX + EXPORT_PADDING,
+    maxY: bounds.maxY + EXPORT_PADDING
+  }
+}
+
+const loadImage = async (stroke, imageCache) => {
+  const key = imageKey(stroke)
+  const cached = imageCache.get(key)
+  if (cached?.complete) return
+  const src = stroke.asset ? await loadAssetUrl(stroke.asset) : stroke.src
+  if (!src) return
+  await new Promise(resolve => {
+    const img = cached || new Image()
+    img.addEventListener('load', () => resolve(), { once: true })
+    img.addEventListener('error', () => resolve(), { once: true })
+    if (!cached) {
+      img.src = src
+      imageCache.set(key, img)
+    }
+  })
+}
+
+const imageStrokes = strokes => {
+  const byKey = new Map()
+  strokes.filter(s => s.tool === 'image' && imageKey(s)).forEach(s => byKey.set(imageKey(s), s))
+  return Array.from(byKey.values())
+}
+
+export const preloadImages = (strokes, imageCache) =>
+  Promise.all(imageStrokes(strokes).map(stroke => loadImage(stroke, imageCache)))
+
+const rasterize = async ({ strokes, bounds, scale: requested, background, imageCache }) => {
+  await preloadImages(strokes, imageCache)
+  const scale = fitScale(bounds, requested)
+  const width = Math.ceil((bounds.maxX - bounds.minX) * scale)
+  const height = Math.ceil((bounds.maxY - bounds.minY) * scale)
+
+  // Strokes go on their own layer first so eraser strokes cannot punch through the background.
+  const ink = document.createElement('canvas')
+  ink.width = width
+  ink.height = height
+  replayStrokes(ink.getContext('2d'), strokes, { x: bounds.minX, y: bounds.minY, zoom: 1 }, scale, imageCache)
+
+  const out = document.createElement('canvas')
+  out.width = width
+  out.height = height
+  const ctx = out.getContext('2d')
+  if (background) {
+    ctx.fillStyle = background
+    ctx.fillRect(0, 0, width, height)
+  }
+  ctx.drawImage(ink, 0, 0)
+  return out
+}
+
+const canvasToBlob = (canvas, type, quality) =>
+  new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Export failed'))), type, quality)
+  })
+
+export const renderPng = async options => canvasToBlob(await rasterize(options), 'image/png')
+
+export const renderPdf = async ({ background, ...options }) => {
+  const canvas = await rasterize({ ...options, scale: PDF_RASTER_SCALE, background: background || '#ffffff' })
+  const jpeg = new Uint8Array(await (await canvasToBlob(canvas, 'image/jpeg', 0.92)).arrayBuffer())
+  const { bounds } = options
+  return jpegToPdf(jpeg, {
+    imageWidth: canvas.width,
+    imageHeight: canvas.height,
+    pageWidth: Math.round((bounds.maxX - bounds.minX) * PX_TO_PT),
+    pageHeight: Math.round((bounds.maxY - bounds.minY) * PX_TO_PT)
+  })
+}
+
+const escapeXml = value =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+
+const num = n => Number(n.toFixed(2))
+
+const pathData = points =>
+  points.length === 1
+    ? `M${num(points[0].x)} ${num(points[0].y)} l0.01 0`
+    : points.map((p, i) => `${i ? 'L' : 'M'}${num(p.x)} ${num(p.y)}`).join(' ')
+
+const rotation = stroke => {
+  if (!stroke.rotation) return ''
+  const c = strokeCenter(stroke)
+  return ` transform="rotate(${num((stroke.rotation * 180) / Math.PI)} ${num(c.x)} ${num(c.y)})"`
+}
+
+// Lines are laid out with the same measurements as the canvas, one <text> per line so
+// alignment and wrapping match exactly.
+const textElement = (stroke, anchor, transform) => {
+  const layout = layoutText(stroke)
+  const highlight = stroke.highlight
+    ? `<rect x="${num(anchor.x - TEXT_PADDING)}" y="${num(anchor.y - TEXT_PADDING)}" width="${num(layout.width + TEXT_PADDING * 2)}" height="${num(layout.height + TEXT_PADDING * 2)}" fill="${escapeXml(stroke.highlight)}"/>`
+    : ''
+  const lines = layout.lines
+    .map(
+      (line, i) =>
+        `<text x="${num(anchor.x + lineOffset(stroke, layout, line.width))}" y="${num(anchor.y + layout.leading + i * layout.lineHeight)}" xml:space="preserve">${escapeXml(line.text)}</text>`
+    )
+    .join('')
+  const family = escapeXml(FONT_FAMILIES[stroke.fontFamily] || FONT_FAMILIES.sans)
+  return `<g${transform}>${highlight}<g font-family="${family}" font-size="${num(textFontSize(stroke))}" font-weight="${stroke.fontWeight === 'bold' ? 'bold' : 'normal'}" dominant-baseline="text-before-edge" fill="${escapeXml(stroke.color)}">${lines}</g></g>`
+}
+
+const arrowElement = (stroke, from, to, line, transform) => {
+  const shaft = arrowGeometry(stroke, from, to, strokeWidth(stroke))
+  const color = escapeXml(stroke.color)
+  const heads = shaft.heads
+    .map(head => {
+      if (head.style === 'dot') return `<circle cx="${num(head.center.x)}" cy="${num(head.center.y)}" r="${num(head.r)}" fill="${color}"/>`
+      const points = head.points.map(p => `${num(p.x)},${num(p.y)}`).join(' ')
+      return head.style === 'triangle'
+        ? `<polygon points="${points}" ${line.replace('fill="none"', `fill="${color}"`)}/>`
+        : `<polyline points="${points}" ${line}/>`
+    })
+    .join('')
+  return `<g${transform}><line x1="${num(shaft.from.x)}" y1="${num(shaft.from.y)}" x2="${num(shaft.to.x)}" y2="${num(shaft.to.y)}" ${line}/>${heads}</g>`
+}
+
+const stickyElement = (stroke, transform) => {
+  const box = stickyBox(stroke)
+  const paper = `<rect x="${num(box.x)}" y="${num(box.y)}" width="${num(box.width)}" height="${num(box.height)}" fill="${escapeXml(stroke.fill || STICKY_COLORS[0])}" stroke="rgba(15, 23, 42, 0.15)"/>`
+  const text = stroke.text
+    ? textElement({ ...stickyText(stroke, box), color: stroke.color || STICKY_INK }, { x: box.x + STICKY_PADDING, y: box.y + STICKY_PADDING }, '')
+    : ''
+  return `<g${transform}>${paper}${text}</g>`
+}
+
+// One SVG element per stroke, mirroring what drawLine paints on the canvas.
+const strokeElement = (stroke, hrefs) => {
+  const pts = stroke.points || []
+  if (!pts.length) return ''
+  const first = pts[0]
+  const last = pts[pts.length - 1]
+  const line = `fill="none" stroke="${escapeXml(stroke.color)}" stroke-width="${num(strokeWidth(stroke))}" stroke-linecap="round" stroke-linejoin="round"`
+  const fill = shapeFill(stroke)
+  const shape = hasOutline(stroke)
+    ? line.replace('fill="none"', `fill="${fill ? escapeXml(fill) : 'none'}"`)
+    : `fill="${escapeXml(fill)}"`
+  const transform = rotation(stroke)
+
+  switch (stroke.tool) {
+    case 'pen':
+      return `<path d="${brushPath(stroke, num)}" fill="${escapeXml(stroke.color)}"${transform}/>`
+    case 'line':
+      return `<line x1="${num(first.x)}" y1="${num(first.y)}" x2="${num(last.x)}" y2="${num(last.y)}" ${line}${transform}/>`
+    case 'arrow':
+    case 'connector':
+      return arrowElement(stroke, first, last, line, transform)
+    case 'rect':
+      if (stroke.rounded) {
+        const r = num(cornerRadius(Math.abs(last.x - first.x), Math.abs(last.y - first.y)))
+        return `<rect x="${num(Math.min(first.x, last.x))}" y="${num(Math.min(first.y, last.y))}" width="${num(Math.abs(last.x - first.x))}" height="${num(Math.abs(last.y - first.y))}" rx="${r}" ry="${r}" ${shape}${transform}/>`
+      }
+      return `<rect x="${num(Math.min(first.x, last.x))}" y="${num(Math.min(first.y, last.y))}" width="${num(Math.abs(last.x - first.x))}" height="${num(Math.abs(last.y - first.y))}" ${shape}${transform}/>`
+    case 'ellipse':
+      return `<ellipse cx="${num((first.x + last.x) / 2)}" cy="${num((first.y + last.y) / 2)}" rx="${num(Math.abs(last.x - first.x) / 2)}" ry="${num(Math.abs(last.y - first.y) / 2)}" ${shape}${transform}/>`
+    case 'polygon':
+    case 'star': {
+      const points = shapeVertices(stroke, first, last)
+        .map(p => `${num(p.x)},${num(p.y)}`)
+        .join(' ')
+      return `<polygon points="${points}" ${shape}${transform}/>`
+    }
+    case 'sticky':
+      return stickyElement(stroke, transform)
+    case 'fill': {
+      const d = fillRings(stroke)
+        .map(ring => `${pathData(ring)} Z`)
+        .join(' ')
+      return `<path d="${d}" fill="${escapeXml(stroke.color)}" fill-rule="evenodd"${transform}/>`
+    }
+    case 'text':
+      return textElement(stroke, last, transform)
+    case 'image': {
+      const href = stroke.asset ? hrefs.get(stroke.asset) : stroke.src
+      if (!href) return ''
+      return `<image href="${escapeXml(href)}" x="${num(last.x)}" y="${num(last.y)}" width="${num(stroke.width || 180)}" height="${num(stroke.height || 180)}" preserveAspectRatio="none"${transform}/>`
+    }
+    default:
+      return ''
+  }
+}
+
+// Asset images are embedded as data URLs so the file stands on its own.
+const assetHrefs = async strokes => {
+  const ids = [...new Set(strokes.filter(s => s.tool === 'image' && s.asset).map(s => s.asset))]
+  const entries = await Promise.all(
+    ids.map(async id => {
+      const blob = await loadAsset(id)
+      return [id, blob ? await blobToDataUrl(blob) : null]
+    })
+  )
+  return new Map(entries)
+}
+
+export const renderSvg = async ({ strokes, bounds, background }) => {
+  const hrefs = await assetHrefs(strokes)
+  const width = num(bounds.maxX - bounds.minX)
+  const height = num(bounds.maxY - bounds.minY)
+  const viewBox = `${num(bounds.minX)} ${num(bounds.minY)} ${width} ${height}`
+  const defs = []
+  let body = ''
+
+  // Eraser strokes only remove what was drawn before them, so everything so far is wrapped in a
+  // group masked by that eraser path.
+  strokes
+    .slice()
+    .sort(bySeq)
+    .forEach(stroke => {
+      if (stroke.tool !== 'eraser') {
+        const element = strokeElement(stroke, hrefs)
+        body += element && stroke.opacity < 1 ? `<g opacity="${num(stroke.opacity)}">${element}</g>` : element
+        return
+      }
+      const id = `erase-${defs.length}`
+      defs.push(
+        `<mask id="${id}" maskUnits="userSpaceOnUse" x="${num(bounds.minX)}" y="${num(bounds.minY)}" width="${width}" height="${height}">` +
+          `<rect x="${num(bounds.minX)}" y="${num(bounds.minY)}" width="${width}" height="${height}" fill="white"/>` +
+          `<path d="${pathData(stroke.points || [])}" fill="none" stroke="black" stroke-width="${num(strokeWidth(stroke))}" stroke-linecap="round" stroke-linejoin="round"${rotation(stroke)}/>` +
+          '</mask>'
+      )
+      body = `<g mask="url(#${id})">${body}</g>`
+    })
+
+  const backdrop = background
+    ? `<rect x="${num(bounds.minX)}" y="${num(bounds.minY)}" width="${width}" height="${height}" fill="${escapeXml(background)}"/>`
+    : ''
+  const svg = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${viewBox}">`,
+    defs.length ? `<defs>${defs.join('')}</defs>` : '',
+    backdrop,
+    body,
+    '</svg>'
+  ].join('')
+  return new Blob([svg], { type: 'image/svg+xml' })
+}
+
+export const EXPORT_FORMATS = {
+  png: { extension: 'png', render: renderPng },
+  svg: { extension: 'svg', render: renderSvg },
+  pdf: { extension: 'pdf', render: renderPdf }
+}
@@ -0,0 +1,130 @@
+import { simplifyPoints } from './pointCodec.js'
+
+// Bucket fills are traced from the rendered board into polygons, stored as a `fill` stroke:
+// `points` holds every ring one after another and `rings` their lengths. Being geometry, a fill
+// replays, moves, scales and undoes like any other stroke.
+
+// Largest per-channel difference from the clicked pixel that still counts as the same area.
+export const FILL_TOLERANCE = 48
+// Traced outlines are simplified to within this many cells.
+const TRACE_TOLERANCE = 0.75
+
+export const fillRings = stroke => {
+  const sizes = Array.isArray(stroke.rings) ? stroke.rings : [stroke.points.length]
+  let start = 0
+  return sizes.map(length => {
+    const ring = stroke.points.slice(start, start + length)
+    start += length
+    return ring
+  })
+}
+
+// Even-odd rule, the same one the fill is painted with.
+export const pointInRings = (rings, pt) => {
+  let insideCount = 0
+  rings.forEach(ring => {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+      const a = ring[i]
+      const b = ring[j]
+      if (a.y > pt.y !== b.y > pt.y && pt.x < ((b.x - a.x) * (pt.y - a.y)) / (b.y - a.y) + a.x) insideCount += 1
+    }
+  })
+  return insideCount % 2 === 1
+}
+
+// Cells (every `step`-th pixel) connected to the seed and close to its color. Null when the area
+// runs off the edge of the image, i.e. it is not enclosed in what is on screen.
+export const floodRegion = ({ data, width, height }, step, seed, tolerance = FILL_TOLERANCE) => {
+  const cols = Math.floor(width / step)
+  const rows = Math.floor(height / step)
+  const sx = Math.min(cols - 1, Math.max(0, Math.floor(seed.x)))
+  const sy = Math.min(rows - 1, Math.max(0, Math.floor(seed.y)))
+  const offset = (x, y) => (y * step * width + x * step) * 4
+  const origin = offset(sx, sy)
+  const target = [data[origin], data[origin + 1], data[origin + 2], data[origin + 3]]
+  const matches = (x, y) => {
+    const o = offset(x, y)
+    return target.every((value, c) => Math.abs(data[o + c] - value) <= tolerance)
+  }
+
+  const mask = new Uint8Array(cols * rows)
+  const stack = [sy * cols + sx]
+  mask[stack[0]] = 1
+  while (stack.length) {
+    const index = stack.pop()
+    const x = index % cols
+    const y = (index - x) / cols
+    if (x === 0 || y === 0 || x === cols - 1 || y === rows - 1) return null
+    ;[index - 1, index + 1, index - cols, index + cols].forEach(next => {
+      if (mask[next]) return
+      const nx = next % cols
+      if (!matches(nx, (next - nx) / cols)) return
+      mask[next] = 1
+      stack.push(next)
+    })
+  }
+  return { mask, cols, rows }
+}
+
+// Grows the region by one cell so it tucks under the anti-aliased edge of the outline around it.
+export const dilateRegion = ({ mask, cols, rows }) => {
+  const grown = mask.slice()
+  for (let y = 1; y < rows - 1; y += 1) {
+    for (let x = 1; x < cols - 1; x += 1) {
+      const i = y * cols + x
+      if (!mask[i] && (mask[i - 1] || mask[i + 1] || mask[i - cols] || mask[i + cols])) grown[i] = 1
+    }
+  }
+  return { mask: grown, cols, rows }
+}
+
+const closeRing = ring => {
+  const simplified = simplifyPoints([...ring, ring[0]], TRACE_TOLERANCE)
+  return simplified.slice(0, -1)
+}
+
+// Outlines of the region as rings of cell corners. Every boundary edge is walked with the region
+// on the same side, so outer edges and holes come out with opposite windings.
+export const traceRegion = ({ mask, cols, rows }) => {
+  const stride = cols + 1
+  const outgoing = new Map()
+  const addEdge = (x0, y0, x1, y1) => {
+    const from = y0 * stride + x0
+    const list = outgoing.get(from)
+    if (list) list.push(y1 * stride + x1)
+    else outgoing.set(from, [y1 * stride + x1])
+  }
+  const filled = (x, y) => x >= 0 && y >= 0 && x < cols && y < rows && mask[y * cols + x] === 1
+  for (let y = 0; y < rows; y += 1) {
+    for (let x = 0; x < cols; x += 1) {
+      if (!filled(x, y)) continue
+      if (!filled(x, y - 1)) addEdge(x, y, x + 1, y)
+      if (!filled(x + 1, y)) addEdge(x + 1, y, x + 1, y + 1)
+      if (!filled(x, y + 1)) addEdge(x + 1, y + 1, x, y + 1)
+      if (!filled(x - 1, y)) addEdge(x, y + 1, x, y)
+    }
+  }
+
+  const rings = []
+  outgoing.forEach((_, start) => {
+    while (outgoing.get(start)?.length) {
+      const ring = []
+      let vertex = start
+      do {
+        const list = outgoing.get(vertex)
+        const next = list.pop()
+        if (!list.length) outgoing.delete(vertex)
+        ring.push({ x: vertex % stride, y: Math.floor(vertex / stride) })
+        vertex = next
+      } while (vertex !== start && outgoing.has(vertex))
+      // Only the corners where the outline turns are kept before simplifying.
+      const corners = ring.filter((pt, i) => {
+        const prev = ring[(i + ring.length - 1) % ring.length]
+        const next = ring[(i + 1) % ring.length]
+        return (pt.x - prev.x) * (next.y - pt.y) !== (pt.y - prev.y) * (next.x - pt.x)
+      })
+      if (corners.length >= 3) rings.push(closeRing(corners))
+    }
+  })
+  return rings.filter(ring => ring.length >= 3)
+}
@@ -0,0 +1,137 @@
+import { layoutText, TEXT_PADDING } from './text.js'
+
+// Strokes drawn before the world-coordinate model stored points as 0..1 fractions of
+// whatever element the author had on screen. They are mapped onto this reference board.
+export const LEGACY_BOARD = { width: 1280, height: 800 }
+
+export const worldPoint = (stroke, pt) =>
+  stroke.space === 'world' ? pt : { ...pt, x: pt.x * LEGACY_BOARD.width, y: pt.y * LEGACY_BOARD.height }
+
+export const normalizeStroke = stroke => {
+  if (!stroke || stroke.space === 'world') return stroke
+  return {
+    ...stroke,
+    space: 'world',
+    points: (stroke.points || []).map(pt => worldPoint(stroke, pt))
+  }
+}
+
+export const strokeWidth = stroke => {
+  if (stroke.tool === 'eraser') return stroke.size * 1.6
+  if (stroke.tool === 'fill') return 0
+  if (stroke.tool === 'pen') return stroke.size
+  return Math.max(6, stroke.size)
+}
+
+export const FILL_MODES = ['outline', 'fill', 'both']
+
+export const FILLABLE_TOOLS = ['rect', 'ellipse', 'polygon', 'star']
+
+// Interior color of a filled shape (the stroke color unless `fill` is set), else null.
+export const shapeFill = stroke =>
+  FILLABLE_TOOLS.includes(stroke.tool) && (stroke.fillMode === 'fill' || stroke.fillMode === 'both')
+    ? stroke.fill || stroke.color
+    : null
+
+export const hasOutline = stroke => stroke.fillMode !== 'fill' || !shapeFill(stroke)
+
+// Length of an arrow head for a shaft of the given width.
+export const arrowHeadLength = lineWidth => Math.max(10, lineWidth * 3)
+
+// Pending (unsent) strokes are drawn at half their opacity.
+export const strokeAlpha = stroke => (stroke.opacity ?? 1) * (stroke.pending ? 0.5 : 1)
+
+// Brush width at one point: pressure scales it around the slider size (0.5 is the neutral
+// pressure browsers report for mice), a tilted stylus lays the nib down a little wider.
+export const brushWidth = (stroke, point) => {
+  const pressure = point?.p ?? 0.5
+  const tilt = point?.t ?? 0
+  return stroke.size * (0.3 + 1.4 * pressure) * (1 + tilt * 0.5)
+}
+
+// Bounds of the stroke's own geometry, before its `rotation` is applied.
+export const rawBounds = stroke => {
+  const pts = stroke.points || []
+  if (!pts.length) return null
+  const anchor = pts[pts.length - 1]
+
+  if (stroke.tool === 'image') {
+    return {
+      minX: anchor.x,
+      minY: anchor.y,
+      maxX: anchor.x + (stroke.width || 180),
+      maxY: anchor.y + (stroke.height || 180)
+    }
+  }
+
+  if (stroke.tool === 'text') {
+    const { width, height } = layoutText(stroke)
+    const pad = stroke.highlight ? TEXT_PADDING : 0
+    return {
+      minX: anchor.x - pad,
+      minY: anchor.y - pad,
+      maxX: anchor.x + width + pad,
+      maxY: anchor.y + height + pad
+    }
+  }
+
+  let pad = stroke.tool === 'pen' ? Math.max(...pts.map(p => brushWidth(stroke, p))) / 2 : strokeWidth(stroke) / 2
+  if (stroke.tool === 'arrow' || stroke.tool === 'connector') pad = Math.max(pad, arrowHeadLength(strokeWidth(stroke)))
+  if (stroke.tool === 'sticky') pad = 0
+  const xs = pts.map(p => p.x)
+  const ys = pts.map(p => p.y)
+  return {
+    minX: Math.min(...xs) - pad,
+    minY: Math.min(...ys) - pad,
+    maxX: Math.max(...xs) + pad,
+    maxY: Math.max(...ys) + pad
+  }
+}
+
+export const boundsCenter = bounds => ({
+  x: (bounds.minX + bounds.maxX) / 2,
+  y: (bounds.minY + bounds.maxY) / 2
+})
+
+export const rotatePoint = (pt, center, angle) => {
+  const cos = Math.cos(angle)
+  const sin = Math.sin(angle)
+  const dx = pt.x - center.x
+  const dy = pt.y - center.y
+  return { ...pt, x: center.x + dx * cos - dy * sin, y: center.y + dx * sin + dy * cos }
+}
+
+// Rotated strokes turn around the centre of their raw bounds.
+export const strokeCenter = stroke => {
+  const bounds = rawBounds(stroke)
+  return bounds ? boundsCenter(bounds) : null
+}
+
+export const strokeBounds = stroke => {
+  const bounds = rawBounds(stroke)
+  if (!bounds || !stroke.rotation) return bounds
+  const center = boundsCenter(bounds)
+  const corners = [
+    { x: bounds.minX, y: bounds.minY },
+    { x: bounds.maxX, y: bounds.minY },
+    { x: bounds.maxX, y: bounds.maxY },
+    { x: bounds.minX, y: bounds.maxY }
+  ].map(pt => rotatePoint(pt, center, stroke.rotation))
+  const xs = corners.map(p => p.x)
+  const ys = corners.map(p => p.y)
+  return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) }
+}
+
+export const unionBounds = (a, b) => {
+  if (!a) return b
+  if (!b) return a
+  return {
+    minX: Math.min(a.minX, b.minX),
+    minY: Math.min(a.minY, b.minY),
+    maxX: Math.max(a.maxX, b.maxX),
+    maxY: Math.max(a.maxY, b.maxY)
+  }
+}
+
+export const boardBounds = strokes =>
+  strokes.filter(s => s.tool !== 'eraser').reduce((acc, stroke) => unionBounds(acc, strokeBounds(stroke)), null)
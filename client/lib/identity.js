@@ -0,0 +1,45 @@
+import { v4 as uuid } from 'uuid'
+import { normalizeHex } from './color.js'
+
+// Who this browser is across reloads and reconnects. `clientId` is a private token sent with
+// `join` so the server can hand back the same user id; it is never shown to others.
+const IDENTITY_KEY = 'rtc-canvas-identity'
+export const NAME_MAX = 32
+
+export const randomHandle = () => {
+  const adjectives = ['bold', 'calm', 'loud', 'bright', 'swift', 'steady', 'lucky', 'brisk']
+  const animals = ['orca', 'lynx', 'otter', 'falcon', 'sparrow', 'tiger', 'ibis', 'yak']
+  const adj = adjectives[Math.floor(Math.random() * adjectives.length)]
+  const animal = animals[Math.floor(Math.random() * animals.length)]
+  return `${adj}-${animal}-${Math.floor(Math.random() * 90 + 10)}`
+}
+
+// Collapses whitespace and caps the length; null when nothing is left.
+export const sanitizeName = value => {
+  const name = String(value ?? '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, NAME_MAX)
+  return name || null
+}
+
+// `color` stays null until one is picked, leaving the choice to the server.
+export const loadIdentity = () => {
+  let stored = {}
+  if (typeof window !== 'undefined') {
+    try {
+      stored = JSON.parse(window.localStorage.getItem(IDENTITY_KEY) || '{}') || {}
+    } catch {
+      stored = {}
+    }
+  }
+  return {
+    clientId: typeof stored.clientId === 'string' && stored.clientId ? stored.clientId : uuid(),
+    name: sanitizeName(stored.name) || randomHandle(),
+    color: normalizeHex(stored.color)
+  }
+}
+
+export const saveIdentity = identity => {
+  if (typeof window !== 'undefined') window.localStorage.setItem(IDENTITY_KEY, JSON.stringify(identity))
+}
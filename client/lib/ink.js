@@ -0,0 +1,104 @@
+import { drawStroke } from './render.js'
+
+// Presenting tools whose marks are only ever live: `laser` leaves a short fading trail and
+// `ink` draws like the brush, then fades out a moment after it is lifted. Neither is committed,
+// queued or undoable; the points travel as `ink:points` batches and `ink:end`.
+export const INK_TOOLS = ['laser', 'ink']
+
+export const isInkTool = tool => INK_TOOLS.includes(tool)
+
+const LASER_TRAIL_MS = 600
+// Laser line width and head radius, in screen pixels.
+const LASER_WIDTH = 4
+const LASER_HEAD = 5
+const INK_HOLD_MS = 1500
+const INK_FADE_MS = 900
+// A trail whose owner stopped sending without `ink:end` (e.g. a dropped connection) ends here.
+const INK_STALE_MS = 3000
+
+export const createTrail = (meta, now) => ({ ...meta, points: [], lastAt: now, endedAt: null })
+
+// Points are stamped with when they arrived; the laser fades each one by its own age.
+export const extendTrail = (trail, points, now) => {
+  points.forEach(pt => trail.points.push({ ...pt, at: now }))
+  trail.lastAt = now
+}
+
+export const endTrail = (trail, now) => {
+  if (trail.endedAt === null) trail.endedAt = now
+}
+
+const endedAt = (trail, now) => trail.endedAt ?? (now - trail.lastAt > INK_STALE_MS ? trail.lastAt : null)
+
+const inkAlpha = (trail, now) => {
+  const ended = endedAt(trail, now)
+  if (ended === null) return 1
+  return Math.max(0, Math.min(1, 1 - (now - ended - INK_HOLD_MS) / INK_FADE_MS))
+}
+
+const isAlive = (trail, now) => {
+  if (trail.tool === 'ink') return inkAlpha(trail, now) > 0
+  return endedAt(trail, now) === null || trail.points.some(pt => now - pt.at < LASER_TRAIL_MS)
+}
+
+// Drops faded trails and laser points too old to be drawn (keeping each laser's head).
+export const pruneTrails = (trails, now) => {
+  trails.forEach((trail, id) => {
+    if (!isAlive(trail, now)) {
+      trails.delete(id)
+      return
+    }
+    if (trail.tool === 'laser') {
+      const fresh = trail.points.findIndex(pt => now - pt.at < LASER_TRAIL_MS)
+      const keep = fresh === -1 ? trail.points.length - 1 : Math.max(0, fresh - 1)
+      if (keep > 0) trail.points.splice(0, keep)
+    }
+  })
+}
+
+const drawLaser = (ctx, trail, now, zoom) => {
+  const pts = trail.points
+  if (!pts.length) return
+  ctx.save()
+  ctx.lineCap = 'round'
+  ctx.strokeStyle = trail.color
+  ctx.shadowColor = trail.color
+  ctx.shadowBlur = 10
+  for (let i = 1; i < pts.length; i += 1) {
+    const fade = 1 - (now - pts[i].at) / LASER_TRAIL_MS
+    if (fade <= 0) continue
+    ctx.globalAlpha = fade
+    ctx.lineWidth = (LASER_WIDTH * (0.35 + 0.65 * fade)) / zoom
+    ctx.beginPath()
+    ctx.moveTo(pts[i - 1].x, pts[i - 1].y)
+    ctx.lineTo(pts[i].x, pts[i].y)
+    ctx.stroke()
+  }
+  if (endedAt(trail, now) === null) {
+    const head = pts[pts.length - 1]
+    ctx.globalAlpha = 1
+    ctx.fillStyle = trail.color
+    ctx.beginPath()
+    ctx.arc(head.x, head.y, LASER_HEAD / zoom, 0, Math.PI * 2)
+    ctx.fill()
+    ctx.shadowBlur = 0
+    ctx.fillStyle = '#ffffff'
+    ctx.beginPath()
+    ctx.arc(head.x, head.y, (LASER_HEAD * 0.4) / zoom, 0, Math.PI * 2)
+    ctx.fill()
+  }
+  ctx.restore()
+}
+
+// Paints `trails` (world coordinates, camera already applied). Returns whether any of them still
+// changes over time, so the caller keeps animating.
+export const drawTrails = (ctx, trails, now, zoom) => {
+  trails.forEach(trail => {
+    if (trail.tool === 'laser') {
+      drawLaser(ctx, trail, now, zoom)
+    } else if (trail.points.length) {
+      drawStroke(ctx, { tool: 'pen', color: trail.color, size: trail.size, opacity: inkAlpha(trail, now), points: trail.points })
+    }
+  })
+  return trails.some(trail => isAlive(trail, now))
+}
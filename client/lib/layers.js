@@ -0,0 +1,296 @@
+import { applyCamera, DEFAULT_CAMERA } from './camera.js'
+import { strokeBounds, unionBounds } from './geometry.js'
+import { bySeq, drawStroke } from './render.js'
+import { drawTrails } from './ink.js'
+
+export const FRAME_BUDGET_MS = 1000 / 60
+// After panning or zooming stops for this long, a cache that was only shifted or scaled is
+// rebuilt so it is pixel-exact again.
+const SETTLE_MS = 150
+
+const isStream = stroke => stroke.tool === 'pen' || stroke.tool === 'eraser'
+
+const intersects = (a, b) => a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY
+
+const pad = (bounds, by) => ({
+  minX: bounds.minX - by,
+  minY: bounds.minY - by,
+  maxX: bounds.maxX + by,
+  maxY: bounds.maxY + by
+})
+
+const clearSurface = ctx => {
+  ctx.setTransform(1, 0, 0, 1, 0, 0)
+  ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height)
+}
+
+// Four surfaces, redrawn at most once per animation frame:
+// - cache (offscreen): committed strokes, appended to incrementally and repaired by dirty rect.
+//   Navigating shifts (or, while zooming, scales) what it holds and repaints only the uncovered edges;
+// - base (visible): the cache blitted, plus pen/eraser strokes still in flight;
+// - overlay (visible, on top): shape, text and image previews that change on every move;
+// - ink (visible, topmost): laser and disappearing-ink trails, redrawn every frame while they fade.
+export const createLayers = ({ base, overlay, ink, dpr, imageCache, getCommitted, getTransient, getInk }) => {
+  const cache = document.createElement('canvas')
+  const cacheCtx = cache.getContext('2d')
+  // Holds the old cache while it is copied back shifted.
+  const scratch = document.createElement('canvas')
+  const scratchCtx = scratch.getContext('2d')
+  const baseCtx = base.getContext('2d')
+  const overlayCtx = overlay.getContext('2d')
+  const inkCtx = ink.getContext('2d')
+
+  let camera = DEFAULT_CAMERA
+  // The camera the cache was painted with.
+  let cacheCamera = camera
+  let settleTimer = null
+  let frameId = null
+  let fullRedraw = true
+  let dirtyBounds = null
+  let appended = []
+  let maxSeq = -Infinity
+  let composite = true
+  let overlayDirty = true
+  let inkDirty = true
+  let inkAnimating = false
+  let stats = { total: 0, frames: 0, max: 0 }
+
+  const rebuildCache = () => {
+    clearSurface(cacheCtx)
+    applyCamera(cacheCtx, camera, dpr)
+    const strokes = getCommitted().slice().sort(bySeq)
+    strokes.forEach(stroke => drawStroke(cacheCtx, stroke, imageCache))
+    maxSeq = strokes.reduce((acc, s) => Math.max(acc, s.seq ?? -Infinity), -Infinity)
+    cacheCamera = camera
+  }
+
+  const repairCache = bounds => {
+    const area = pad(bounds, 2)
+    applyCamera(cacheCtx, camera, dpr)
+    cacheCtx.save()
+    cacheCtx.beginPath()
+    cacheCtx.rect(area.minX, area.minY, area.maxX - area.minX, area.maxY - area.minY)
+    cacheCtx.clip()
+    cacheCtx.clearRect(area.minX, area.minY, area.maxX - area.minX, area.maxY - area.minY)
+    getCommitted()
+      .filter(stroke => {
+        const b = strokeBounds(stroke)
+        return b && intersects(b, area)
+      })
+      .sort(bySeq)
+      .forEach(stroke => drawStroke(cacheCtx, stroke, imageCache))
+    cacheCtx.restore()
+  }
+
+  const settleLater = () => {
+    clearTimeout(settleTimer)
+    settleTimer = setTimeout(() => {
+      settleTimer = null
+      fullRedraw = true
+      schedule()
+    }, SETTLE_MS)
+  }
+
+  // Moves the cached pixels from `cacheCamera` to `camera` and repaints the edges they no longer
+  // cover. Pans move by whole device pixels; a rounded or scaled copy is rebuilt once settled.
+  const reprojectCache = () => {
+    const from = cacheCamera
+    const { width, height } = cache
+    const ratio = camera.zoom / from.zoom
+    const rawX = (from.x - camera.x) * camera.zoom * dpr
+    const rawY = (from.y - camera.y) * camera.zoom * dpr
+    const dx = ratio === 1 ? Math.round(rawX) : rawX
+    const dy = ratio === 1 ? Math.round(rawY) : rawY
+    const right = dx + width * ratio
+    const bottom = dy + height * ratio
+    if (dx >= width || dy >= height || right <= 0 || bottom <= 0) {
+      rebuildCache()
+      return
+    }
+    if (ratio !== 1 || dx !== rawX || dy !== rawY) settleLater()
+
+    if (scratch.width !== width || scratch.height !== height) {
+      scratch.width = width
+      scratch.height = height
+    } else {
+      clearSurface(scratchCtx)
+    }
+    scratchCtx.drawImage(cache, 0, 0)
+    clearSurface(cacheCtx)
+    cacheCtx.drawImage(scratch, dx, dy, width * ratio, height * ratio)
+    cacheCamera = camera
+
+    // Uncovered strips, in device pixels: full-width above and below, then left and right between.
+    const top = Math.max(0, dy)
+    const end = Math.min(height, bottom)
+    const strips = [
+      [0, 0, width, top],
+      [0, end, width, height],
+      [0, top, Math.max(0, dx), end],
+      [Math.min(width, right), top, width, end]
+    ]
+    const scale = camera.zoom * dpr
+    strips
+      .filter(([x0, y0, x1, y1]) => x1 > x0 && y1 > y0)
+      .forEach(([x0, y0, x1, y1]) =>
+        repairCache({
+          minX: camera.x + x0 / scale,
+          minY: camera.y + y0 / scale,
+          maxX: camera.x + x1 / scale,
+          maxY: camera.y + y1 / scale
+        })
+      )
+  }
+
+  const drawBase = () => {
+    clearSurface(baseCtx)
+    baseCtx.drawImage(cache, 0, 0)
+    applyCamera(baseCtx, camera, dpr)
+    getTransient()
+      .filter(isStream)
+      .forEach(stroke => drawStroke(baseCtx, stroke, imageCache))
+  }
+
+  const drawOverlay = () => {
+    clearSurface(overlayCtx)
+    applyCamera(overlayCtx, camera, dpr)
+    getTransient()
+      .filter(stroke => !isStream(stroke))
+      .forEach(stroke => drawStroke(overlayCtx, stroke, imageCache))
+  }
+
+  const drawInk = () => {
+    clearSurface(inkCtx)
+    applyCamera(inkCtx, camera, dpr)
+    inkAnimating = drawTrails(inkCtx, getInk(), performance.now(), camera.zoom)
+  }
+
+  const flush = () => {
+    frameId = null
+    const started = performance.now()
+    if (fullRedraw) {
+      clearTimeout(settleTimer)
+      settleTimer = null
+      rebuildCache()
+      composite = true
+    } else {
+      if (cacheCamera !== camera) {
+        reprojectCache()
+        composite = true
+      }
+      if (dirtyBounds) {
+        repairCache(dirtyBounds)
+        composite = true
+      }
+      if (appended.length) {
+        applyCamera(cacheCtx, camera, dpr)
+        appended.forEach(stroke => drawStroke(cacheCtx, stroke, imageCache))
+        composite = true
+      }
+    }
+    if (composite) drawBase()
+    if (overlayDirty) drawOverlay()
+    if (inkDirty || inkAnimating) drawInk()
+    fullRedraw = false
+    dirtyBounds = null
+    appended = []
+    composite = false
+    overlayDirty = false
+    inkDirty = false
+
+    const elapsed = performance.now() - started
+    stats.total += elapsed
+    stats.frames += 1
+    stats.max = Math.max(stats.max, elapsed)
+    if (inkAnimating) schedule()
+  }
+
+  const schedule = () => {
+    if (frameId) return
+    frameId = requestAnimationFrame(flush)
+  }
+
+  return {
+    resize: (width, height) => {
+      ;[base, overlay, ink, cache].forEach(canvas => {
+        canvas.width = width * dpr
+        canvas.height = height * dpr
+      })
+      fullRedraw = true
+      overlayDirty = true
+      inkDirty = true
+      schedule()
+    },
+    setCamera: next => {
+      camera = next
+      composite = true
+      overlayDirty = true
+      inkDirty = true
+      schedule()
+    },
+    // Committed set replaced wholesale (init, import, clear).
+    reset: () => {
+      fullRedraw = true
+      overlayDirty = true
+      schedule()
+    },
+    // A newly committed stroke; painted on top when it is the newest, otherwise its area is repaired.
+    add: stroke => {
+      if ((stroke.seq ?? Infinity) >= maxSeq) {
+        appended.push(stroke)
+        maxSeq = Math.max(maxSeq, stroke.seq ?? maxSeq)
+      } else {
+        const bounds = strokeBounds(stroke)
+        if (bounds) dirtyBounds = unionBounds(dirtyBounds, bounds)
+      }
+      composite = true
+      overlayDirty = true
+      schedule()
+    },
+    invalidate: bounds => {
+      if (!bounds) return
+      dirtyBounds = unionBounds(dirtyBounds, bounds)
+      schedule()
+    },
+    // Transient (pending or in-flight) strokes changed.
+    refresh: () => {
+      composite = true
+      overlayDirty = true
+      schedule()
+    },
+    refreshOverlay: () => {
+      overlayDirty = true
+      schedule()
+    },
+    // Laser or ink trails gained points or ended; fading then continues frame by frame by itself.
+    refreshInk: () => {
+      inkDirty = true
+      schedule()
+    },
+    // Paints one live segment immediately; the next composite redraws the whole stroke anyway.
+    // Brush strokes are smoothed over their neighbours, so they wait for that composite instead.
+    drawSegment: (stroke, from, to) => {
+      if (stroke.tool === 'pen') {
+        composite = true
+        schedule()
+        return
+      }
+      applyCamera(baseCtx, camera, dpr)
+      drawStroke(baseCtx, { ...stroke, points: [from, to] }, imageCache)
+    },
+    takeStats: () => {
+      const snapshot = {
+        avg: stats.frames ? stats.total / stats.frames : 0,
+        max: stats.max
+      }
+      stats = { total: 0, frames: 0, max: 0 }
+      return snapshot
+    },
+    destroy: () => {
+      if (frameId) cancelAnimationFrame(frameId)
+      frameId = null
+      clearTimeout(settleTimer)
+      settleTimer = null
+    }
+  }
+}
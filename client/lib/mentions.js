@@ -0,0 +1,51 @@
+// `@name` mentions of people in the room. Names may contain spaces, so a mention is matched
+// against the known names (longest first) rather than read up to the next space.
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+const mentionPattern = names => {
+  const sorted = [...new Set(names.filter(Boolean))].sort((a, b) => b.length - a.length)
+  if (!sorted.length) return null
+  return new RegExp(`(^|[^\\w@])@(${sorted.map(escapeRegExp).join('|')})(?![\\w-])`, 'gi')
+}
+
+// `[{ text }, { text, mention }]` pieces of `text`, with `mention` set to the name as spelled in `names`.
+export const splitMentions = (text, names) => {
+  const pattern = mentionPattern(names)
+  if (!pattern) return [{ text }]
+  const parts = []
+  let last = 0
+  text.replace(pattern, (match, lead, name, offset) => {
+    const start = offset + lead.length
+    if (start > last) parts.push({ text: text.slice(last, start) })
+    parts.push({ text: `@${name}`, mention: names.find(n => n.toLowerCase() === name.toLowerCase()) })
+    last = start + name.length + 1
+    return match
+  })
+  if (last < text.length) parts.push({ text: text.slice(last) })
+  return parts
+}
+
+export const mentionsName = (text, name, names) => splitMentions(text, names).some(part => part.mention === name)
+
+// The `@query` being typed just before the caret, as `{ start, query }`, or null.
+export const mentionQuery = (text, caret) => {
+  const before = text.slice(0, caret)
+  const match = /(^|[^\w@])@([^@\n]{0,32})$/.exec(before)
+  if (!match) return null
+  return { start: caret - match[2].length - 1, query: match[2] }
+}
+
+// Names that complete `query`, best matches first.
+export const mentionSuggestions = (names, query, limit = 5) => {
+  const q = query.toLowerCase()
+  return [...new Set(names.filter(Boolean))]
+    .filter(name => name.toLowerCase().includes(q))
+    .sort((a, b) => Number(!a.toLowerCase().startsWith(q)) - Number(!b.toLowerCase().startsWith(q)) || a.localeCompare(b))
+    .slice(0, limit)
+}
+
+// Replaces the `@query` at `start` with the full mention; returns the new text and caret.
+export const insertMention = (text, caret, start, name) => {
+  const inserted = `@${name} `
+  return { text: text.slice(0, start) + inserted + text.slice(caret), caret: start + inserted.length }
+}
@@ -0,0 +1,15 @@
+// Heuristics for telling a resting hand from a finger or stylus. Browsers report the contact
+// ellipse of a touch as `width`/`height` in CSS pixels (1 where the hardware does not know).
+
+// Fingertips stay well under this; the side of a palm does not.
+export const PALM_CONTACT_PX = 36
+// Touches this soon after stylus activity are the hand holding the stylus.
+export const PEN_GRACE_MS = 600
+// A touch stroke started this shortly before a stylus came down is the palm landing first.
+export const PALM_LEAD_MS = 400
+
+export const isTouch = evt => evt.pointerType === 'touch'
+
+export const isLargeContact = evt => isTouch(evt) && Math.max(evt.width || 0, evt.height || 0) > PALM_CONTACT_PX
+
+export const isPalm = (evt, lastPenAt) => isTouch(evt) && (isLargeContact(evt) || evt.timeStamp - lastPenAt < PEN_GRACE_MS)
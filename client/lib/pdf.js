@@ -0,0 +1,42 @@
+const encoder = new TextEncoder()
+
+// Smallest useful PDF: one page with a single JPEG image XObject stretched over it.
+// JPEG data can be embedded as-is (DCTDecode), which keeps this free of a compression library.
+export const jpegToPdf = (jpeg, { imageWidth, imageHeight, pageWidth, pageHeight }) => {
+  const content = `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Im0 Do Q`
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /XObject << /Im0 5 0 R >> >> /Contents 4 0 R >>`,
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    [
+      `<< /Type /XObject /Subtype /Image /Width ${imageWidth} /Height ${imageHeight} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`,
+      jpeg,
+      '\nendstream'
+    ]
+  ]
+
+  const chunks = []
+  let length = 0
+  const push = part => {
+    const bytes = typeof part === 'string' ? encoder.encode(part) : part
+    chunks.push(bytes)
+    length += bytes.length
+  }
+
+  push('%PDF-1.4\n')
+  const offsets = objects.map((body, index) => {
+    const offset = length
+    push(`${index + 1} 0 obj\n`)
+    ;(Array.isArray(body) ? body : [body]).forEach(push)
+    push('\nendobj\n')
+    return offset
+  })
+
+  const xrefOffset = length
+  push(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`)
+  offsets.forEach(offset => push(`${String(offset).padStart(10, '0')} 00000 n \n`))
+  push(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`)
+
+  return new Blob(chunks, { type: 'application/pdf' })
+}
@@ -0,0 +1,89 @@
+// Points travel as integers: coordinates in hundredths of a world unit, delta-encoded against the
+// previous point, and pressure/tilt in thousandths. Captured points are quantized the same way so
+// the author's copy matches what everyone else decodes.
+const COORD_SCALE = 100
+const UNIT_SCALE = 1000
+
+export const quantize = value => Math.round(value * COORD_SCALE) / COORD_SCALE
+
+export const quantizePoint = pt => ({ ...pt, x: quantize(pt.x), y: quantize(pt.y) })
+
+// `{ q: [x0, y0, dx1, dy1, …], p?: [...], t?: [...] }`; pressure and tilt lists are only present
+// when some point in the batch has them.
+export const encodePoints = points => {
+  const q = []
+  let prevX = 0
+  let prevY = 0
+  points.forEach(pt => {
+    const x = Math.round(pt.x * COORD_SCALE)
+    const y = Math.round(pt.y * COORD_SCALE)
+    q.push(x - prevX, y - prevY)
+    prevX = x
+    prevY = y
+  })
+  const packed = { q }
+  if (points.some(pt => pt.p !== undefined)) packed.p = points.map(pt => Math.round((pt.p ?? 0.5) * UNIT_SCALE))
+  if (points.some(pt => pt.t)) packed.t = points.map(pt => Math.round((pt.t || 0) * UNIT_SCALE))
+  return packed
+}
+
+// Servers from before the packed format build the committed stroke by appending plain `points`
+// lists; batches only carry that copy for a server whose `init` does not announce `packedPoints`.
+export const wirePoints = (points, plain) => (plain ? { ...encodePoints(points), points } : encodePoints(points))
+
+// Accepts packed batches as well as the plain `{ points }` form older clients send.
+export const decodePoints = payload => {
+  if (!Array.isArray(payload?.q)) return payload?.points || []
+  const points = []
+  let x = 0
+  let y = 0
+  for (let i = 0; i + 1 < payload.q.length; i += 2) {
+    x += payload.q[i]
+    y += payload.q[i + 1]
+    const pt = { x: x / COORD_SCALE, y: y / COORD_SCALE }
+    const index = i / 2
+    if (payload.p) pt.p = payload.p[index] / UNIT_SCALE
+    if (payload.t?.[index]) pt.t = payload.t[index] / UNIT_SCALE
+    points.push(pt)
+  }
+  return points
+}
+
+// Pressure differences count as distance in proportion to the nib size, so a straight but
+// pressure-varying run keeps the points that carry its width changes.
+const deviation = (pt, a, b, size) => {
+  const dx = b.x - a.x
+  const dy = b.y - a.y
+  const lenSq = dx * dx + dy * dy
+  const t = lenSq ? Math.max(0, Math.min(1, ((pt.x - a.x) * dx + (pt.y - a.y) * dy) / lenSq)) : 0
+  const geometric = Math.hypot(pt.x - (a.x + dx * t), pt.y - (a.y + dy * t))
+  if (pt.p === undefined) return geometric
+  const expected = (a.p ?? 0.5) + ((b.p ?? 0.5) - (a.p ?? 0.5)) * t
+  return Math.max(geometric, Math.abs(pt.p - expected) * size)
+}
+
+// Ramer–Douglas–Peucker, iterative so long strokes cannot overflow the stack.
+export const simplifyPoints = (points, tolerance, size = 0) => {
+  if (points.length < 3) return points
+  const keep = new Uint8Array(points.length)
+  keep[0] = 1
+  keep[points.length - 1] = 1
+  const stack = [[0, points.length - 1]]
+  while (stack.length) {
+    const [start, end] = stack.pop()
+    let maxDist = 0
+    let index = -1
+    for (let i = start + 1; i < end; i += 1) {
+      const dist = deviation(points[i], points[start], points[end], size)
+      if (dist > maxDist) {
+        maxDist = dist
+        index = i
+      }
+    }
+    if (index !== -1 && maxDist > tolerance) {
+      keep[index] = 1
+      stack.push([start, index], [index, end])
+    }
+  }
+  return points.filter((_, i) => keep[i])
+}
@@ -0,0 +1,35 @@
+import { fitBounds } from './camera.js'
+
+// Remote cursors glide toward the last reported point instead of jumping from event to event.
+const CURSOR_SMOOTH_MS = 80
+// Cursors fade after this long without moving and are dropped after the stale limit.
+export const CURSOR_IDLE_MS = 5000
+export const CURSOR_STALE_MS = 60000
+export const CURSOR_SWEEP_MS = 1000
+// `presence` (view, tool, brush) is sent at most this often, and repeated for late joiners.
+export const PRESENCE_THROTTLE_MS = 120
+export const PRESENCE_REFRESH_MS = 5000
+
+// A new cursor appears where it is; a known one keeps its shown position and gets a new target.
+export const moveCursor = (cursor, target, now) => ({
+  ...cursor,
+  ...target,
+  x: cursor?.x ?? target.targetX,
+  y: cursor?.y ?? target.targetY,
+  at: now,
+  idle: false
+})
+
+export const isMoving = cursor => cursor.x !== cursor.targetX || cursor.y !== cursor.targetY
+
+// One frame of easing over `dt` ms; within half a screen pixel the cursor lands on its target.
+export const easeCursor = (cursor, dt, zoom) => {
+  const k = 1 - Math.exp(-dt / CURSOR_SMOOTH_MS)
+  const x = cursor.x + (cursor.targetX - cursor.x) * k
+  const y = cursor.y + (cursor.targetY - cursor.y) * k
+  if (Math.hypot(cursor.targetX - x, cursor.targetY - y) * zoom < 0.5) return { ...cursor, x: cursor.targetX, y: cursor.targetY }
+  return { ...cursor, x, y }
+}
+
+// The camera that shows all of someone else's view (world bounds) in ours.
+export const followCamera = (view, viewport) => fitBounds(view, viewport, 0)
@@ -0,0 +1,269 @@
+import { applyCamera } from './camera.js'
+import { assetUrl, imageKey } from './assets.js'
+import { drawBrush } from './brush.js'
+import { hasOutline, shapeFill, strokeAlpha, strokeCenter, strokeWidth } from './geometry.js'
+import { fillRings } from './fill.js'
+import { layoutText, lineOffset, TEXT_PADDING } from './text.js'
+import {
+  STICKY_COLORS,
+  STICKY_INK,
+  STICKY_PADDING,
+  arrowGeometry,
+  cornerRadius,
+  isArrow,
+  isShapeTool,
+  shapeVertices,
+  stickyBox,
+  stickyText
+} from './shapes.js'
+
+const imageListeners = new Set()
+
+// Images decode asynchronously; layers subscribe so they can repaint once the bitmap is ready.
+export const onImageLoad = listener => {
+  imageListeners.add(listener)
+  return () => imageListeners.delete(listener)
+}
+
+const fillTextLines = (ctx, stroke, layout, anchor) => {
+  ctx.font = layout.font
+  ctx.textBaseline = 'top'
+  layout.lines.forEach((line, i) => {
+    ctx.fillText(line.text, anchor.x + lineOffset(stroke, layout, line.width), anchor.y + layout.leading + i * layout.lineHeight)
+  })
+}
+
+const roundedRect = (ctx, x, y, w, h) => {
+  const r = cornerRadius(w, h)
+  ctx.moveTo(x + r, y)
+  ctx.arcTo(x + w, y, x + w, y + h, r)
+  ctx.arcTo(x + w, y + h, x, y + h, r)
+  ctx.arcTo(x, y + h, x, y, r)
+  ctx.arcTo(x, y, x + w, y, r)
+  ctx.closePath()
+}
+
+const drawArrow = (ctx, stroke, from, to) => {
+  const shaft = arrowGeometry(stroke, from, to, ctx.lineWidth)
+  ctx.beginPath()
+  ctx.moveTo(shaft.from.x, shaft.from.y)
+  ctx.lineTo(shaft.to.x, shaft.to.y)
+  ctx.stroke()
+  shaft.heads.forEach(head => {
+    ctx.beginPath()
+    if (head.style === 'dot') {
+      ctx.arc(head.center.x, head.center.y, head.r, 0, Math.PI * 2)
+      ctx.fill()
+      return
+    }
+    head.points.forEach((pt, i) => (i ? ctx.lineTo(pt.x, pt.y) : ctx.moveTo(pt.x, pt.y)))
+    if (head.style === 'triangle') {
+      ctx.closePath()
+      ctx.fill()
+      ctx.stroke()
+    } else {
+      ctx.stroke()
+    }
+  })
+}
+
+// Notes keep dark ink on their paper color whatever the theme; text past the bottom is clipped.
+const drawSticky = (ctx, stroke) => {
+  const box = stickyBox(stroke)
+  ctx.fillStyle = stroke.fill || STICKY_COLORS[0]
+  ctx.fillRect(box.x, box.y, box.width, box.height)
+  ctx.lineWidth = 1
+  ctx.strokeStyle = 'rgba(15, 23, 42, 0.15)'
+  ctx.strokeRect(box.x, box.y, box.width, box.height)
+  if (!stroke.text) return
+  ctx.beginPath()
+  ctx.rect(box.x, box.y, box.width, box.height)
+  ctx.clip()
+  const text = stickyText(stroke, box)
+  ctx.fillStyle = stroke.color || STICKY_INK
+  fillTextLines(ctx, text, layoutText(text), { x: box.x + STICKY_PADDING, y: box.y + STICKY_PADDING })
+}
+
+export const drawLine = (ctx, stroke, from, to, imageCache) => {
+  if (!from) return
+  const target = to || from
+  ctx.save()
+  if (stroke.tool !== 'eraser') {
+    ctx.globalAlpha = strokeAlpha(stroke)
+  }
+
+  const isShape = isShapeTool(stroke.tool)
+  const isText = stroke.tool === 'text'
+  const isImage = stroke.tool === 'image'
+
+  if (stroke.tool === 'eraser') {
+    ctx.globalCompositeOperation = 'destination-out'
+    ctx.setLineDash([])
+    ctx.strokeStyle = '#000'
+  } else {
+    ctx.setLineDash([])
+    ctx.shadowColor = 'transparent'
+    ctx.shadowBlur = 0
+    ctx.strokeStyle = stroke.color
+    ctx.fillStyle = stroke.color
+  }
+  ctx.lineJoin = 'round'
+  ctx.lineCap = 'round'
+  ctx.lineWidth = strokeWidth(stroke)
+
+  if (isText) {
+    const layout = layoutText(stroke)
+    if (stroke.highlight) {
+      ctx.fillStyle = stroke.highlight
+      ctx.fillRect(
+        target.x - TEXT_PADDING,
+        target.y - TEXT_PADDING,
+        layout.width + TEXT_PADDING * 2,
+        layout.height + TEXT_PADDING * 2
+      )
+      ctx.fillStyle = stroke.color
+    }
+    fillTextLines(ctx, stroke, layout, target)
+    ctx.restore()
+    return
+  }
+
+  if (stroke.tool === 'sticky') {
+    drawSticky(ctx, stroke)
+    ctx.restore()
+    return
+  }
+
+  if (isImage) {
+    const key = imageKey(stroke)
+    const w = stroke.width || 180
+    const h = stroke.height || 180
+    if (!key) {
+      ctx.restore()
+      return
+    }
+    const cached = imageCache.get(key)
+    if (cached && cached.complete) {
+      ctx.drawImage(cached, target.x, target.y, w, h)
+      ctx.restore()
+      return
+    }
+    // Until the bitmap is here, a dashed frame marks where it will appear.
+    ctx.globalAlpha *= 0.4
+    ctx.strokeStyle = '#94a3b8'
+    ctx.lineWidth = 1
+    ctx.setLineDash([6, 4])
+    ctx.strokeRect(target.x, target.y, w, h)
+    ctx.restore()
+    if (cached) return
+
+    const notify = () => imageListeners.forEach(listener => listener(key))
+    const src = stroke.asset ? assetUrl(stroke.asset, notify) : stroke.src
+    if (!src) return
+    const img = new Image()
+    img.onload = notify
+    img.src = src
+    imageCache.set(key, img)
+    return
+  }
+
+  if (isShape) {
+    const x = Math.min(from.x, target.x)
+    const y = Math.min(from.y, target.y)
+    const w = Math.abs(target.x - from.x)
+    const h = Math.abs(target.y - from.y)
+    if (isArrow(stroke)) {
+      drawArrow(ctx, stroke, from, target)
+      ctx.restore()
+      return
+    }
+    ctx.beginPath()
+    if (stroke.tool === 'rect' && stroke.rounded) {
+      roundedRect(ctx, x, y, w, h)
+    } else if (stroke.tool === 'rect') {
+      ctx.rect(x, y, w, h)
+    } else if (stroke.tool === 'polygon' || stroke.tool === 'star') {
+      shapeVertices(stroke, from, target).forEach((pt, i) => (i ? ctx.lineTo(pt.x, pt.y) : ctx.moveTo(pt.x, pt.y)))
+      ctx.closePath()
+    } else if (stroke.tool === 'ellipse') {
+      const rx = w / 2
+      const ry = h / 2
+      ctx.ellipse(x + rx, y + ry, rx, ry, 0, 0, Math.PI * 2)
+    } else {
+      ctx.moveTo(from.x, from.y)
+      ctx.lineTo(target.x, target.y)
+    }
+    const fill = shapeFill(stroke)
+    if (fill) {
+      ctx.fillStyle = fill
+      ctx.fill()
+    }
+    if (hasOutline(stroke)) ctx.stroke()
+    ctx.restore()
+    return
+  }
+
+  ctx.beginPath()
+  ctx.moveTo(from.x, from.y)
+  ctx.lineTo(target.x, target.y)
+  ctx.stroke()
+  ctx.restore()
+}
+
+const drawFill = (ctx, stroke) => {
+  ctx.save()
+  ctx.globalAlpha = strokeAlpha(stroke)
+  ctx.fillStyle = stroke.color
+  ctx.beginPath()
+  fillRings(stroke).forEach(ring => {
+    ring.forEach((pt, i) => (i ? ctx.lineTo(pt.x, pt.y) : ctx.moveTo(pt.x, pt.y)))
+    ctx.closePath()
+  })
+  ctx.fill('evenodd')
+  ctx.restore()
+}
+
+// Strokes without a server seq (previews, offline strokes) keep their order after committed ones.
+export const bySeq = (a, b) => (a.seq ?? Number.MAX_SAFE_INTEGER) - (b.seq ?? Number.MAX_SAFE_INTEGER)
+
+export const drawStroke = (ctx, stroke, imageCache) => {
+  if (stroke.rotation) {
+    const center = strokeCenter(stroke)
+    if (!center) return
+    ctx.save()
+    ctx.translate(center.x, center.y)
+    ctx.rotate(stroke.rotation)
+    ctx.translate(-center.x, -center.y)
+    drawStroke(ctx, { ...stroke, rotation: 0 }, imageCache)
+    ctx.restore()
+    return
+  }
+  if (stroke.tool === 'pen') {
+    drawBrush(ctx, stroke)
+    return
+  }
+  if (stroke.tool === 'fill') {
+    drawFill(ctx, stroke)
+    return
+  }
+  const pts = stroke.points || []
+  if (pts.length === 1) {
+    drawLine(ctx, stroke, pts[0], pts[0], imageCache)
+    return
+  }
+  for (let i = 1; i < pts.length; i += 1) {
+    drawLine(ctx, stroke, pts[i - 1], pts[i], imageCache)
+  }
+}
+
+// Clears the surface and redraws `strokes` (world coordinates) as seen through `camera`.
+// The camera transform is left applied so live segments can be drawn straight on top.
+export const replayStrokes = (ctx, strokes, camera, dpr, imageCache) => {
+  ctx.setTransform(1, 0, 0, 1, 0, 0)
+  ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height)
+  applyCamera(ctx, camera, dpr)
+  strokes
+    .slice()
+    .sort(bySeq)
+    .forEach(stroke => drawStroke(ctx, stroke, imageCache))
+}
@@ -0,0 +1,45 @@
+// Who may do what in a room. The server is the authority: it names the owner (whoever created
+// the room), stores the roles the owner grants and rejects what a role does not allow. The client
+// only mirrors that to hide controls and make the board read-only.
+export const ROLES = ['owner', 'editor', 'viewer']
+// Roles the owner can hand out; anyone without one is an editor.
+export const GRANTABLE_ROLES = ['editor', 'viewer']
+
+export const ROLE_LABELS = { owner: 'Owner', editor: 'Editor', viewer: 'Viewer' }
+
+export const DEFAULT_ACCESS = { ownerId: null, roles: {}, locked: false }
+
+export const sanitizeAccess = payload => {
+  const roles = payload?.roles && typeof payload.roles === 'object' ? payload.roles : {}
+  return {
+    ownerId: typeof payload?.ownerId === 'string' ? payload.ownerId : null,
+    roles: Object.fromEntries(Object.entries(roles).filter(([, role]) => GRANTABLE_ROLES.includes(role))),
+    locked: Boolean(payload?.locked)
+  }
+}
+
+export const roleOf = (access, userId) => {
+  if (!userId) return 'viewer'
+  if (access.ownerId === userId) return 'owner'
+  return access.roles[userId] || 'editor'
+}
+
+// A locked board is read-only for everyone but the owner.
+export const canDraw = (access, userId) => {
+  const role = roleOf(access, userId)
+  return role === 'owner' || (role === 'editor' && !access.locked)
+}
+
+// Clearing the board, replacing it on import, global undo and reverting other people's strokes.
+export const canModerate = (access, userId) => roleOf(access, userId) === 'owner'
+
+// "Ann locked the board", "You made Bo a viewer"… for an `access:update` (`{ by, change }`).
+export const describeAccessChange = ({ by, change }, userId, nameOf) => {
+  const who = by?.id === userId ? 'You' : by?.name || 'The owner'
+  if (change?.kind === 'lock') return `${who} ${change.locked ? 'locked' : 'unlocked'} the board`
+  if (change?.kind === 'role') {
+    const target = change.userId === userId ? 'you' : nameOf(change.userId)
+    return `${who} made ${target} ${change.role === 'viewer' ? 'a viewer' : 'an editor'}`
+  }
+  return null
+}
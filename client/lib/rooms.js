@@ -0,0 +1,54 @@
+// Rooms live in the URL as `/r/<room>`, so a link opens the same board.
+export const DEFAULT_ROOM = 'main'
+export const ROOM_NAME_MAX = 48
+export const RECENT_ROOMS_LIMIT = 8
+const ROOM_PATH_PREFIX = '/r/'
+const RECENT_ROOMS_KEY = 'rtc-canvas-recent-rooms'
+
+const ROOM_PATTERN = /^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/
+
+// Lowercases and turns spaces and underscores into hyphens, then either `{ room }` or `{ error }`
+// for a name that would not survive a URL segment.
+export const parseRoomName = value => {
+  const room = String(value ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_]+/g, '-')
+    .replace(/-{2,}/g, '-')
+  if (!room) return { error: 'Enter a room name' }
+  if (room.length > ROOM_NAME_MAX) return { error: `Room names are at most ${ROOM_NAME_MAX} characters` }
+  if (!ROOM_PATTERN.test(room)) return { error: 'Room names use letters, digits and hyphens, and start and end with a letter or digit' }
+  return { room }
+}
+
+export const roomPath = room => `${ROOM_PATH_PREFIX}${room}`
+
+export const roomUrl = room => `${window.location.origin}${roomPath(room)}`
+
+// `{ room }` for a `/r/<room>` path, `{ error }` for one with an invalid name, `{}` for any other path.
+export const roomFromPath = pathname => {
+  if (!pathname.startsWith(ROOM_PATH_PREFIX)) return {}
+  const segment = pathname.slice(ROOM_PATH_PREFIX.length).replace(/\/+$/, '')
+  try {
+    return parseRoomName(decodeURIComponent(segment))
+  } catch {
+    return { error: 'That link does not name a valid room' }
+  }
+}
+
+export const loadRecentRooms = () => {
+  if (typeof window === 'undefined') return []
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(RECENT_ROOMS_KEY) || '[]')
+    return Array.isArray(parsed) ? parsed.filter(name => parseRoomName(name).room === name).slice(0, RECENT_ROOMS_LIMIT) : []
+  } catch {
+    return []
+  }
+}
+
+export const saveRecentRooms = rooms => {
+  if (typeof window !== 'undefined') window.localStorage.setItem(RECENT_ROOMS_KEY, JSON.stringify(rooms))
+}
+
+// Most recent first, without duplicates.
+export const pushRecentRoom = (rooms, room) => [room, ...rooms.filter(name => name !== room)].slice(0, RECENT_ROOMS_LIMIT)
@@ -0,0 +1,158 @@
+import { rawBounds, rotatePoint, strokeBounds, strokeCenter, strokeWidth, unionBounds } from './geometry.js'
+import { fillRings, pointInRings } from './fill.js'
+import { bySeq } from './render.js'
+
+export const distanceToSegment = (pt, a, b) => {
+  const dx = b.x - a.x
+  const dy = b.y - a.y
+  const lengthSq = dx * dx + dy * dy
+  const t = lengthSq ? Math.max(0, Math.min(1, ((pt.x - a.x) * dx + (pt.y - a.y) * dy) / lengthSq)) : 0
+  return Math.hypot(pt.x - (a.x + t * dx), pt.y - (a.y + t * dy))
+}
+
+const SEGMENT_TOOLS = ['pen', 'line', 'arrow', 'connector']
+
+const inside = (pt, b) => pt.x >= b.minX && pt.x <= b.maxX && pt.y >= b.minY && pt.y <= b.maxY
+
+export const isSelectable = stroke => stroke.tool !== 'eraser'
+
+// `tolerance` is in world units; callers pass a screen-space slop divided by the zoom.
+export const hitTestStroke = (stroke, worldPt, tolerance = 4) => {
+  if (!isSelectable(stroke)) return false
+  const bounds = rawBounds(stroke)
+  if (!bounds) return false
+  const pt = stroke.rotation ? rotatePoint(worldPt, strokeCenter(stroke), -stroke.rotation) : worldPt
+  const pts = stroke.points || []
+  const reach = strokeWidth(stroke) / 2 + tolerance
+
+  if (SEGMENT_TOOLS.includes(stroke.tool)) {
+    if (pts.length === 1) return Math.hypot(pt.x - pts[0].x, pt.y - pts[0].y) <= reach
+    for (let i = 1; i < pts.length; i += 1) {
+      if (distanceToSegment(pt, pts[i - 1], pts[i]) <= reach) return true
+    }
+    return false
+  }
+
+  if (stroke.tool === 'fill') return inside(pt, bounds) && pointInRings(fillRings(stroke), pt)
+
+  return inside(pt, {
+    minX: bounds.minX - tolerance,
+    minY: bounds.minY - tolerance,
+    maxX: bounds.maxX + tolerance,
+    maxY: bounds.maxY + tolerance
+  })
+}
+
+// Topmost stroke under the point, honouring draw order.
+export const strokeAt = (strokes, worldPt, tolerance) => {
+  const ordered = strokes.slice().sort((a, b) => (b.seq ?? 0) - (a.seq ?? 0))
+  return ordered.find(stroke => hitTestStroke(stroke, worldPt, tolerance)) || null
+}
+
+export const strokesInRect = (strokes, rect) =>
+  strokes.filter(stroke => {
+    if (!isSelectable(stroke)) return false
+    const b = strokeBounds(stroke)
+    return b && b.minX >= rect.minX && b.maxX <= rect.maxX && b.minY >= rect.minY && b.maxY <= rect.maxY
+  })
+
+export const rectFromPoints = (a, b) => ({
+  minX: Math.min(a.x, b.x),
+  minY: Math.min(a.y, b.y),
+  maxX: Math.max(a.x, b.x),
+  maxY: Math.max(a.y, b.y)
+})
+
+export const selectionBounds = strokes => strokes.reduce((acc, stroke) => unionBounds(acc, strokeBounds(stroke)), null)
+
+export const translateStroke = (stroke, dx, dy) => ({
+  ...stroke,
+  points: stroke.points.map(p => ({ ...p, x: p.x + dx, y: p.y + dy }))
+})
+
+// Scales geometry about `anchor`; images scale their box and text its size.
+export const scaleStroke = (stroke, anchor, sx, sy) => {
+  const next = {
+    ...stroke,
+    points: stroke.points.map(p => ({ ...p, x: anchor.x + (p.x - anchor.x) * sx, y: anchor.y + (p.y - anchor.y) * sy }))
+  }
+  if (stroke.tool === 'image') {
+    next.width = Math.max(4, (stroke.width || 180) * Math.abs(sx))
+    next.height = Math.max(4, (stroke.height || 180) * Math.abs(sy))
+    // The image anchor is its top-left corner, which flips when scaled through the anchor.
+    const p = next.points[next.points.length - 1]
+    next.points = [{ ...p, x: sx < 0 ? p.x - next.width : p.x, y: sy < 0 ? p.y - next.height : p.y }]
+  }
+  if (stroke.tool === 'text') {
+    const factor = Math.sqrt(Math.abs(sx * sy))
+    next.size = Math.max(1, stroke.size * factor)
+    if (stroke.boxWidth) next.boxWidth = Math.max(16, stroke.boxWidth * factor)
+  }
+  return next
+}
+
+export const rotateStroke = (stroke, pivot, angle) => {
+  const center = strokeCenter(stroke)
+  if (!center) return stroke
+  const moved = rotatePoint(center, pivot, angle)
+  return {
+    ...translateStroke(stroke, moved.x - center.x, moved.y - center.y),
+    rotation: (stroke.rotation || 0) + angle
+  }
+}
+
+const textFields = stroke => ({
+  text: stroke.text,
+  fontFamily: stroke.fontFamily,
+  fontWeight: stroke.fontWeight,
+  align: stroke.align,
+  boxWidth: stroke.boxWidth,
+  highlight: stroke.highlight ?? null
+})
+
+// Moving, scaling or rotating commits a `transform` record: like an erasure it has no points of
+// its own. `changes` holds the new geometry of every stroke it moved (`targets`), which replaces
+// theirs while the record stands, so undoing it puts them back. Text keeps its own `size` and
+// `boxWidth`, which a later edit may change; a change scales them by `scale` instead.
+export const isTransform = stroke => stroke.tool === 'transform'
+
+// `base` is the stroke as committed, before any transform.
+export const transformChange = (stroke, base = stroke) => ({
+  id: stroke.id,
+  points: stroke.points,
+  rotation: stroke.rotation || 0,
+  width: stroke.width,
+  height: stroke.height,
+  ...(stroke.tool === 'text' && { scale: stroke.size / base.size })
+})
+
+const textScale = (stroke, scale) => ({
+  size: stroke.size * scale,
+  ...(stroke.boxWidth && { boxWidth: stroke.boxWidth * scale })
+})
+
+// Drops transform records after applying them oldest first; queued ones (no `seq`) come last.
+export const applyTransforms = strokes => {
+  const records = strokes.filter(isTransform)
+  if (!records.length) return strokes
+  const changes = new Map()
+  records
+    .slice()
+    .sort(bySeq)
+    .forEach(record => (record.changes || []).forEach(change => changes.set(change.id, { ...changes.get(change.id), ...change })))
+  return strokes
+    .filter(stroke => !isTransform(stroke))
+    .map(stroke => {
+      if (!changes.has(stroke.id)) return stroke
+      const { scale, ...geometry } = changes.get(stroke.id)
+      return { ...stroke, ...geometry, ...(scale && textScale(stroke, scale)) }
+    })
+}
+
+// Fields a `stroke:update` carries: the text and its style. Geometry only changes through
+// transform records, so an edit never undoes a move and undoing a move keeps the edit.
+export const updatePayload = stroke => ({
+  id: stroke.id,
+  ...(stroke.tool === 'text' ? textFields(stroke) : {}),
+  ...(stroke.tool === 'sticky' ? { ...textFields(stroke), fill: stroke.fill } : {})
+})
@@ -0,0 +1,265 @@
+import { blobToDataUrl, loadAsset } from './assets.js'
+import { FILL_MODES, normalizeStroke } from './geometry.js'
+import { TEXT_ALIGNS } from './text.js'
+import { HEAD_STYLES, MAX_SIDES, MIN_SIDES } from './shapes.js'
+
+export const SESSION_FORMAT = 'rtc-canvas-session'
+export const SESSION_VERSION = 4
+
+export const STROKE_TOOLS = [
+  'pen',
+  'eraser',
+  'line',
+  'rect',
+  'ellipse',
+  'arrow',
+  'connector',
+  'polygon',
+  'star',
+  'sticky',
+  'text',
+  'image',
+  'fill'
+]
+
+// Fields copied from an imported stroke; anything else in the file is ignored.
+const STROKE_FIELDS = [
+  'id',
+  'tool',
+  'color',
+  'size',
+  'points',
+  'text',
+  'src',
+  'asset',
+  'width',
+  'height',
+  'rotation',
+  'space',
+  'createdAt',
+  'fontFamily',
+  'fontWeight',
+  'align',
+  'boxWidth',
+  'highlight',
+  'opacity',
+  'fill',
+  'fillMode',
+  'rings',
+  'startHead',
+  'endHead',
+  'rounded',
+  'sides',
+  'startId',
+  'endId'
+]
+
+// Comment threads and chat messages travel with the board since version 4.
+const POST_FIELDS = ['id', 'userId', 'name', 'color', 'text', 'createdAt']
+const COMMENT_FIELDS = [...POST_FIELDS, 'x', 'y', 'strokeId', 'space', 'resolved', 'replies']
+
+const MAX_REPORTED_ERRORS = 8
+
+export class SessionImportError extends Error {
+  constructor(message, details = []) {
+    super(message)
+    this.name = 'SessionImportError'
+    this.details = details
+  }
+}
+
+// Image bytes referenced by the strokes travel along as data URLs under `assets`, keyed by id.
+export const createSession = async (strokes, room, { comments = [], messages = [] } = {}) => {
+  const ids = [...new Set(strokes.filter(s => s.tool === 'image' && s.asset).map(s => s.asset))]
+  const assets = {}
+  await Promise.all(
+    ids.map(async id => {
+      const blob = await loadAsset(id)
+      if (blob) assets[id] = await blobToDataUrl(blob)
+    })
+  )
+  return {
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    room,
+    exportedAt: new Date().toISOString(),
+    strokes: strokes.map(stroke => ({
+      ...stroke,
+      points: stroke.points.map(p => ({ ...p }))
+    })),
+    assets,
+    comments: comments.map(thread => ({ ...thread, replies: thread.replies.map(reply => ({ ...reply })) })),
+    messages: messages.map(message => ({ ...message }))
+  }
+}
+
+const isFiniteNumber = value => typeof value === 'number' && Number.isFinite(value)
+
+const validateStroke = (stroke, path) => {
+  const errors = []
+  if (!stroke || typeof stroke !== 'object' || Array.isArray(stroke)) return [`${path} is not an object`]
+  if (!STROKE_TOOLS.includes(stroke.tool)) errors.push(`${path}.tool "${stroke.tool}" is not a known tool`)
+  if (stroke.id !== undefined && typeof stroke.id !== 'string') errors.push(`${path}.id must be a string`)
+  if (stroke.tool !== 'eraser' && typeof stroke.color !== 'string') errors.push(`${path}.color must be a string`)
+  if (!isFiniteNumber(stroke.size) || stroke.size <= 0) errors.push(`${path}.size must be a positive number`)
+  if (!Array.isArray(stroke.points) || !stroke.points.length) {
+    errors.push(`${path}.points must be a non-empty array`)
+  } else {
+    const bad = stroke.points.findIndex(p => !p || !isFiniteNumber(p.x) || !isFiniteNumber(p.y))
+    if (bad !== -1) errors.push(`${path}.points[${bad}] needs numeric x and y`)
+    const badPressure = stroke.points.findIndex(p => p && p.p !== undefined && !(isFiniteNumber(p.p) && p.p >= 0 && p.p <= 1))
+    if (badPressure !== -1) errors.push(`${path}.points[${badPressure}].p must be a pressure between 0 and 1`)
+  }
+  if ((stroke.tool === 'text' || (stroke.tool === 'sticky' && stroke.text !== undefined)) && typeof stroke.text !== 'string') errors.push(`${path}.text must be a string`)
+  if (stroke.tool === 'image' && typeof stroke.src !== 'string' && typeof stroke.asset !== 'string') {
+    errors.push(`${path} needs an asset id or a src`)
+  }
+  if (stroke.tool === 'text' && stroke.align !== undefined && !TEXT_ALIGNS.includes(stroke.align)) {
+    errors.push(`${path}.align must be one of ${TEXT_ALIGNS.join(', ')}`)
+  }
+  if (stroke.boxWidth !== undefined && !(isFiniteNumber(stroke.boxWidth) && stroke.boxWidth > 0)) {
+    errors.push(`${path}.boxWidth must be a positive number`)
+  }
+  if (stroke.fillMode !== undefined && !FILL_MODES.includes(stroke.fillMode)) {
+    errors.push(`${path}.fillMode must be one of ${FILL_MODES.join(', ')}`)
+  }
+  if (stroke.fill !== undefined && typeof stroke.fill !== 'string') errors.push(`${path}.fill must be a color string`)
+  if (stroke.tool === 'fill' && stroke.rings !== undefined) {
+    const total = Array.isArray(stroke.rings) ? stroke.rings.reduce((sum, n) => sum + (Number.isInteger(n) && n > 0 ? n : NaN), 0) : NaN
+    if (total !== stroke.points?.length) errors.push(`${path}.rings must be ring lengths adding up to the number of points`)
+  }
+  ;['startHead', 'endHead'].forEach(field => {
+    if (stroke[field] !== undefined && !HEAD_STYLES.includes(stroke[field])) {
+      errors.push(`${path}.${field} must be one of ${HEAD_STYLES.join(', ')}`)
+    }
+  })
+  if (stroke.sides !== undefined && !(Number.isInteger(stroke.sides) && stroke.sides >= MIN_SIDES && stroke.sides <= MAX_SIDES)) {
+    errors.push(`${path}.sides must be a whole number from ${MIN_SIDES} to ${MAX_SIDES}`)
+  }
+  if (stroke.opacity !== undefined && !(isFiniteNumber(stroke.opacity) && stroke.opacity > 0 && stroke.opacity <= 1)) {
+    errors.push(`${path}.opacity must be between 0 and 1`)
+  }
+  if (stroke.rotation !== undefined && !isFiniteNumber(stroke.rotation)) errors.push(`${path}.rotation must be a number`)
+  return errors
+}
+
+const validatePost = (post, path) => {
+  if (!post || typeof post !== 'object' || Array.isArray(post)) return [`${path} is not an object`]
+  const errors = []
+  if (typeof post.id !== 'string') errors.push(`${path}.id must be a string`)
+  if (typeof post.text !== 'string') errors.push(`${path}.text must be a string`)
+  if (post.createdAt !== undefined && !isFiniteNumber(post.createdAt)) errors.push(`${path}.createdAt must be a time stamp`)
+  return errors
+}
+
+const validateComment = (thread, path) => {
+  const errors = validatePost(thread, path)
+  if (!thread || typeof thread !== 'object' || Array.isArray(thread)) return errors
+  if (!isFiniteNumber(thread.x) || !isFiniteNumber(thread.y)) errors.push(`${path} needs numeric x and y`)
+  if (thread.strokeId !== undefined && typeof thread.strokeId !== 'string') errors.push(`${path}.strokeId must be a string`)
+  if (thread.replies !== undefined) {
+    if (!Array.isArray(thread.replies)) errors.push(`${path}.replies must be an array`)
+    else errors.push(...thread.replies.flatMap((reply, i) => validatePost(reply, `${path}.replies[${i}]`)))
+  }
+  return errors
+}
+
+const validateList = (list, name, validate) => {
+  if (list === undefined) return []
+  if (!Array.isArray(list)) return [`${name} must be an array`]
+  return list.flatMap((item, i) => validate(item, `${name}[${i}]`))
+}
+
+const pickFrom = fields => item =>
+  fields.reduce((acc, field) => {
+    if (item[field] !== undefined) acc[field] = item[field]
+    return acc
+  }, {})
+
+const pickFields = pickFrom(STROKE_FIELDS)
+const pickPost = pickFrom(POST_FIELDS)
+const pickComment = thread => {
+  const picked = pickFrom(COMMENT_FIELDS)(thread)
+  return { ...picked, resolved: Boolean(picked.resolved), replies: (picked.replies || []).map(pickPost) }
+}
+
+// Version 1 is the original `{ strokes }` export: no header, points as 0..1 element fractions.
+// Version 2 inlined images as `src` data URLs; those strokes still load as they are.
+const migrations = {
+  1: session => ({
+    ...session,
+    format: SESSION_FORMAT,
+    version: 2,
+    strokes: session.strokes.map(normalizeStroke)
+  }),
+  2: session => ({ ...session, version: 3, assets: {} }),
+  3: session => ({ ...session, version: 4, comments: [], messages: [] })
+}
+
+const validateAssets = (assets = {}, strokes) => {
+  if (!assets || typeof assets !== 'object' || Array.isArray(assets)) return ['assets must be an object']
+  const errors = Object.entries(assets)
+    .filter(([, value]) => typeof value !== 'string' || !value.startsWith('data:'))
+    .map(([id]) => `assets["${id}"] must be a data URL`)
+  strokes.forEach((stroke, i) => {
+    if (stroke?.tool === 'image' && typeof stroke.asset === 'string' && !(stroke.asset in assets)) {
+      errors.push(`strokes[${i}] uses asset "${stroke.asset}", which is not in the file`)
+    }
+  })
+  return errors
+}
+
+const detectVersion = data => {
+  if (data.format === undefined && data.version === undefined) return 1
+  if (data.format !== SESSION_FORMAT) throw new SessionImportError('This file is not a canvas session export')
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new SessionImportError(`Unsupported session version: ${data.version}`)
+  }
+  if (data.version > SESSION_VERSION) {
+    throw new SessionImportError(`Session version ${data.version} was created by a newer app; this app reads up to ${SESSION_VERSION}`)
+  }
+  return data.version
+}
+
+// Parses, validates and migrates a session file. Throws SessionImportError with per-field details.
+export const parseSession = text => {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch (err) {
+    throw new SessionImportError('The file is not valid JSON', [err.message])
+  }
+  if (!data || typeof data !== 'object' || !Array.isArray(data.strokes)) {
+    throw new SessionImportError('The file has no "strokes" list')
+  }
+
+  const version = detectVersion(data)
+  const errors = [
+    ...data.strokes.flatMap((stroke, i) => validateStroke(stroke, `strokes[${i}]`)),
+    ...validateAssets(data.assets, data.strokes),
+    ...validateList(data.comments, 'comments', validateComment),
+    ...validateList(data.messages, 'messages', validatePost)
+  ]
+  if (errors.length) {
+    const extra = errors.length > MAX_REPORTED_ERRORS ? [`…and ${errors.length - MAX_REPORTED_ERRORS} more`] : []
+    throw new SessionImportError(
+      `${errors.length} problem${errors.length === 1 ? '' : 's'} found in the session file`,
+      [...errors.slice(0, MAX_REPORTED_ERRORS), ...extra]
+    )
+  }
+
+  let session = { ...data, strokes: data.strokes.map(pickFields) }
+  for (let v = version; v < SESSION_VERSION; v += 1) {
+    session = migrations[v](session)
+  }
+
+  return {
+    version,
+    migrated: version !== SESSION_VERSION,
+    room: typeof data.room === 'string' ? data.room : null,
+    strokes: session.strokes.map(normalizeStroke),
+    assets: session.assets || {},
+    comments: (session.comments || []).map(pickComment),
+    messages: (session.messages || []).map(pickPost)
+  }
+}
@@ -0,0 +1,140 @@
+import { arrowHeadLength, boundsCenter, strokeBounds } from './geometry.js'
+import { quantizePoint } from './pointCodec.js'
+
+// Two-point shapes: dragged out from the first point to the last, streamed like a line.
+export const SHAPE_TOOLS = ['line', 'rect', 'ellipse', 'arrow', 'connector', 'polygon', 'star']
+
+export const isShapeTool = tool => SHAPE_TOOLS.includes(tool)
+
+export const isArrow = stroke => stroke.tool === 'arrow' || stroke.tool === 'connector'
+
+export const HEAD_STYLES = ['none', 'open', 'triangle', 'dot']
+
+export const headStyles = stroke => ({
+  start: stroke.startHead || 'none',
+  end: stroke.endHead || (isArrow(stroke) ? 'triangle' : 'none')
+})
+
+export const MIN_SIDES = 3
+export const MAX_SIDES = 12
+// Inner radius of a star relative to its outer radius.
+const STAR_INNER = 0.45
+
+// Corners of a regular polygon (or star with `sides` points) stretched to fill the box between
+// `a` and `b`, so a triangle touches all four edges of what was dragged out.
+export const shapeVertices = (stroke, a, b) => {
+  const sides = Math.min(MAX_SIDES, Math.max(MIN_SIDES, Math.round(stroke.sides || (stroke.tool === 'star' ? 5 : 3))))
+  const star = stroke.tool === 'star'
+  const count = star ? sides * 2 : sides
+  const unit = Array.from({ length: count }, (_, i) => {
+    const angle = -Math.PI / 2 + (i * Math.PI * 2) / count
+    const r = star && i % 2 ? STAR_INNER : 1
+    return { x: Math.cos(angle) * r, y: Math.sin(angle) * r }
+  })
+  const minX = Math.min(...unit.map(p => p.x))
+  const maxX = Math.max(...unit.map(p => p.x))
+  const minY = Math.min(...unit.map(p => p.y))
+  const maxY = Math.max(...unit.map(p => p.y))
+  const left = Math.min(a.x, b.x)
+  const top = Math.min(a.y, b.y)
+  const width = Math.abs(b.x - a.x)
+  const height = Math.abs(b.y - a.y)
+  return unit.map(p => ({
+    x: left + ((p.x - minX) / (maxX - minX)) * width,
+    y: top + ((p.y - minY) / (maxY - minY)) * height
+  }))
+}
+
+// Corner radius of a rounded rectangle, proportional so it survives scaling.
+export const cornerRadius = (width, height) => Math.min(width, height) * 0.18
+
+// The shaft between `from` and `to`, shortened so it ends under its heads, and the heads to draw:
+// `{ style, points }` for open and triangle heads, `{ style, center, r }` for dots.
+export const arrowGeometry = (stroke, from, to, lineWidth) => {
+  const styles = headStyles(stroke)
+  const length = arrowHeadLength(lineWidth)
+  const dx = to.x - from.x
+  const dy = to.y - from.y
+  const distance = Math.hypot(dx, dy)
+  const angle = Math.atan2(dy, dx)
+  const ux = distance ? dx / distance : 0
+  const uy = distance ? dy / distance : 0
+  const inset = style => (style === 'triangle' ? length * 0.8 : style === 'dot' ? length / 3 : 0)
+  const head = (tip, direction, style) => {
+    if (style === 'none') return null
+    if (style === 'dot') return { style, center: tip, r: length / 3 }
+    const spread = Math.PI / 7
+    return {
+      style,
+      points: [
+        { x: tip.x - length * Math.cos(direction - spread), y: tip.y - length * Math.sin(direction - spread) },
+        tip,
+        { x: tip.x - length * Math.cos(direction + spread), y: tip.y - length * Math.sin(direction + spread) }
+      ]
+    }
+  }
+  const startInset = Math.min(inset(styles.start), distance / 2)
+  const endInset = Math.min(inset(styles.end), distance / 2)
+  return {
+    from: { x: from.x + ux * startInset, y: from.y + uy * startInset },
+    to: { x: to.x - ux * endInset, y: to.y - uy * endInset },
+    heads: [head(to, angle, styles.end), head(from, angle + Math.PI, styles.start)].filter(Boolean)
+  }
+}
+
+// Sticky notes: a colored box from the first point to the last with wrapped text inside.
+export const STICKY_COLORS = ['#fde68a', '#fbcfe8', '#bfdbfe', '#bbf7d0', '#fed7aa']
+export const STICKY_INK = '#1f2937'
+export const STICKY_PADDING = 12
+// Size of a note placed with a click, in screen pixels.
+export const STICKY_SIZE = 180
+
+export const stickyBox = stroke => {
+  const a = stroke.points[0]
+  const b = stroke.points[stroke.points.length - 1]
+  return { x: Math.min(a.x, b.x), y: Math.min(a.y, b.y), width: Math.abs(b.x - a.x), height: Math.abs(b.y - a.y) }
+}
+
+// The note's text as a text stroke wrapped to the inside of the box.
+export const stickyText = (stroke, box) => ({
+  ...stroke,
+  tool: 'text',
+  boxWidth: Math.max(1, box.width - STICKY_PADDING * 2),
+  highlight: null
+})
+
+// Connectors are arrows whose ends can be attached (`startId`, `endId`) to these shapes.
+export const ATTACHABLE_TOOLS = ['rect', 'ellipse', 'polygon', 'star', 'sticky', 'text', 'image']
+
+export const isAttachable = stroke => ATTACHABLE_TOOLS.includes(stroke?.tool)
+
+// Space left between a shape and the connector end attached to it.
+const CONNECTOR_GAP = 6
+
+// Where the ray from the centre of `bounds` towards `toward` leaves the box.
+const edgePoint = (bounds, toward) => {
+  const center = boundsCenter(bounds)
+  const dx = toward.x - center.x
+  const dy = toward.y - center.y
+  if (!dx && !dy) return center
+  const halfW = (bounds.maxX - bounds.minX) / 2 + CONNECTOR_GAP
+  const halfH = (bounds.maxY - bounds.minY) / 2 + CONNECTOR_GAP
+  const t = Math.min(dx ? halfW / Math.abs(dx) : Infinity, dy ? halfH / Math.abs(dy) : Infinity)
+  return { x: center.x + dx * t, y: center.y + dy * t }
+}
+
+// Places each attached end on the edge of its shape, facing the other end. `lookup(id)` returns
+// the current version of a stroke (e.g. a draft being dragged); missing shapes leave the end as is.
+export const routeConnector = (connector, lookup) => {
+  const pts = connector.points
+  const source = connector.startId ? lookup(connector.startId) : null
+  const target = connector.endId ? lookup(connector.endId) : null
+  if (!source && !target) return connector
+  const sourceBounds = source && strokeBounds(source)
+  const targetBounds = target && strokeBounds(target)
+  const start = sourceBounds ? edgePoint(sourceBounds, targetBounds ? boundsCenter(targetBounds) : pts[pts.length - 1]) : pts[0]
+  const end = targetBounds ? edgePoint(targetBounds, sourceBounds ? boundsCenter(sourceBounds) : pts[0]) : pts[pts.length - 1]
+  return { ...connector, points: [quantizePoint(start), quantizePoint(end)] }
+}
+
+export const attachedTo = (stroke, ids) => stroke.tool === 'connector' && (ids.has(stroke.startId) || ids.has(stroke.endId))
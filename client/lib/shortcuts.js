@@ -0,0 +1,152 @@
+// Shortcuts are stored as combo strings such as `Mod+Shift+Z`, where `Mod` is Cmd on macOS and
+// Ctrl elsewhere. An action can have several combos; an empty list leaves it palette-only.
+const KEYMAP_STORAGE_KEY = 'rtc-canvas-keymap'
+
+export const DEFAULT_KEYMAP = {
+  'tool.select': ['1', 'V'],
+  'tool.pen': ['2', 'B'],
+  'tool.eraser': ['3', 'E'],
+  'tool.line': ['4', 'L'],
+  'tool.rect': ['5', 'R'],
+  'tool.ellipse': ['6', 'O'],
+  'tool.text': ['7', 'T'],
+  'tool.image': ['8', 'I'],
+  'tool.bucket': ['9', 'G'],
+  'tool.arrow': ['A'],
+  'tool.connector': ['C'],
+  'tool.polygon': ['P'],
+  'tool.star': ['S'],
+  'tool.sticky': ['N'],
+  'tool.comment': ['M'],
+  'tool.laser': ['K'],
+  'tool.ink': ['D'],
+  'eraser.toggleMode': ['Shift+E'],
+  'input.stylusOnly': [],
+  'shape.cycleFill': ['Shift+F'],
+  'grid.cycleStyle': ['Shift+G'],
+  'grid.snap': ['Shift+S'],
+  'grid.guides': [],
+  'size.decrease': ['['],
+  'size.increase': [']'],
+  'color.previous': [','],
+  'color.next': ['.'],
+  'color.eyedropper': ['Shift+I'],
+  'color.addSwatch': [],
+  'opacity.decrease': ['Shift+['],
+  'opacity.increase': ['Shift+]'],
+  'history.undo': ['Mod+Z'],
+  'history.redo': ['Mod+Shift+Z', 'Mod+Y'],
+  'history.toggleScope': [],
+  'board.clear': ['Mod+Shift+Backspace'],
+  'board.timelapse': [],
+  'export.png': ['Mod+Shift+E'],
+  'export.svg': [],
+  'export.pdf': [],
+  'export.json': ['Mod+S'],
+  'session.import': ['Mod+O'],
+  'image.pick': [],
+  'room.join': ['Mod+J'],
+  'room.copyLink': [],
+  'chat.toggle': [],
+  'theme.toggle': ['Mod+Shift+L'],
+  'palette.open': ['Mod+K']
+}
+
+const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta']
+
+const isMac = () => typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent)
+
+// Keys are read from `code` where it names a physical key, so `Shift+[` stays `[` on every layout
+// that has the key and letters ignore Caps Lock.
+const CODE_KEYS = {
+  BracketLeft: '[',
+  BracketRight: ']',
+  Comma: ',',
+  Period: '.',
+  Slash: '/',
+  Backslash: '\\',
+  Semicolon: ';',
+  Quote: "'",
+  Minus: '-',
+  Equal: '=',
+  Backquote: '`'
+}
+
+const keyName = evt => {
+  const code = evt.code || ''
+  if (/^Key[A-Z]$/.test(code)) return code.slice(3)
+  if (/^Digit\d$/.test(code)) return code.slice(5)
+  if (CODE_KEYS[code]) return CODE_KEYS[code]
+  if (evt.key === ' ') return 'Space'
+  return evt.key.length === 1 ? evt.key.toUpperCase() : evt.key
+}
+
+// Combo string for a keydown event, or null for a bare modifier press.
+export const comboFromEvent = evt => {
+  if (!evt.key || MODIFIER_KEYS.includes(evt.key)) return null
+  const parts = []
+  if (isMac() ? evt.metaKey : evt.ctrlKey) parts.push('Mod')
+  if (isMac() && evt.ctrlKey) parts.push('Ctrl')
+  if (evt.altKey) parts.push('Alt')
+  if (evt.shiftKey) parts.push('Shift')
+  parts.push(keyName(evt))
+  return parts.join('+')
+}
+
+export const formatCombo = combo =>
+  combo
+    .split('+')
+    .map(part => {
+      if (part === 'Mod') return isMac() ? '⌘' : 'Ctrl'
+      if (part === 'Alt') return isMac() ? '⌥' : 'Alt'
+      if (part === 'Shift') return isMac() ? '⇧' : 'Shift'
+      return part
+    })
+    .join(isMac() ? '' : '+')
+
+// Only overrides are stored, so actions added later keep their default keys.
+export const loadKeymap = () => {
+  const keymap = { ...DEFAULT_KEYMAP }
+  if (typeof window === 'undefined') return keymap
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(KEYMAP_STORAGE_KEY) || '{}')
+    Object.entries(stored).forEach(([id, combos]) => {
+      if (id in DEFAULT_KEYMAP && Array.isArray(combos)) keymap[id] = combos.filter(combo => typeof combo === 'string')
+    })
+  } catch {
+    // A corrupt entry falls back to the defaults.
+  }
+  return keymap
+}
+
+export const saveKeymap = keymap => {
+  if (typeof window === 'undefined') return
+  const overrides = Object.fromEntries(
+    Object.entries(keymap).filter(([id, combos]) => combos.join('|') !== (DEFAULT_KEYMAP[id] || []).join('|'))
+  )
+  window.localStorage.setItem(KEYMAP_STORAGE_KEY, JSON.stringify(overrides))
+}
+
+// Binds `combo` to `id` alone: any other action that had it loses it. A null combo unbinds `id`.
+export const rebind = (keymap, id, combo) =>
+  Object.fromEntries(
+    Object.entries(keymap).map(([actionId, combos]) => [
+      actionId,
+      actionId === id ? (combo ? [combo] : []) : combos.filter(existing => existing !== combo)
+    ])
+  )
+
+// Restores the default combos of `id`, taking them back from any action they were moved to.
+export const resetBinding = (keymap, id) => {
+  const defaults = DEFAULT_KEYMAP[id] || []
+  const next = Object.fromEntries(
+    Object.entries(keymap).map(([actionId, combos]) => [actionId, combos.filter(combo => !defaults.includes(combo))])
+  )
+  return { ...next, [id]: defaults }
+}
+
+export const actionForCombo = (keymap, combo) =>
+  Object.keys(keymap).find(id => keymap[id].includes(combo)) || null
+
+export const isEditableTarget = target =>
+  ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName) || Boolean(target?.isContentEditable)
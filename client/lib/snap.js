@@ -0,0 +1,143 @@
+import { boundsCenter, strokeBounds } from './geometry.js'
+import { quantizePoint } from './pointCodec.js'
+import { isShapeTool } from './shapes.js'
+
+// Grid spacing in world units. Snapped points land on it; the drawn grid coarsens when zoomed out.
+export const GRID_SIZE = 24
+export const GRID_STYLES = ['none', 'lines', 'dots']
+// Smallest on-screen spacing the background grid is drawn at, in CSS pixels.
+const MIN_GRID_PX = 12
+const GRID_STORAGE_KEY = 'rtc-canvas-grid'
+
+export const DEFAULT_GRID = { style: 'none', snap: false, guides: true }
+
+export const loadGrid = () => {
+  if (typeof window === 'undefined') return DEFAULT_GRID
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(GRID_STORAGE_KEY) || '{}')
+    return {
+      style: GRID_STYLES.includes(stored.style) ? stored.style : DEFAULT_GRID.style,
+      snap: typeof stored.snap === 'boolean' ? stored.snap : DEFAULT_GRID.snap,
+      guides: typeof stored.guides === 'boolean' ? stored.guides : DEFAULT_GRID.guides
+    }
+  } catch {
+    return DEFAULT_GRID
+  }
+}
+
+export const saveGrid = grid => {
+  if (typeof window !== 'undefined') window.localStorage.setItem(GRID_STORAGE_KEY, JSON.stringify(grid))
+}
+
+// CSS background for a layer behind the board that lines up with world coordinates under `camera`.
+export const gridBackground = (style, camera) => {
+  let spacing = GRID_SIZE * camera.zoom
+  while (spacing < MIN_GRID_PX) spacing *= 4
+  const offset = world => -((((world * camera.zoom) % spacing) + spacing) % spacing)
+  // Dots sit on the grid intersections, so their tile is centred on them.
+  const shift = style === 'dots' ? spacing / 2 : 0
+  const position = `${offset(camera.x) - shift}px ${offset(camera.y) - shift}px`
+  const tile = `${spacing}px ${spacing}px`
+  if (style === 'dots') {
+    return {
+      backgroundImage: 'radial-gradient(circle, var(--grid-color) 1.2px, transparent 1.6px)',
+      backgroundSize: tile,
+      backgroundPosition: position
+    }
+  }
+  return {
+    backgroundImage:
+      'linear-gradient(to right, var(--grid-color) 1px, transparent 1px), linear-gradient(to bottom, var(--grid-color) 1px, transparent 1px)',
+    backgroundSize: `${tile}, ${tile}`,
+    backgroundPosition: `${position}, ${position}`
+  }
+}
+
+export const snapToGrid = pt => ({
+  ...pt,
+  x: Math.round(pt.x / GRID_SIZE) * GRID_SIZE,
+  y: Math.round(pt.y / GRID_SIZE) * GRID_SIZE
+})
+
+const LINE_TOOLS = ['line', 'arrow', 'connector']
+
+// Shift-drag: lines turn in 45° steps, boxes become squares (and so circles and regular shapes).
+export const constrainShape = (tool, origin, pt) => {
+  const dx = pt.x - origin.x
+  const dy = pt.y - origin.y
+  if (LINE_TOOLS.includes(tool)) {
+    const step = Math.PI / 4
+    const angle = Math.round(Math.atan2(dy, dx) / step) * step
+    const length = Math.hypot(dx, dy)
+    return { ...pt, x: origin.x + Math.cos(angle) * length, y: origin.y + Math.sin(angle) * length }
+  }
+  const side = Math.max(Math.abs(dx), Math.abs(dy))
+  return { ...pt, x: origin.x + Math.sign(dx || 1) * side, y: origin.y + Math.sign(dy || 1) * side }
+}
+
+// Unrotated shapes line up by their corner points, so outlines meet centre to centre; anything
+// else by its bounds.
+const alignmentBox = stroke => {
+  const pts = stroke.points || []
+  if (stroke.rotation || pts.length !== 2 || !(isShapeTool(stroke.tool) || stroke.tool === 'sticky')) return strokeBounds(stroke)
+  const [a, b] = pts
+  return { minX: Math.min(a.x, b.x), minY: Math.min(a.y, b.y), maxX: Math.max(a.x, b.x), maxY: Math.max(a.y, b.y) }
+}
+
+// Edges and centres of the strokes, per axis, that a point being placed can line up with.
+export const alignmentTargets = strokes =>
+  strokes.reduce(
+    (acc, stroke) => {
+      const bounds = alignmentBox(stroke)
+      if (!bounds) return acc
+      const center = boundsCenter(bounds)
+      acc.x.push(bounds.minX, center.x, bounds.maxX)
+      acc.y.push(bounds.minY, center.y, bounds.maxY)
+      return acc
+    },
+    { x: [], y: [] }
+  )
+
+const nearest = (values, value, tolerance) => {
+  let best = null
+  values.forEach(candidate => {
+    const distance = Math.abs(candidate - value)
+    if (distance <= tolerance && (best === null || distance < Math.abs(best - value))) best = candidate
+  })
+  return best
+}
+
+// Moves `pt` onto an edge or centre within `tolerance` on each axis. `guides` lists the lines it
+// snapped to as `{ axis, value }`, for drawing.
+export const alignPoint = (pt, targets, tolerance) => {
+  const x = nearest(targets.x, pt.x, tolerance)
+  const y = nearest(targets.y, pt.y, tolerance)
+  const guides = []
+  if (x !== null) guides.push({ axis: 'x', value: x })
+  if (y !== null) guides.push({ axis: 'y', value: y })
+  return { point: { ...pt, x: x ?? pt.x, y: y ?? pt.y }, guides }
+}
+
+// A point moved onto an alignment guide (`targets`), else onto the grid on the axes no guide claimed.
+export const snapPoint = (pt, { grid, targets, tolerance }) => {
+  const aligned = targets ? alignPoint(pt, targets, tolerance) : { point: pt, guides: [] }
+  if (!grid) return aligned
+  const snapped = snapToGrid(pt)
+  const claimed = axis => aligned.guides.some(guide => guide.axis === axis)
+  const point = { ...aligned.point, x: claimed('x') ? aligned.point.x : snapped.x, y: claimed('y') ? aligned.point.y : snapped.y }
+  return { point, guides: aligned.guides }
+}
+
+// The corners of a shape dragged from `origin` to `pt`: the corner is snapped, then Shift
+// (`constrain`) and Alt (`fromCenter`) are applied. Both corners go into the stroke, so the
+// preview and what is sent are the same points.
+export const shapeCorners = (tool, origin, pt, options) => {
+  let { point: end, guides } = snapPoint(pt, options)
+  if (options.constrain) {
+    end = constrainShape(tool, origin, end)
+    // A constrained corner only keeps the guides it still sits on.
+    guides = guides.filter(guide => Math.abs(end[guide.axis] - guide.value) < 0.5)
+  }
+  const start = options.fromCenter ? { ...origin, x: origin.x * 2 - end.x, y: origin.y * 2 - end.y } : origin
+  return { points: [quantizePoint(start), quantizePoint(end)], guides }
+}
@@ -0,0 +1,41 @@
+const storageKey = room => `rtc-canvas-queue:${room}`
+
+const runtimeFields = ['sent', 'pending']
+
+const serialize = entry => {
+  const copy = { ...entry, points: (entry.points || []).map(p => ({ ...p })) }
+  runtimeFields.forEach(field => delete copy[field])
+  return copy
+}
+
+export const loadQueue = room => {
+  if (typeof window === 'undefined') return []
+  try {
+    const raw = window.localStorage.getItem(storageKey(room))
+    const parsed = raw ? JSON.parse(raw) : []
+    // A stroke the page was closed in the middle of can never be finished, so it is dropped.
+    return Array.isArray(parsed) ? parsed.filter(entry => entry?.ended).map(entry => ({ ...entry, sent: false })) : []
+  } catch (err) {
+    // An unreadable queue is dropped.
+    return []
+  }
+}
+
+export const saveQueue = (room, entries) => {
+  if (typeof window === 'undefined') return
+  try {
+    if (!entries.length) {
+      window.localStorage.removeItem(storageKey(room))
+      return
+    }
+    window.localStorage.setItem(storageKey(room), JSON.stringify(entries.map(serialize)))
+  } catch (err) {
+    // Quota errors (large images) keep the queue in memory only.
+  }
+}
+
+// Everything except the point stream and local bookkeeping goes into `stroke:start`.
+export const startPayload = entry => {
+  const { id, userId, points, ended, sent, pending, ...meta } = entry
+  return { strokeId: id, ...meta }
+}
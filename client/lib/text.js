@@ -0,0 +1,87 @@
+export const FONT_FAMILIES = {
+  sans: '"Inter", system-ui, sans-serif',
+  serif: 'Georgia, "Times New Roman", serif',
+  mono: '"JetBrains Mono", ui-monospace, monospace',
+  hand: '"Comic Sans MS", "Segoe Print", cursive'
+}
+
+export const TEXT_ALIGNS = ['left', 'center', 'right']
+
+// Width new text boxes wrap at, in world units.
+export const DEFAULT_TEXT_WIDTH = 320
+
+export const LINE_HEIGHT = 1.25
+
+// Space between the text and the edge of its highlight.
+export const TEXT_PADDING = 4
+
+export const textFontSize = stroke => Math.max(14, stroke.size * 4)
+
+export const textFont = stroke =>
+  `${stroke.fontWeight === 'bold' ? 'bold' : 'normal'} ${textFontSize(stroke)}px ${FONT_FAMILIES[stroke.fontFamily] || FONT_FAMILIES.sans}`
+
+let measureCtx = null
+
+// Canvas text metrics where there is a DOM; a rough per-character estimate elsewhere.
+const measurer = font => {
+  if (!measureCtx && typeof document !== 'undefined') {
+    measureCtx = document.createElement('canvas').getContext('2d')
+  }
+  if (!measureCtx) {
+    const size = parseFloat(font.split(' ')[1]) || 14
+    return text => text.length * size * 0.6
+  }
+  measureCtx.font = font
+  return text => measureCtx.measureText(text).width
+}
+
+// Greedy word wrap; words keep their trailing space, and a word wider than the box is broken by character.
+const wrapLine = (line, maxWidth, measure) => {
+  if (!maxWidth || measure(line) <= maxWidth) return [line]
+  const lines = []
+  let current = ''
+  line.split(/(?<=\s)/).forEach(word => {
+    if (current && measure((current + word).trimEnd()) > maxWidth) {
+      lines.push(current.trimEnd())
+      current = ''
+    }
+    current += word
+    while (current.length > 1 && measure(current.trimEnd()) > maxWidth) {
+      let cut = current.length - 1
+      while (cut > 1 && measure(current.slice(0, cut)) > maxWidth) cut -= 1
+      lines.push(current.slice(0, cut))
+      current = current.slice(cut)
+    }
+  })
+  lines.push(current.trimEnd())
+  return lines
+}
+
+// Lines (with measured widths) and box size of a text stroke, relative to its anchor.
+// Strokes without a `boxWidth` (older ones) do not wrap and are as wide as their longest line.
+export const layoutText = stroke => {
+  const font = textFont(stroke)
+  const measure = measurer(font)
+  const fontSize = textFontSize(stroke)
+  const lines = String(stroke.text || '')
+    .split('\n')
+    .flatMap(line => wrapLine(line, stroke.boxWidth, measure))
+    .map(text => ({ text, width: measure(text) }))
+  const width = stroke.boxWidth || Math.max(0, ...lines.map(line => line.width))
+  return {
+    font,
+    lines,
+    lineHeight: fontSize * LINE_HEIGHT,
+    // Half the extra line height sits above each line, as it does in the editing textarea.
+    leading: (fontSize * (LINE_HEIGHT - 1)) / 2,
+    width,
+    height: Math.max(1, lines.length) * fontSize * LINE_HEIGHT
+  }
+}
+
+// Horizontal offset of a line inside the box for the stroke's alignment.
+export const lineOffset = (stroke, layout, lineWidth) => {
+  if (stroke.align === 'center') return (layout.width - lineWidth) / 2
+  if (stroke.align === 'right') return layout.width - lineWidth
+  return 0
+}
@@ -0,0 +1,183 @@
+import { GIFEncoder, applyPalette, quantize } from 'gifenc'
+import { applyCamera } from './camera.js'
+import { exportBounds, preloadImages } from './exporters.js'
+import { bySeq, drawStroke } from './render.js'
+import { isEditRecord, resolveEdits } from './erase.js'
+
+// Pen and eraser strokes replay point by point; everything else appears in a single step. The
+// timeline holds strokes as drawn plus the erasure and transform records that came later, so
+// erased strokes vanish and moved ones move at the point in the history where that happened.
+const isStepwise = stroke => stroke.tool === 'pen' || stroke.tool === 'eraser'
+
+export const buildTimeline = strokes => {
+  let total = 0
+  const entries = strokes
+    .slice()
+    .sort(bySeq)
+    .map(stroke => {
+      const steps = isStepwise(stroke) ? Math.max(1, stroke.points.length) : 1
+      const entry = { stroke, start: total, steps }
+      total += steps
+      return entry
+    })
+  return { entries, total }
+}
+
+// At 1× a whole board plays in about this long, however many points it has.
+export const PLAYBACK_SECONDS = 20
+
+export const stepsPerSecond = timeline => Math.max(30, timeline.total / PLAYBACK_SECONDS)
+
+// Paints the board as it stood after `step` steps onto `target`, which stays transparent so
+// callers can put a background under it. Finished strokes are kept in an offscreen cache, so
+// playing forward only draws what is new.
+export const createTimelapseRenderer = ({ target, dpr, imageCache }) => {
+  const cache = document.createElement('canvas')
+  const cacheCtx = cache.getContext('2d')
+  const ctx = target.getContext('2d')
+  let timeline = { entries: [], total: 0 }
+  let camera = { x: 0, y: 0, zoom: 1 }
+  let cachedEntries = 0
+
+  const resetCache = () => {
+    cacheCtx.setTransform(1, 0, 0, 1, 0, 0)
+    cacheCtx.clearRect(0, 0, cache.width, cache.height)
+    cachedEntries = 0
+  }
+
+  return {
+    setScene: (nextTimeline, nextCamera, width, height) => {
+      timeline = nextTimeline
+      camera = nextCamera
+      ;[target, cache].forEach(canvas => {
+        canvas.width = Math.round(width * dpr)
+        canvas.height = Math.round(height * dpr)
+      })
+      resetCache()
+    },
+    render: step => {
+      const { entries } = timeline
+      let done = 0
+      while (done < entries.length && entries[done].start + entries[done].steps <= step) done += 1
+      // An erasure or transform changes strokes already in the cache, which is then redrawn.
+      if (done < cachedEntries || entries.slice(cachedEntries, done).some(entry => isEditRecord(entry.stroke))) resetCache()
+      applyCamera(cacheCtx, camera, dpr)
+      resolveEdits(entries.slice(cachedEntries, done).map(entry => entry.stroke)).forEach(stroke => {
+        drawStroke(cacheCtx, stroke, imageCache)
+      })
+      cachedEntries = done
+
+      ctx.setTransform(1, 0, 0, 1, 0, 0)
+      ctx.clearRect(0, 0, target.width, target.height)
+      ctx.drawImage(cache, 0, 0)
+      const partial = entries[done]
+      if (partial && partial.start < step) {
+        applyCamera(ctx, camera, dpr)
+        const shown = step - partial.start
+        drawStroke(ctx, { ...partial.stroke, points: partial.stroke.points.slice(0, shown) }, imageCache)
+      }
+    }
+  }
+}
+
+// Fits the board into a `maxSide` box for video output, covering strokes before and after they moved.
+const videoScene = (strokes, maxSide) => {
+  const bounds = exportBounds([...strokes.filter(stroke => !isEditRecord(stroke)), ...resolveEdits(strokes)])
+  if (!bounds) return null
+  const width = bounds.maxX - bounds.minX
+  const height = bounds.maxY - bounds.minY
+  const zoom = Math.min(1, maxSide / Math.max(width, height))
+  // Video encoders want even dimensions.
+  const even = n => Math.max(2, Math.round(n / 2) * 2)
+  return { camera: { x: bounds.minX, y: bounds.minY, zoom }, width: even(width * zoom), height: even(height * zoom) }
+}
+
+const composeFrame = (frame, ink, background) => {
+  const ctx = frame.getContext('2d')
+  ctx.fillStyle = background
+  ctx.fillRect(0, 0, frame.width, frame.height)
+  ctx.drawImage(ink, 0, 0)
+  return ctx
+}
+
+const prepareVideo = async ({ strokes, maxSide, imageCache }) => {
+  await preloadImages(strokes, imageCache)
+  const scene = videoScene(strokes, maxSide)
+  if (!scene) return null
+  const timeline = buildTimeline(strokes)
+  const ink = document.createElement('canvas')
+  const renderer = createTimelapseRenderer({ target: ink, dpr: 1, imageCache })
+  renderer.setScene(timeline, scene.camera, scene.width, scene.height)
+  const frame = document.createElement('canvas')
+  frame.width = ink.width
+  frame.height = ink.height
+  return { timeline, renderer, ink, frame }
+}
+
+const WEBM_FPS = 30
+const HOLD_LAST_FRAME_MS = 1000
+
+export const supportsWebm = () =>
+  typeof MediaRecorder !== 'undefined' && MediaRecorder.isTypeSupported?.('video/webm')
+
+// MediaRecorder captures in real time, so this takes as long as the video itself.
+export const recordWebm = async ({ strokes, speed, background, imageCache, onProgress }) => {
+  if (!supportsWebm()) throw new Error('This browser cannot record WebM video')
+  const video = await prepareVideo({ strokes, maxSide: 1280, imageCache })
+  if (!video) return null
+  return new Promise((resolve, reject) => {
+    const { timeline, renderer, ink, frame } = video
+    const chunks = []
+    const recorder = new MediaRecorder(frame.captureStream(WEBM_FPS), { mimeType: 'video/webm' })
+    recorder.ondataavailable = evt => evt.data.size && chunks.push(evt.data)
+    recorder.onstop = () => resolve(new Blob(chunks, { type: 'video/webm' }))
+    recorder.onerror = evt => reject(evt.error || new Error('Recording failed'))
+
+    const perFrame = (stepsPerSecond(timeline) * speed) / WEBM_FPS
+    let step = 0
+    const tick = () => {
+      step = Math.min(timeline.total, step + perFrame)
+      renderer.render(Math.floor(step))
+      composeFrame(frame, ink, background)
+      onProgress?.(timeline.total ? step / timeline.total : 1)
+      if (step >= timeline.total) {
+        setTimeout(() => recorder.stop(), HOLD_LAST_FRAME_MS)
+        return
+      }
+      setTimeout(tick, 1000 / WEBM_FPS)
+    }
+    recorder.start()
+    tick()
+  })
+}
+
+const GIF_FPS = 10
+const GIF_MAX_FRAMES = 200
+
+export const encodeGif = async ({ strokes, speed, background, imageCache, onProgress }) => {
+  const video = await prepareVideo({ strokes, maxSide: 640, imageCache })
+  if (!video) return null
+  const { timeline, renderer, ink, frame } = video
+  const delay = Math.round(1000 / GIF_FPS)
+  const frameCount = Math.min(
+    GIF_MAX_FRAMES,
+    Math.max(2, Math.ceil((timeline.total / (stepsPerSecond(timeline) * speed)) * GIF_FPS))
+  )
+  const gif = GIFEncoder()
+  for (let i = 1; i <= frameCount; i += 1) {
+    renderer.render(Math.round((timeline.total * i) / frameCount))
+    const ctx = composeFrame(frame, ink, background)
+    const { data } = ctx.getImageData(0, 0, frame.width, frame.height)
+    const palette = quantize(data, 256)
+    const last = i === frameCount
+    gif.writeFrame(applyPalette(data, palette), frame.width, frame.height, {
+      palette,
+      delay: last ? HOLD_LAST_FRAME_MS : delay
+    })
+    onProgress?.(i / frameCount)
+    // Yield so the progress indicator can paint between frames.
+    await new Promise(resolve => setTimeout(resolve, 0))
+  }
+  gif.finish()
+  return new Blob([gif.bytes()], { type: 'image/gif' })
+}